@@ -1,6 +1,13 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { I18nContext, LANGUAGES, createTranslator, detectLanguage, useT } from "./i18n.js";
+import { TAX_REGIONS, estimateTax, filesSeparately } from "./tax.js";
+import { createLock, unseal, unsealWithKey, vaultSupported } from "./vault.js";
+import { createStorage } from "./storage.js";
+import { registerServiceWorker } from "./pwa.js";
 import {
+  Lock,
   Plus,
+  Redo2,
   Trash2,
   Home as HomeIcon,
   Wallet,
@@ -14,6 +21,10 @@ import {
   Sparkles,
   Moon,
   Sun,
+  Undo2,
+  Receipt,
+  GitBranch,
+  CalendarDays,
 } from "lucide-react";
 import {
   ResponsiveContainer,
@@ -26,14 +37,17 @@ import {
   XAxis,
   YAxis,
   CartesianGrid,
+  ComposedChart,
+  Area,
 } from "recharts";
 
 /**
  * Ikigai v0.4.2 (deployable)
  * - Vite + React
- * - localStorage persistence
+ * - IndexedDB persistence (versioned schema + migrations, live sync across tabs), optional passphrase encryption
+ * - Installable PWA: service worker precaches the build for offline use
  * - Guided onboarding (first time only)
- * - Tabs: Home, Build Your Ikigai, Savings, Net Worth, Retirement, About
+ * - Tabs: Home, Build Your Ikigai, Actuals, Calendar, Savings, Net Worth, Retirement, Scenarios, About
  * - Dark mode fixed for tiles + nav text (CSS patch below)
  * - Mobile tooltip clamped to viewport (fixed here)
  * - Pie drill-down by category
@@ -46,10 +60,67 @@ const BRAND_BLUE = "#3a9fbf";
 function uid() {
   return crypto?.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random());
 }
+// Money display/parsing follows the user's base currency and locale. App calls
+// configureMoney() on every render so helpers below stay plain functions.
+const moneyConfig = { currency: "USD", locale: undefined };
+const moneyFormatters = new Map();
+function configureMoney({ currency, locale }) {
+  moneyConfig.currency = currency || "USD";
+  moneyConfig.locale = locale || undefined;
+}
+function moneyFormatter(options) {
+  const key = JSON.stringify([moneyConfig.locale, moneyConfig.currency, options]);
+  if (!moneyFormatters.has(key)) {
+    moneyFormatters.set(
+      key,
+      new Intl.NumberFormat(moneyConfig.locale, { style: "currency", currency: moneyConfig.currency, ...options })
+    );
+  }
+  return moneyFormatters.get(key);
+}
+const localeDecimals = new Map();
+function localeDecimal(locale) {
+  if (!localeDecimals.has(locale)) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+    localeDecimals.set(locale, parts.find((p) => p.type === "decimal")?.value ?? ".");
+  }
+  return localeDecimals.get(locale);
+}
+
+// Exchange rates are never grouped, so the number format's decimal separator is the decimal
+// point and a lone "." or "," is one too ("1,085" in de-DE and "1.085" in en-US are both 1.085)
+function parseRate(v, locale) {
+  const decimal = localeDecimal(locale || undefined);
+  let s = String(v ?? "").trim().replace(/[^0-9.,]/g, "");
+  if (!s.includes(decimal) && s.split(/[.,]/).length === 2) s = s.replace(/[.,]/, decimal);
+  const n = Number(s.replace(decimal === "." ? /,/g : /\./g, "").replace(decimal, "."));
+  return Number.isFinite(n) ? n : 0;
+}
+function formatRate(n, locale) {
+  return new Intl.NumberFormat(locale || undefined, { useGrouping: false, maximumFractionDigits: 6 }).format(n);
+}
 function safeNum(v) {
   if (v === null || v === undefined) return 0;
-  // Allow users to paste "$1,234.56" etc.
-  const s = typeof v === "string" ? v.trim().replace(/[$,\s]/g, "") : v;
+  if (typeof v !== "string") {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : 0;
+  }
+  // Allow users to paste "$1,234.56", "1.234,56 €", "£ 1 234" etc.
+  let s = v.trim().replace(/[^0-9.,'\-]/g, "");
+  const decimal = localeDecimal(moneyConfig.locale);
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  let dec = decimal;
+  if (lastDot >= 0 && lastComma >= 0) dec = lastDot > lastComma ? "." : ",";
+  else if (lastDot >= 0 || lastComma >= 0) {
+    // A lone separator followed by exactly three digits reads as grouping ("1.234" in de, "1,234" in en)
+    const sep = lastDot >= 0 ? "." : ",";
+    const tail = s.length - s.lastIndexOf(sep) - 1;
+    const repeated = s.indexOf(sep) !== s.lastIndexOf(sep);
+    dec = repeated || (tail === 3 && sep !== decimal) ? (sep === "." ? "," : ".") : sep;
+  }
+  const group = dec === "." ? /[,']/g : /[.']/g;
+  s = s.replace(group, "").replace(dec, ".");
   const n = Number(s);
   return Number.isFinite(n) ? n : 0;
 }
@@ -58,10 +129,12 @@ function clamp01(x) {
 }
 function formatMoney(n) {
   const abs = Math.abs(n);
-  if (abs >= 1_000_000_000) return `$${(n / 1_000_000_000).toFixed(2)}B`;
-  if (abs >= 1_000_000) return `$${(n / 1_000_000).toFixed(2)}M`;
-  if (abs >= 1_000) return `$${Math.round(n).toLocaleString()}`;
-  return `$${n.toFixed(0)}`;
+  if (abs >= 1_000_000) return moneyFormatter({ notation: "compact", maximumFractionDigits: 2 }).format(n);
+  return moneyFormatter({ maximumFractionDigits: 0, minimumFractionDigits: 0 }).format(n);
+}
+// Short labels for chart axes ("$250K")
+function formatMoneyAxis(n) {
+  return moneyFormatter({ notation: "compact", maximumFractionDigits: 0 }).format(Number(n));
 }
 function formatPct(n, decimals = 2) {
   return `${(n * 100).toFixed(decimals)}%`;
@@ -75,39 +148,293 @@ function monthsBetween(from, toISO) {
   const b = to.getFullYear() * 12 + to.getMonth();
   return Math.max(0, b - a);
 }
+function addMonthsToKey(key, n) {
+  const [y, m] = key.split("-").map(Number);
+  return monthKey(new Date(y, m - 1 + n, 1));
+}
+function monthsBetweenKeys(a, b) {
+  const [ya, ma] = a.split("-").map(Number);
+  const [yb, mb] = b.split("-").map(Number);
+  return yb * 12 + mb - (ya * 12 + ma);
+}
 function isSameMonthKey(a, b) {
   return a === b;
 }
 
 
-function getCategoryExamples(category) {
-  const map = {
-    "Housing": ["Rent", "Mortgage", "HOA", "Maintenance"],
-    "Car / Transportation": ["Gas", "Car payment", "Insurance", "Parking"],
-    "Food & Drink": ["Groceries", "Dining out", "Coffee"],
-    "Utilities": ["Electric", "Internet", "Phone"],
-    "Insurance": ["Health insurance", "Car insurance", "Home insurance"],
-    "Health & Fitness": ["Gym", "Therapy", "Supplements"],
-    "Subscriptions": ["Netflix", "Spotify", "iCloud"],
-    "Travel & Vacation": ["Flights", "Hotels", "Weekend trips"],
-    "Pet": ["Pet food", "Vet", "Grooming"],
+// Items only count in months between their start date and (for temporary items) their end date
+function itemStatusIn(item, month) {
+  const start = item.startDate ? item.startDate.slice(0, 7) : null;
+  const end = item.temporary && item.endDate ? item.endDate.slice(0, 7) : null;
+  if (start && start > month) return "upcoming";
+  if (end && end < month) return "ended";
+  return "active";
+}
+function isItemActiveIn(item, month) {
+  return itemStatusIn(item, month) === "active";
+}
+function formatMonthLabel(key, locale) {
+  const [y, m] = key.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString(locale, { month: "short", year: "numeric" });
+}
+
+// Currency conversion
+function rateToBase(code, settings) {
+  if (!code || code === settings.base) return 1;
+  return settings.rates[code] ?? null;
+}
+// Amounts without a known rate are counted 1:1 so totals never silently drop them
+function toBase(amount, code, settings) {
+  return safeNum(amount) * (rateToBase(code, settings) ?? 1);
+}
+// Re-express every rate against a new base, given what one unit of it is worth in the old
+// base (by default the rate already entered for it). Null while that is unknown and there
+// are rates that would otherwise be lost.
+function rebaseCurrency(settings, base, pivot = settings.rates[base]) {
+  if (base === settings.base) return settings;
+  if (!(pivot > 0)) return Object.keys(settings.rates).length ? null : { ...settings, base };
+  const rates = { [settings.base]: 1 / pivot };
+  for (const [code, r] of Object.entries(settings.rates)) if (code !== base) rates[code] = r / pivot;
+  return { ...settings, base, rates };
+}
+
+// Income
+// A source is entered the way people know it: take-home or gross, per pay period. Gross
+// sources are taxed per filer (each household member, or one joint US return) and shared out
+// pro rata; `monthly` always holds the resulting take-home in the source's currency.
+const INCOME_FREQUENCIES = ["hourly", "weekly", "biweekly", "semimonthly", "monthly", "annual", "bonus"];
+const PAYS_PER_YEAR = { weekly: 52, biweekly: 26, semimonthly: 24, monthly: 12, annual: 1, bonus: 1 };
+function incomeAnnual(src) {
+  const perYear = src.frequency === "hourly" ? safeNum(src.hoursPerWeek || 40) * 52 : PAYS_PER_YEAR[src.frequency] ?? 12;
+  return safeNum(src.amount) * perYear;
+}
+function incomePretax(src) {
+  return src.basis === "gross" ? safeNum(src.retirementDeduction) + safeNum(src.hsaDeduction) : 0;
+}
+// Annual totals in the base currency, plus each source's monthly take-home in its own currency.
+// A one-off bonus is taxed on top of the regular pay in the year it lands, but it isn't monthly
+// income: its monthly is 0 and payout holds its take-home for the pay date.
+// Each source is its own job for payroll caps; shared income is taxed as one more filer.
+function incomeTaxSummary(sources, tax, currency, household) {
+  const region = TAX_REGIONS[tax.region] ?? TAX_REGIONS.none;
+  const inBase = (amount, code) => toBase(amount, code, currency);
+  // Tables are in the region's currency
+  const regionRate = rateToBase(region.currency, currency) ?? 1;
+  const members = household?.enabled ? household.members : [];
+  const filerOf = (x) => (filesSeparately(tax.region, tax.filing) ? ownerOf(x, members) : "joint");
+  const taxes = (list) => {
+    const gross = list.reduce((s, x) => s + inBase(incomeAnnual(x), x.currency), 0);
+    const pretax = list.reduce((s, x) => s + inBase(incomePretax(x), x.currency), 0);
+    const job = (x) => ({
+      gross: inBase(incomeAnnual(x), x.currency) / regionRate,
+      pretax: inBase(incomePretax(x), x.currency) / regionRate,
+      payrollExempt: inBase(x.hsaDeduction, x.currency) / regionRate,
+    });
+    // A bonus is paid through one of the filer's jobs, so it counts toward the biggest one's caps
+    const jobs = list.filter((x) => x.frequency !== "bonus").map(job);
+    for (const b of list.filter((x) => x.frequency === "bonus").map(job)) {
+      const main = jobs.reduce((m, j) => (j.gross > m.gross ? j : m), jobs[0]);
+      if (!main) jobs.push(b);
+      else for (const k of Object.keys(b)) main[k] += b[k];
+    }
+    const est = estimateTax(jobs, { region: tax.region, filing: tax.filing });
+    const incomeTax = est.incomeTax * regionRate;
+    const payrollTax = est.payrollTax * regionRate;
+    const localTax = Math.max(0, gross - pretax) * safeNum(tax.extraRate);
+    return { gross, pretax, incomeTax, payrollTax, localTax, taxable: gross - pretax, total: incomeTax + payrollTax + localTax };
+  };
+  const byFiler = new Map();
+  for (const x of sources.filter((s) => s.basis === "gross")) byFiler.set(filerOf(x), [...(byFiler.get(filerOf(x)) ?? []), x]);
+  const filers = new Map(
+    Array.from(byFiler, ([id, list]) => [id, { all: taxes(list), regular: taxes(list.filter((x) => x.frequency !== "bonus")) }])
+  );
+  const sum = (pick) => Array.from(filers.values()).reduce((s, f) => s + pick(f), 0);
+  // A year of take-home in the source's currency; a bonus carries the extra tax it causes
+  const annualNet = (x) => {
+    if (x.basis !== "gross") return incomeAnnual(x);
+    const { all, regular } = filers.get(filerOf(x));
+    const own = inBase(incomeAnnual(x) - incomePretax(x), x.currency);
+    const bonus = x.frequency === "bonus";
+    const taxable = bonus ? all.taxable - regular.taxable : regular.taxable;
+    const share = taxable > 0 ? own / taxable : 0;
+    const net = own - (bonus ? all.total - regular.total : regular.total) * share;
+    return net / (rateToBase(x.currency, currency) ?? 1);
+  };
+  const round = (v) => Math.round(v * 100) / 100;
+  return {
+    gross: sum((f) => f.all.gross),
+    pretax: sum((f) => f.all.pretax),
+    incomeTax: sum((f) => f.all.incomeTax),
+    payrollTax: sum((f) => f.all.payrollTax),
+    localTax: sum((f) => f.all.localTax),
+    net: sum((f) => f.all.taxable - f.all.total),
+    monthlyNet: sum((f) => f.regular.taxable - f.regular.total) / 12,
+    monthly: sources.map((x) => (x.amount === undefined ? safeNum(x.monthly) : x.frequency === "bonus" ? 0 : round(annualNet(x) / 12))),
+    payout: sources.map((x) => (x.frequency === "bonus" ? round(annualNet(x)) : null)),
   };
-  return map[category] ?? ["Groceries", "Gas", "Gym", "Coffee"];
 }
-function getCategoryPlaceholder(category) {
-  const ex = getCategoryExamples(category)[0];
-  return ex ? `e.g., ${ex}` : "e.g., Groceries";
+// Same list back when nothing moved, so the sync effect settles
+function withTakeHome(sources, tax, currency, household) {
+  const { monthly, payout } = incomeTaxSummary(sources, tax, currency, household);
+  const patch = (x, i) => (x.frequency === "bonus" ? { monthly: monthly[i], payout: payout[i] } : { monthly: monthly[i] });
+  const changed = (x, i) => Object.entries(patch(x, i)).some(([k, v]) => x[k] !== v);
+  if (!sources.some(changed)) return sources;
+  return sources.map((x, i) => (changed(x, i) ? { ...x, ...patch(x, i) } : x));
+}
+// Household
+// Members own income sources and items; anything else is shared. Shared costs (and shared
+// income) are split evenly, by custom percentages, or in proportion to each member's own income.
+const HOUSEHOLD_SPLITS = ["even", "custom", "income"];
+function ownerOf(x, members) {
+  return members.some((m) => m.id === x.owner) ? x.owner : "shared";
+}
+// Each member's fraction of anything shared; falls back to even when there's nothing to go on
+function householdShares(household, incomeSources, currency) {
+  const { members, split, shares } = household;
+  const even = new Map(members.map((m) => [m.id, 1 / members.length]));
+  if (split === "custom") {
+    const total = members.reduce((s, m) => s + safeNum(shares[m.id]), 0);
+    return total > 0 ? new Map(members.map((m) => [m.id, safeNum(shares[m.id]) / total])) : even;
+  }
+  if (split === "income") {
+    const own = new Map(members.map((m) => [m.id, 0]));
+    for (const x of incomeSources) {
+      const owner = ownerOf(x, members);
+      if (owner !== "shared") own.set(owner, own.get(owner) + toBase(x.monthly, x.currency, currency));
+    }
+    const total = Array.from(own.values()).reduce((s, v) => s + v, 0);
+    return total > 0 ? new Map(members.map((m) => [m.id, own.get(m.id) / total])) : even;
+  }
+  return even;
+}
+// Monthly figures per member: income, personal spending, share of shared spending, what's left
+function householdBreakdown(household, incomeSources, items, currency) {
+  const { members } = household;
+  const shares = householdShares(household, incomeSources, currency);
+  const sharedIncome = incomeSources
+    .filter((x) => ownerOf(x, members) === "shared")
+    .reduce((s, x) => s + toBase(x.monthly, x.currency, currency), 0);
+  const sharedSpending = items.filter((i) => ownerOf(i, members) === "shared").reduce((s, i) => s + safeNum(i.monthly), 0);
+  const rows = members.map((m) => {
+    const share = shares.get(m.id);
+    const income =
+      incomeSources.filter((x) => x.owner === m.id).reduce((s, x) => s + toBase(x.monthly, x.currency, currency), 0) +
+      sharedIncome * share;
+    const personal = items.filter((i) => i.owner === m.id).reduce((s, i) => s + safeNum(i.monthly), 0);
+    const owed = sharedSpending * share;
+    const leftover = income - personal - owed;
+    return { id: m.id, name: m.name, share, income, personal, owed, leftover, savingsRate: income > 0 ? leftover / income : 0 };
+  });
+  return { rows, sharedSpending, sharedIncome };
+}
+function validateHousehold(h) {
+  const x = isPlainObject(h) ? h : {};
+  const members = (Array.isArray(x.members) ? x.members : [])
+    .filter((m) => isPlainObject(m) && typeof m.id === "string")
+    .map((m) => ({ id: m.id, name: String(m.name ?? "") }));
+  const shares = {};
+  for (const m of members) shares[m.id] = Math.max(0, toNumberField(isPlainObject(x.shares) ? x.shares[m.id] : 0));
+  return {
+    enabled: x.enabled === true && members.length > 0,
+    members,
+    split: HOUSEHOLD_SPLITS.includes(x.split) ? x.split : "even",
+    shares,
+  };
+}
+function validateTaxSettings(tax) {
+  const x = isPlainObject(tax) ? tax : {};
+  return {
+    region: x.region in TAX_REGIONS ? x.region : "none",
+    filing: x.filing === "joint" ? "joint" : "single",
+    extraRate: Math.min(1, Math.max(0, toNumberField(x.extraRate))),
+  };
+}
+
+// Spending items keep the amount as billed and how often; `monthly` is that amount spread
+// over the year, and it's what every monthly/annual total reads
+const BILLING_FREQUENCIES = ["weekly", "biweekly", "monthly", "quarterly", "semiannual", "annual", "custom"];
+const BILLS_PER_YEAR = { weekly: 52, biweekly: 26, monthly: 12, quarterly: 4, semiannual: 2, annual: 1 };
+function billsPerYear(item) {
+  if (item.frequency === "custom") return 12 / Math.max(1, safeNum(item.everyMonths) || 1);
+  return BILLS_PER_YEAR[item.frequency] ?? 12;
+}
+// Monthly bills keep the typed string so the input doesn't fight the cursor
+function withBilling(item) {
+  if (item.amount === undefined) return item;
+  const frequency = item.frequency ?? "monthly";
+  const monthly = frequency === "monthly" ? item.amount : Math.round(((safeNum(item.amount) * billsPerYear(item)) / 12) * 100) / 100;
+  return { ...item, monthly };
+}
+
+// A category's own comma-separated examples win; built-ins fall back to the message catalog
+// ("examples.<category>") so they translate with the UI
+function getCategoryExamples(category, t, categories = []) {
+  const own = (categories.find((c) => c.name === category)?.examples ?? "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+  if (own.length) return own;
+  const ex = t.list(`examples.${category}`);
+  return ex.length ? ex : t.list("examples.default");
+}
+function getCategoryPlaceholder(category, t, categories) {
+  return t("common.eg", { example: getCategoryExamples(category, t, categories)[0] });
+}
+// <option>s for a category select; a hidden category still shows while it's the chosen one
+function categoryOptions(categories, value, t, prefix = "") {
+  return categories
+    .filter((c) => !c.hidden || c.name === value)
+    .map((c) => (
+      <option key={c.name} value={prefix + c.name}>
+        {t.label("category", c.name)}
+      </option>
+    ));
+}
+// Every category name something refers to: plans (live, scenarios, parked), actuals and import rules
+function usedCategories(s) {
+  const plans = [s, ...s.scenarios.map((sc) => sc.plan), ...(s.parkedPlan ? [s.parkedPlan] : [])];
+  return new Set(
+    [
+      ...plans.flatMap((p) => p.items.map((i) => i.category)),
+      ...s.ledger.map((e) => e.category),
+      ...s.categoryRules.map((r) => r.category),
+    ].filter((x) => typeof x === "string" && x)
+  );
+}
+function validateCategories(list, used) {
+  const seen = new Set();
+  const out = [];
+  for (const c of Array.isArray(list) ? list : DEFAULT_CATEGORIES) {
+    if (!isPlainObject(c) || typeof c.name !== "string" || !c.name.trim() || seen.has(c.name)) continue;
+    seen.add(c.name);
+    out.push({
+      name: c.name,
+      color: /^#[0-9a-f]{6}$/i.test(c.color) ? c.color : CATEGORY_FALLBACK_COLOR,
+      hidden: c.hidden === true,
+      examples: typeof c.examples === "string" ? c.examples : "",
+    });
+  }
+  // Anything in use gets a row, so no item is left pointing at a missing category
+  for (const name of [...LOCKED_CATEGORIES, ...used]) {
+    if (seen.has(name)) continue;
+    seen.add(name);
+    const builtIn = DEFAULT_CATEGORIES.find((d) => d.name === name);
+    out.push({ name, color: builtIn?.color ?? CATEGORY_FALLBACK_COLOR, hidden: false, examples: "" });
+  }
+  return out;
 }
 function savingsRateGrade(r) {
-  // Heuristic grading (tweakable later)
-  if (r >= 0.35) return { label: "Great", tone: "good" };
-  if (r >= 0.20) return { label: "Good", tone: "good" };
-  if (r >= 0.10) return { label: "OK", tone: "warn" };
-  return { label: "Needs improvement", tone: "warn" };
+  // Heuristic grading (tweakable later); label is a message key
+  if (r >= 0.35) return { label: "grade.great", tone: "good" };
+  if (r >= 0.20) return { label: "grade.good", tone: "good" };
+  if (r >= 0.10) return { label: "grade.ok", tone: "warn" };
+  return { label: "grade.needsImprovement", tone: "warn" };
 }
 
 // Data
-const IKIGAI_CATEGORIES = [
+// Spending categories are user data (state.categories); these seed new plans. The name is
+// what items store, so built-in names keep translating through "category.<name>".
+const DEFAULT_CATEGORIES = [
   { name: "Housing", color: "#7aa6a1" },
   { name: "Car / Transportation", color: "#a0a9b8" },
   { name: "Food & Drink", color: "#d1a06a" },
@@ -122,13 +449,20 @@ const IKIGAI_CATEGORIES = [
   { name: "Subscriptions", color: "#b1b1b1" },
   { name: "Travel & Vacation", color: "#7fb6c4" },
   { name: "Taxes", color: "#b6a07f" },
-  { name: "Education", color: "#b6a07f" },
+  { name: "Education", color: "#9f8fc7" },
   { name: "Donations", color: "#9ab6c4" },
   { name: "Debt payments", color: "#c08f7e" },
   { name: "Fees", color: "#9e9e9e" },
   { name: "Pet", color: "#a7b98b" },
+  { name: "Childcare", color: "#e39aa8" },
+  { name: "Eldercare", color: "#c9b458" },
   { name: "Other", color: "#8f9aa7" },
-];
+].map((c) => ({ ...c, hidden: false, examples: "" }));
+// "Other" is the fallback and "Debt payments" is DEBT_CATEGORY; both keep their names
+const LOCKED_CATEGORIES = new Set(["Other", "Debt payments"]);
+const CATEGORY_FALLBACK_COLOR = "#9aa3af";
+// New categories cycle through these until recolored
+const CATEGORY_PALETTE = ["#6f9fd8", "#e0895a", "#5fb39a", "#c17fc9", "#d6b04c", "#7fa35f", "#d9787f", "#5aa9b8"];
 
 const GOAL_PRESETS = [
   "Emergency",
@@ -140,17 +474,1165 @@ const GOAL_PRESETS = [
   "Other",
 ];
 
+const ASSET_TYPES = ["Investment", "Real Estate", "Cash", "Vehicle", "Other"];
+const ASSET_TYPE_COLORS = {
+  Investment: "#6366f1",
+  "Real Estate": "#0ea5e9",
+  Cash: "#16a34a",
+  Vehicle: "#f59e0b",
+  Other: "#94a3b8",
+};
+// Investment assets can list holdings; the allocation view groups them by class and region
+const ASSET_CLASSES = ["Stocks", "Bonds", "Cash", "Real Estate"];
+const REGIONS = ["Domestic", "International"];
+const DEFAULT_ALLOCATION_TARGETS = {
+  byClass: { Stocks: 0.6, Bonds: 0.3, Cash: 0.1, "Real Estate": 0 },
+  international: 0.3,
+};
+
+// Real return is after inflation; inflation only matters when showing future dollars.
+// volatility/horizonYears/returnSource drive the Monte Carlo stress test.
+const DEFAULT_RETIREMENT_ASSUMPTIONS = {
+  realReturn: 0.05,
+  inflation: 0.025,
+  volatility: 0.12,
+  horizonYears: 30,
+  returnSource: "parametric", // parametric | historical
+};
+const MONTE_CARLO_RUNS = 5000;
+
+const CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "NZD", "CHF", "JPY", "SEK", "NOK", "DKK", "INR", "MXN", "BRL"];
+const NUMBER_LOCALES = [
+  { value: "", label: null }, // browser default, labeled from the catalog
+  { value: "en-US", label: "1,234.56 (US)" },
+  { value: "en-GB", label: "1,234.56 (UK)" },
+  { value: "de-DE", label: "1.234,56 (DE)" },
+  { value: "fr-FR", label: "1 234,56 (FR)" },
+  { value: "es-ES", label: "1.234,56 (ES)" },
+  { value: "de-CH", label: "1’234.56 (CH)" },
+];
+// rates[code] = how much one unit of that currency is worth in the base currency
+const DEFAULT_CURRENCY_SETTINGS = { base: "USD", locale: "", rates: {} };
+
+// Starter rules for the bank CSV importer; users edit these freely
+const DEFAULT_CATEGORY_RULES = [
+  { id: uid(), match: "SHELL", category: "Car / Transportation", itemName: "Gas" },
+  { id: uid(), match: "CHEVRON", category: "Car / Transportation", itemName: "Gas" },
+  { id: uid(), match: "UBER", category: "Car / Transportation", itemName: "Rideshare" },
+  { id: uid(), match: "NETFLIX", category: "Subscriptions", itemName: "Netflix" },
+  { id: uid(), match: "SPOTIFY", category: "Subscriptions", itemName: "Spotify" },
+  { id: uid(), match: "STARBUCKS", category: "Food & Drink", itemName: "Coffee" },
+  { id: uid(), match: "WHOLE FOODS", category: "Food & Drink", itemName: "Groceries" },
+  { id: uid(), match: "TRADER JOE", category: "Food & Drink", itemName: "Groceries" },
+  { id: uid(), match: "COMCAST", category: "Utilities", itemName: "Internet" },
+  { id: uid(), match: "PETCO", category: "Pet", itemName: "Pet food" },
+];
+
 const DEFAULT_PROFILE = {
   age: "",
   location: "",
   relationship: "",
   kids: "0",
   pets: "0",
-  // NOTE: monthly is string to avoid the "0 sticks while typing" issue
-  incomeSources: [{ id: uid(), name: "Salary", monthly: "" }],
+  // NOTE: amount is a string to avoid the "0 sticks while typing" issue; monthly is the take-home derived from it
+  incomeSources: [{ id: uid(), name: "Salary", basis: "net", frequency: "monthly", amount: "", monthly: 0, owner: "shared" }],
+  tax: { region: "none", filing: "single", extraRate: 0 },
+  household: { enabled: false, members: [], split: "even", shares: {} },
 };
 
+// Persistence
+// Everything is one versioned blob (storage.js splits it across IndexedDB stores). Bump
+// SCHEMA_VERSION and add a step to MIGRATIONS whenever the stored shape changes; never
+// edit an existing step.
+const STORAGE_BACKUP_KEY = "ikigai_v042_state_unreadable";
+const LEGACY_THEME_KEY = "ikigai_theme";
+const SCHEMA_VERSION = 18;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+function toNumberField(v) {
+  // Older saves kept numbers as raw input strings ("", "1,200")
+  return typeof v === "number" && Number.isFinite(v) ? v : safeNum(v);
+}
+
+// Edits keep number fields as typed strings, so saves can carry "450" or ""
+function numberFields(x, keys) {
+  const next = { ...x };
+  for (const k of keys) next[k] = toNumberField(x[k]);
+  return next;
+}
+function mapNumberFields(list, keys) {
+  return Array.isArray(list) ? list.map((x) => (isPlainObject(x) ? numberFields(x, keys) : x)) : list;
+}
+
+// MIGRATIONS[n] upgrades a version-n blob to version n + 1
+const MIGRATIONS = {
+  // v1: unversioned blob from v0.4.2, theme kept under its own key
+  1: (s) => {
+    const legacyTheme = typeof localStorage !== "undefined" ? localStorage.getItem(LEGACY_THEME_KEY) : null;
+    const profile = isPlainObject(s.profile) ? s.profile : {};
+    return {
+      ...s,
+      profile: { ...profile, incomeSources: mapNumberFields(profile.incomeSources, ["monthly"]) },
+      items: mapNumberFields(s.items, ["monthly"]),
+      goals: mapNumberFields(s.goals, ["target", "current", "monthly"]),
+      assets: mapNumberFields(s.assets, ["value"]),
+      liabilities: mapNumberFields(s.liabilities, ["balance"]),
+      theme: s.theme ?? legacyTheme ?? "light",
+      swr: s.swr ?? 0.04,
+    };
+  },
+  // v2: adds CSV categorization rules
+  2: (s) => ({ ...s, categoryRules: s.categoryRules ?? DEFAULT_CATEGORY_RULES }),
+  // v3: adds the actual-spending ledger
+  3: (s) => ({ ...s, ledger: s.ledger ?? [] }),
+  // v4: adds return/inflation assumptions for the retirement timeline
+  4: (s) => ({ ...s, retirementAssumptions: s.retirementAssumptions ?? DEFAULT_RETIREMENT_ASSUMPTIONS }),
+  // v5: adds base currency and exchange rates; older plans were all in dollars
+  5: (s) => ({ ...s, currency: s.currency ?? DEFAULT_CURRENCY_SETTINGS }),
+  // v6: adds the UI language; existing plans were written in English
+  6: (s) => ({ ...s, language: s.language ?? "en" }),
+  // v7: adds what-if scenarios; the real plan is open
+  7: (s) => ({ ...s, scenarios: s.scenarios ?? [], activeScenarioId: null, parkedPlan: null }),
+  // v8: liabilities gain an interest rate, minimum payment and extra payment
+  8: (s) => {
+    const withTerms = (plan) =>
+      isPlainObject(plan) && Array.isArray(plan.liabilities)
+        ? {
+            ...plan,
+            liabilities: plan.liabilities.map((l) => (isPlainObject(l) ? { rate: 0, minPayment: 0, extraPayment: 0, ...l } : l)),
+          }
+        : plan;
+    return {
+      ...withTerms(s),
+      scenarios: Array.isArray(s.scenarios)
+        ? s.scenarios.map((sc) => (isPlainObject(sc) ? { ...sc, plan: withTerms(sc.plan) } : sc))
+        : s.scenarios,
+      parkedPlan: withTerms(s.parkedPlan),
+    };
+  },
+  // v9: net worth snapshots carry asset totals by type and total liabilities (null = unknown)
+  9: (s) => ({
+    ...s,
+    netWorthHistory: Array.isArray(s.netWorthHistory)
+      ? s.netWorthHistory.map((x) => (isPlainObject(x) ? { byType: null, liabilities: null, ...x } : x))
+      : s.netWorthHistory,
+  }),
+  // v10: assets can hold a list of holdings; allocation targets for the portfolio view
+  10: (s) => {
+    const withHoldings = (plan) =>
+      isPlainObject(plan) && Array.isArray(plan.assets)
+        ? { ...plan, assets: plan.assets.map((a) => (isPlainObject(a) ? { holdings: [], ...a } : a)) }
+        : plan;
+    return {
+      ...withHoldings(s),
+      scenarios: Array.isArray(s.scenarios)
+        ? s.scenarios.map((sc) => (isPlainObject(sc) ? { ...sc, plan: withHoldings(sc.plan) } : sc))
+        : s.scenarios,
+      parkedPlan: withHoldings(s.parkedPlan),
+      allocationTargets: s.allocationTargets ?? DEFAULT_ALLOCATION_TARGETS,
+    };
+  },
+  // v11: goals keep a contribution log; what was already saved becomes its opening entry
+  11: (s) => {
+    const withLog = (plan) =>
+      isPlainObject(plan) && Array.isArray(plan.goals)
+        ? {
+            ...plan,
+            goals: plan.goals.map((g) =>
+              isPlainObject(g) && !Array.isArray(g.contributions)
+                ? {
+                    ...g,
+                    contributions:
+                      safeNum(g.current) > 0
+                        ? [{ id: uid(), date: goalOpeningDate(g), amount: safeNum(g.current), note: "", opening: true }]
+                        : [],
+                  }
+                : g
+            ),
+          }
+        : plan;
+    return {
+      ...withLog(s),
+      scenarios: Array.isArray(s.scenarios)
+        ? s.scenarios.map((sc) => (isPlainObject(sc) ? { ...sc, plan: withLog(sc.plan) } : sc))
+        : s.scenarios,
+      parkedPlan: withLog(s.parkedPlan),
+    };
+  },
+  // v12: income sources say whether they're take-home or gross and how often they pay;
+  // the profile gains tax settings for the take-home estimate
+  12: (s) => {
+    const asEntered = (list) =>
+      Array.isArray(list)
+        ? list.map((x) => (isPlainObject(x) ? { basis: "net", frequency: "monthly", amount: x.monthly, ...x } : x))
+        : list;
+    const withSources = (plan) => (isPlainObject(plan) ? { ...plan, incomeSources: asEntered(plan.incomeSources) } : plan);
+    const profile = isPlainObject(s.profile) ? s.profile : {};
+    return {
+      ...s,
+      profile: { ...profile, incomeSources: asEntered(profile.incomeSources), tax: profile.tax ?? DEFAULT_PROFILE.tax },
+      scenarios: Array.isArray(s.scenarios)
+        ? s.scenarios.map((sc) => (isPlainObject(sc) ? { ...sc, plan: withSources(sc.plan) } : sc))
+        : s.scenarios,
+      parkedPlan: withSources(s.parkedPlan),
+    };
+  },
+  // v13: spending items keep the billed amount and frequency alongside the monthly figure
+  13: (s) => {
+    const withFrequency = (plan) =>
+      isPlainObject(plan) && Array.isArray(plan.items)
+        ? { ...plan, items: plan.items.map((x) => (isPlainObject(x) ? { frequency: "monthly", amount: x.monthly, ...x } : x)) }
+        : plan;
+    return {
+      ...withFrequency(s),
+      scenarios: Array.isArray(s.scenarios)
+        ? s.scenarios.map((sc) => (isPlainObject(sc) ? { ...sc, plan: withFrequency(sc.plan) } : sc))
+        : s.scenarios,
+      parkedPlan: withFrequency(s.parkedPlan),
+    };
+  },
+  // v14: items can have a next due date and income sources a next pay date, for the calendar
+  14: (s) =>
+    mapPlans(s, (plan) => ({
+      ...plan,
+      items: mapObjects(plan.items, (x) => ({ dueDate: "", ...x })),
+      incomeSources: mapObjects(plan.incomeSources, (x) => ({ payDate: "", ...x })),
+    })),
+  // v15: household members in the profile; income and items belong to a member or are "shared"
+  15: (s) => {
+    const next = mapPlans(s, (plan) => ({
+      ...plan,
+      items: mapObjects(plan.items, (x) => ({ owner: "shared", ...x })),
+      incomeSources: mapObjects(plan.incomeSources, (x) => ({ owner: "shared", ...x })),
+    }));
+    return { ...next, profile: { household: DEFAULT_PROFILE.household, ...next.profile } };
+  },
+  // v16: spending categories become editable data (names already in use are added on validation)
+  16: (s) => ({ ...s, categories: DEFAULT_CATEGORIES }),
+  // v17: items get an optional sub-category and free-form tags
+  17: (s) => mapPlans(s, (plan) => ({ ...plan, items: mapObjects(plan.items, (x) => ({ subcategory: "", tags: [], ...x })) })),
+};
+// For migration steps: apply `fn` to the live plan, every scenario's plan and the parked plan.
+// The live plan's income sources sit in the profile.
+function mapPlans(s, fn) {
+  const profile = isPlainObject(s.profile) ? s.profile : {};
+  const live = fn({ ...s, incomeSources: profile.incomeSources });
+  const { incomeSources, ...rest } = live;
+  const plan = (p) => (isPlainObject(p) ? fn(p) : p);
+  return {
+    ...rest,
+    profile: { ...profile, incomeSources },
+    scenarios: Array.isArray(s.scenarios) ? s.scenarios.map((sc) => (isPlainObject(sc) ? { ...sc, plan: plan(sc.plan) } : sc)) : s.scenarios,
+    parkedPlan: plan(s.parkedPlan),
+  };
+}
+function mapObjects(list, fn) {
+  return Array.isArray(list) ? list.map((x) => (isPlainObject(x) ? fn(x) : x)) : list;
+}
+
+// Load and import failures carry a message key and its values, so they read in any language
+class StateError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.code = code;
+    this.vars = vars;
+  }
+}
+// { code, vars } for the stateError.* messages; anything unexpected gets the fallback code
+function stateErrorOf(err, fallback = "unreadable") {
+  return err instanceof StateError ? { code: err.code, vars: err.vars } : { code: fallback, vars: {} };
+}
+
+function migrateState(raw) {
+  if (!isPlainObject(raw)) throw new StateError("notObject");
+  let version = Number.isInteger(raw.version) ? raw.version : 1;
+  if (version > SCHEMA_VERSION) throw new StateError("newerVersion", { version });
+  let s = raw;
+  while (version < SCHEMA_VERSION) {
+    s = MIGRATIONS[version](s);
+    version += 1;
+  }
+  return { ...s, version };
+}
+
+// Saved amounts can still be typed text ("1.200"), which only reads right in the plan's own
+// number format, so loading parses with that format rather than the one currently on screen
+function readState(raw) {
+  const { currency, locale } = moneyConfig;
+  const saved = isPlainObject(raw) && isPlainObject(raw.currency) ? raw.currency.locale : "";
+  configureMoney({ currency, locale: typeof saved === "string" ? saved : "" });
+  try {
+    return validateState(migrateState(raw));
+  } finally {
+    configureMoney({ currency, locale });
+  }
+}
+
+// Storage keys rows by id, so a missing or repeated id (hand-edited files) gets a fresh one
+function validateList(list, name, normalize, { withId = true } = {}) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new StateError("notList", { name });
+  const ids = new Set();
+  return list.map((x, i) => {
+    if (!isPlainObject(x)) throw new StateError("entryNotObject", { name, entry: i + 1 });
+    const next = normalize(x, i);
+    if (!withId) return next;
+    const id = next.id && !ids.has(next.id) ? next.id : uid();
+    ids.add(id);
+    return id === next.id ? next : { ...next, id };
+  });
+}
+// One snapshot per month (history rows are keyed by it); the later entry wins
+function latestPerMonth(history) {
+  return Array.from(new Map(history.map((x) => [x.t, x])).values());
+}
+// The lists that make up a plan (and so a scenario), with their number fields
+const PLAN_NUMBER_FIELDS = {
+  incomeSources: ["monthly"],
+  items: ["monthly"],
+  goals: ["target", "current", "monthly"],
+  assets: ["value"],
+  liabilities: ["balance", "rate", "minPayment", "extraPayment"],
+};
+// Fields edits keep as typed text; they read in the current number format, so a format change
+// settles them to numbers first (blank fields stay blank)
+const PLAN_TYPED_FIELDS = {
+  incomeSources: ["amount", "hoursPerWeek", "retirementDeduction", "hsaDeduction"],
+  items: ["monthly", "amount"],
+};
+function settleTypedNumbers(plan) {
+  const next = { ...plan };
+  for (const [key, fields] of Object.entries(PLAN_TYPED_FIELDS)) {
+    next[key] = mapObjects(plan[key], (x) => {
+      const y = { ...x };
+      for (const k of fields) if (typeof x[k] === "string" && x[k].trim() !== "") y[k] = safeNum(x[k]);
+      return y;
+    });
+  }
+  return next;
+}
+function validatePlan(p, prefix = "") {
+  const plan = isPlainObject(p) ? p : {};
+  const next = {};
+  for (const [key, fields] of Object.entries(PLAN_NUMBER_FIELDS)) {
+    next[key] = validateList(plan[key], prefix + key, (x) => numberFields(x, fields));
+  }
+  // Goals without a log (hand-written files) get their current amount as the opening entry
+  next.goals = next.goals.map((g, i) => ({
+    ...g,
+    contributions: validateList(
+      g.contributions ?? (g.current ? [{ date: goalOpeningDate(g), amount: g.current, note: "", opening: true }] : []),
+      `${prefix}goals[${i}].contributions`,
+      (c, j) => {
+        if (typeof c.date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(c.date)) {
+          throw new StateError("noDate", { name: `${prefix}goals[${i}].contributions`, entry: j + 1 });
+        }
+        return numberFields(c, ["amount"]);
+      }
+    ),
+  }));
+  next.items = next.items.map((it) => ({
+    ...it,
+    subcategory: typeof it.subcategory === "string" ? it.subcategory : "",
+    tags: Array.isArray(it.tags) ? parseTags(it.tags.filter((x) => typeof x === "string").join(" ")) : [],
+  }));
+  next.assets = next.assets.map((a, i) => ({
+    ...a,
+    holdings: validateList(a.holdings, `${prefix}assets[${i}].holdings`, (h) => numberFields(h, ["quantity", "price"])),
+  }));
+  if (!next.incomeSources.length) next.incomeSources = DEFAULT_PROFILE.incomeSources;
+  return next;
+}
+// Returns a state object that is safe to hand to the setters, or throws with a readable reason
+function validateState(s) {
+  const profile = isPlainObject(s.profile) ? { ...DEFAULT_PROFILE, ...s.profile } : DEFAULT_PROFILE;
+  const plan = validatePlan({ ...s, incomeSources: profile.incomeSources });
+  const scenarios = validateList(s.scenarios, "scenarios", (x, i) => ({
+    ...x,
+    name: String(x.name || `Scenario ${i + 1}`),
+    plan: validatePlan(x.plan, `scenarios[${i}].`),
+  }));
+  // A scenario can only be open if the real plan was parked alongside it
+  const scenarioOpen = scenarios.some((sc) => sc.id === s.activeScenarioId) && isPlainObject(s.parkedPlan);
+  const next = {
+    version: s.version,
+    profile: {
+      ...profile,
+      incomeSources: plan.incomeSources,
+      tax: validateTaxSettings(profile.tax),
+      household: validateHousehold(profile.household),
+    },
+    items: plan.items,
+    goals: plan.goals,
+    assets: plan.assets,
+    liabilities: plan.liabilities,
+    netWorthHistory: latestPerMonth(
+      validateList(
+        s.netWorthHistory,
+        "netWorthHistory",
+        (x, i) => {
+          if (typeof x.t !== "string" || !/^\d{4}-\d{2}$/.test(x.t)) {
+            throw new StateError("noMonth", { name: "netWorthHistory", entry: i + 1 });
+          }
+          if (x.byType != null && !isPlainObject(x.byType)) {
+            throw new StateError("badBreakdown", { name: "netWorthHistory", entry: i + 1 });
+          }
+          return {
+            ...numberFields(x, ["value"]),
+            byType: x.byType == null ? null : numberFields(x.byType, Object.keys(x.byType)),
+            liabilities: x.liabilities == null ? null : toNumberField(x.liabilities),
+          };
+        },
+        { withId: false }
+      )
+    ),
+    onboardingDone: typeof s.onboardingDone === "boolean" ? s.onboardingDone : false,
+    theme: s.theme === "dark" ? "dark" : "light",
+    swr: typeof s.swr === "number" && s.swr > 0 && s.swr < 1 ? s.swr : 0.04,
+    categoryRules: validateList(s.categoryRules, "categoryRules", (x, i) => {
+      if (typeof x.match !== "string" || typeof x.category !== "string") {
+        throw new StateError("badRule", { name: "categoryRules", entry: i + 1 });
+      }
+      return x;
+    }),
+    ledger: validateList(s.ledger, "ledger", (x, i) => {
+      if (typeof x.date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(x.date)) {
+        throw new StateError("noDate", { name: "ledger", entry: i + 1 });
+      }
+      return { itemId: null, note: "", ...numberFields(x, ["amount"]), category: String(x.category ?? "Other") };
+    }),
+    retirementAssumptions: isPlainObject(s.retirementAssumptions)
+      ? {
+          ...DEFAULT_RETIREMENT_ASSUMPTIONS,
+          ...numberFields(s.retirementAssumptions, ["realReturn", "inflation", "volatility", "horizonYears"]),
+        }
+      : DEFAULT_RETIREMENT_ASSUMPTIONS,
+    currency: validateCurrencySettings(s.currency),
+    allocationTargets: validateAllocationTargets(s.allocationTargets),
+    language: LANGUAGES.some((l) => l.code === s.language) ? s.language : "en",
+    scenarios,
+    activeScenarioId: scenarioOpen ? s.activeScenarioId : null,
+    parkedPlan: scenarioOpen ? validatePlan(s.parkedPlan, "parkedPlan.") : null,
+  };
+  return { ...next, categories: validateCategories(s.categories, usedCategories(next)) };
+}
+function validateAllocationTargets(a) {
+  if (!isPlainObject(a)) return DEFAULT_ALLOCATION_TARGETS;
+  const byClass = isPlainObject(a.byClass) ? a.byClass : {};
+  return {
+    byClass: Object.fromEntries(ASSET_CLASSES.map((c) => [c, Math.max(0, toNumberField(byClass[c]))])),
+    international: Math.min(1, Math.max(0, toNumberField(a.international))),
+  };
+}
+function validateCurrencySettings(c) {
+  if (!isPlainObject(c)) return DEFAULT_CURRENCY_SETTINGS;
+  const rates = {};
+  for (const [code, rate] of Object.entries(isPlainObject(c.rates) ? c.rates : {})) {
+    const n = toNumberField(rate);
+    if (n > 0) rates[code] = n;
+  }
+  return {
+    base: typeof c.base === "string" && c.base ? c.base : "USD",
+    locale: typeof c.locale === "string" ? c.locale : "",
+    rates,
+  };
+}
+
+// Undo history: theme and language are preferences, not edits
+const UNDO_IGNORED = new Set(["version", "theme", "language"]);
+const UNDO_LIMIT = 100;
+const UNDO_COALESCE_MS = 1000;
+
+const MIN_PASSPHRASE = 8;
+const AUTO_LOCK_MINUTES = [0, 1, 5, 15, 30, 60];
+const DEFAULT_AUTO_LOCK = 15;
+
+// stored is a storage read() result (or an unlocked blob).
+// { state } on success, { state: null } when nothing is saved, { error, raw } when the blob
+// can't be used (error is { code, vars } for the stateError.* messages)
+function loadPersistedState(stored) {
+  if (!stored) return { state: null };
+  if (stored.unreadable) return { error: { code: "unreadable", vars: {} }, raw: stored.unreadable };
+  try {
+    return { state: readState(stored.blob) };
+  } catch (err) {
+    return { error: stateErrorOf(err), raw: JSON.stringify(stored.blob) };
+  }
+}
+
+// Backup files
+// A backup is the persisted blob plus a small envelope, so it goes through the
+// same migrations and validation as saved data on the way back in.
+const BACKUP_APP_ID = "ikigai";
+
+function buildBackup(state) {
+  return { app: BACKUP_APP_ID, exportedAt: new Date().toISOString(), ...state, version: SCHEMA_VERSION };
+}
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+function parseBackup(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new StateError("notJson");
+  }
+  if (!isPlainObject(raw)) throw new StateError("notBackup");
+  if (raw.app !== undefined && raw.app !== BACKUP_APP_ID) throw new StateError("notBackup");
+  const { app, exportedAt, ...rest } = raw;
+  return { state: readState(rest), exportedAt: exportedAt ?? null };
+}
+
+const BACKUP_LISTS = [
+  { key: "items" },
+  { key: "goals" },
+  { key: "assets" },
+  { key: "liabilities" },
+  { key: "netWorthHistory", idOf: (x) => x.t },
+  { key: "categoryRules" },
+  { key: "ledger" },
+  { key: "scenarios" },
+  { key: "categories", idOf: (x) => x.name },
+];
+function backupLists(s) {
+  return { ...s, incomeSources: s.profile.incomeSources };
+}
+function mergeById(current, incoming, idOf = (x) => x.id) {
+  const incomingIds = new Set(incoming.map(idOf));
+  return [...current.filter((x) => !incomingIds.has(idOf(x))), ...incoming];
+}
+
+// Counts per list: how many entries a replace drops, and how many a merge adds or overwrites
+function summarizeImport(current, incoming) {
+  const cur = backupLists(current);
+  const inc = backupLists(incoming);
+  return [{ key: "incomeSources" }, ...BACKUP_LISTS].map(({ key, idOf = (x) => x.id }) => {
+    const ids = new Set(cur[key].map(idOf));
+    const updated = inc[key].filter((x) => ids.has(idOf(x))).length;
+    return { key, current: cur[key].length, incoming: inc[key].length, updated, added: inc[key].length - updated };
+  });
+}
+
+function describeCounts(summary, field, t) {
+  return summary
+    .filter((r) => r[field] > 0)
+    .map((r) => t(`backup.list.${r.key}`, { count: r[field] }))
+    .join(", ");
+}
+
+// Merge keeps everything local and lets the file win where ids (or snapshot months) collide
+function mergeStates(current, incoming) {
+  const next = { ...current };
+  for (const { key, idOf } of BACKUP_LISTS) next[key] = mergeById(current[key], incoming[key], idOf);
+  next.netWorthHistory = [...next.netWorthHistory].sort((a, b) => a.t.localeCompare(b.t));
+  next.profile = {
+    ...current.profile,
+    incomeSources: mergeById(current.profile.incomeSources, incoming.profile.incomeSources),
+  };
+  return next;
+}
+
+// Bank CSV import
+function detectDelimiter(line) {
+  const counts = [",", ";", "\t"].map((d) => [d, line.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+// Small RFC 4180 reader: quoted fields, doubled quotes, CRLF; drops blank lines
+function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const delim = detectDelimiter(src.split(/\r?\n/, 1)[0] ?? "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f.trim())) rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((f) => f.trim())) rows.push(row);
+  return rows.map((r) => r.map((f) => f.trim()));
+}
+function guessCsvColumns(header) {
+  const find = (re) => header.findIndex((h) => re.test(h));
+  return {
+    date: Math.max(0, find(/date|posted/i)),
+    description: Math.max(0, find(/desc|payee|merchant|memo|narrative|details|name/i)),
+    amount: Math.max(0, find(/amount|debit|value/i)),
+  };
+}
+function parseCsvAmount(v) {
+  const s = String(v ?? "").trim();
+  // Accounting style "(12.50)" and trailing "12.50-" both mean negative
+  const negative = /^\(.*\)$/.test(s) || /-$/.test(s);
+  const n = safeNum(s.replace(/[()]/g, "").replace(/-$/, ""));
+  return negative ? -Math.abs(n) : n;
+}
+// format: "ymd" | "mdy" | "dmy"; returns a Date or null
+function parseCsvDate(v, format) {
+  const parts = String(v ?? "").trim().split(/[^0-9]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+  let [y, m, d] = format === "ymd" ? parts : format === "mdy" ? [parts[2], parts[0], parts[1]] : [parts[2], parts[1], parts[0]];
+  if (y < 100) y += 2000;
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return new Date(y, m - 1, d);
+}
+function guessCsvDateFormat(values) {
+  const sample = values.filter(Boolean).slice(0, 50);
+  if (sample.some((v) => /^\d{4}[^0-9]/.test(v))) return "ymd";
+  // If any first part is > 12 it can't be a month
+  const firsts = sample.map((v) => Number(String(v).split(/[^0-9]+/)[0]));
+  return firsts.some((n) => n > 12) ? "dmy" : "mdy";
+}
+// First rule whose text appears in the description (case-insensitive) wins
+function matchCategoryRule(description, rules) {
+  const d = String(description ?? "").toUpperCase();
+  return rules.find((r) => r.match.trim() && d.includes(r.match.trim().toUpperCase())) ?? null;
+}
+
+// rows: raw CSV rows without the header. Spending becomes a positive amount; credits are dropped.
+function readCsvTransactions(rows, mapping, rules) {
+  const out = [];
+  for (const r of rows) {
+    const date = parseCsvDate(r[mapping.date], mapping.dateFormat);
+    const raw = parseCsvAmount(r[mapping.amount]);
+    const amount = mapping.spendingSign === "negative" ? -raw : raw;
+    if (!date || amount <= 0) continue;
+    const description = r[mapping.description] ?? "";
+    const rule = matchCategoryRule(description, rules);
+    out.push({
+      date,
+      month: monthKey(date),
+      description,
+      amount,
+      category: rule?.category ?? "Other",
+      itemName: rule?.itemName?.trim() || rule?.category || "Other",
+    });
+  }
+  return out;
+}
+
+// Average per month across every month the file covers, grouped by suggested item name
+function suggestItemsFromTransactions(txns, items) {
+  const months = new Set(txns.map((t) => t.month)).size || 1;
+  const groups = new Map();
+  for (const t of txns) {
+    const key = `${t.category}\u0000${t.itemName.toLowerCase()}`;
+    const g = groups.get(key) ?? { key, name: t.itemName, category: t.category, total: 0, count: 0 };
+    g.total += t.amount;
+    g.count += 1;
+    groups.set(key, g);
+  }
+  return Array.from(groups.values())
+    .map((g) => {
+      const existing = items.find(
+        (i) => i.category === g.category && String(i.name).trim().toLowerCase() === g.name.toLowerCase()
+      );
+      return {
+        ...g,
+        monthly: Math.round((g.total / months) * 100) / 100,
+        existingId: existing?.id ?? null,
+        existingMonthly: existing ? safeNum(existing.monthly) : null,
+      };
+    })
+    .sort((a, b) => b.monthly - a.monthly);
+}
+
+// Actual spending ledger
+function isoDate(d = new Date()) {
+  return `${monthKey(d)}-${String(d.getDate()).padStart(2, "0")}`;
+}
+function parseIsoDate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+// Same date, text and amount means the same bank transaction, so re-importing a file is harmless
+function ledgerImportKey(date, description, amount) {
+  return `${date}|${String(description).trim().toUpperCase()}|${Number(amount).toFixed(2)}`;
+}
+function ledgerForMonth(ledger, month) {
+  return ledger.filter((e) => e.date.slice(0, 7) === month);
+}
+// An entry linked to a live item follows that item's category; otherwise it keeps the one it was logged with
+function ledgerCategory(entry, itemsById) {
+  return itemsById.get(entry.itemId)?.category ?? entry.category;
+}
+
+// Per-category planned vs actual for one month's entries; variance > 0 means under plan
+function plannedVsActual(items, entries) {
+  const itemsById = new Map(items.map((i) => [i.id, i]));
+  const rows = new Map();
+  const row = (category) => {
+    if (!rows.has(category)) rows.set(category, { category, planned: 0, actual: 0, items: new Map() });
+    return rows.get(category);
+  };
+  for (const it of items) {
+    const r = row(it.category);
+    r.planned += safeNum(it.monthly);
+    r.items.set(it.id, { id: it.id, name: it.name, planned: safeNum(it.monthly), actual: 0 });
+  }
+  for (const e of entries) {
+    const r = row(ledgerCategory(e, itemsById));
+    r.actual += safeNum(e.amount);
+    const line = r.items.get(e.itemId);
+    if (line) line.actual += safeNum(e.amount);
+  }
+  return Array.from(rows.values())
+    .map((r) => ({ ...r, variance: r.planned - r.actual, items: Array.from(r.items.values()) }))
+    .sort((a, b) => Math.max(b.planned, b.actual) - Math.max(a.planned, a.actual));
+}
+
+// Retirement timeline
+// Projects month by month in today's dollars: savings stay flat in real terms and the
+// target doesn't move. Returns yearly points plus the first month the target is met.
+function projectRetirement({ start, monthlySavings, realReturn, target, maxYears = 60 }) {
+  const r = Math.pow(1 + realReturn, 1 / 12) - 1;
+  const points = [{ year: 0, portfolio: start, target }];
+  let portfolio = start;
+  let monthsToTarget = target > 0 && start >= target ? 0 : null;
+  for (let m = 1; m <= maxYears * 12; m++) {
+    portfolio = portfolio * (1 + r) + monthlySavings;
+    if (monthsToTarget === null && target > 0 && portfolio >= target) monthsToTarget = m;
+    if (m % 12 === 0) points.push({ year: m / 12, portfolio, target });
+    // Keep a few years past the crossing so the chart shows the lines separating
+    if (monthsToTarget !== null && m >= monthsToTarget + 60 && m % 12 === 0) break;
+  }
+  return { points, monthsToTarget };
+}
+
+// Investments
+function holdingsValue(holdings) {
+  return holdings.reduce((s, h) => s + safeNum(h.quantity) * safeNum(h.price), 0);
+}
+// Base-currency totals of every holding by class and region. Investment assets without holdings
+// can't be classified and are reported separately.
+function portfolioAllocation(assets, currency) {
+  const byClass = Object.fromEntries(ASSET_CLASSES.map((c) => [c, 0]));
+  const byRegion = Object.fromEntries(REGIONS.map((r) => [r, 0]));
+  let unclassified = 0;
+  for (const a of assets) {
+    if (a.holdings?.length) {
+      for (const h of a.holdings) {
+        const value = toBase(safeNum(h.quantity) * safeNum(h.price), a.currency, currency);
+        byClass[ASSET_CLASSES.includes(h.assetClass) ? h.assetClass : "Stocks"] += value;
+        byRegion[h.region === "International" ? "International" : "Domestic"] += value;
+      }
+    } else if (a.type === "Investment") {
+      unclassified += toBase(a.value, a.currency, currency);
+    }
+  }
+  const total = Object.values(byClass).reduce((s, v) => s + v, 0);
+  return { total, byClass, byRegion, unclassified };
+}
+// Drift is current share minus target share; trade is what to buy (+) or sell (-) to get back on target
+function rebalanceRows(allocation, targets) {
+  const { total, byClass } = allocation;
+  return ASSET_CLASSES.map((assetClass) => {
+    const share = total > 0 ? byClass[assetClass] / total : 0;
+    const target = safeNum(targets.byClass[assetClass]);
+    return { assetClass, value: byClass[assetClass], share, target, drift: share - target, trade: target * total - byClass[assetClass] };
+  });
+}
+
+// Bills calendar
+// Bills recur from their next due date and paychecks from their next pay date, in both
+// directions, so any month can be drawn. Month steps keep the day of month, clamped to short months.
+const BILL_STEPS = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  semiannual: { months: 6 },
+  annual: { months: 12 },
+};
+const PAY_STEPS = {
+  hourly: { days: 7 },
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  semimonthly: { months: 1 }, // plus a second date half a month later
+  monthly: { months: 1 },
+  annual: { months: 12 },
+};
+function shiftDate(anchor, step, k) {
+  if (step.days) {
+    const d = new Date(anchor);
+    d.setDate(d.getDate() + step.days * k);
+    return d;
+  }
+  const y = anchor.getFullYear();
+  const m = anchor.getMonth() + step.months * k;
+  const last = new Date(y, m + 1, 0).getDate();
+  return new Date(y, m, Math.min(anchor.getDate(), last));
+}
+// ISO dates from `from` to `to` (inclusive) that the series starting at `anchorIso` lands on
+function occurrencesBetween(anchorIso, step, from, to) {
+  const anchor = parseIsoDate(anchorIso);
+  const start = parseIsoDate(from);
+  const end = parseIsoDate(to);
+  const span = step.days ?? step.months * 31;
+  let k = Math.floor((start - anchor) / 86400000 / span) - 1;
+  const out = [];
+  for (let d = shiftDate(anchor, step, k); d <= end; d = shiftDate(anchor, step, ++k)) {
+    if (d >= start) out.push(isoDate(d));
+  }
+  return out;
+}
+function billStep(item) {
+  if (item.frequency === "custom") return { months: Math.max(1, Math.round(safeNum(item.everyMonths) || 1)) };
+  return BILL_STEPS[item.frequency] ?? BILL_STEPS.monthly;
+}
+// Everything due or paid between two ISO dates, in the base currency, sorted by date (pay before bills on a day)
+function calendarEvents(items, incomeSources, currency, from, to) {
+  const events = [];
+  for (const it of items) {
+    if (!it.dueDate) continue;
+    for (const date of occurrencesBetween(it.dueDate, billStep(it), from, to)) {
+      if (!isItemActiveIn(it, date.slice(0, 7))) continue;
+      events.push({
+        date,
+        kind: "bill",
+        id: it.id,
+        name: it.name,
+        category: it.category,
+        needWant: it.needWant,
+        amount: safeNum(it.amount ?? it.monthly),
+      });
+    }
+  }
+  for (const src of incomeSources) {
+    if (!src.payDate) continue;
+    // A bonus is paid once, on its date
+    if (src.frequency === "bonus") {
+      if (src.payDate >= from && src.payDate <= to) {
+        events.push({ date: src.payDate, kind: "pay", id: src.id, name: src.name, amount: toBase(src.payout, src.currency, currency) });
+      }
+      continue;
+    }
+    const step = PAY_STEPS[src.frequency] ?? PAY_STEPS.monthly;
+    const perYear = src.frequency === "semimonthly" ? 24 : src.frequency === "hourly" ? 52 : PAYS_PER_YEAR[src.frequency] ?? 12;
+    const amount = toBase((safeNum(src.monthly) * 12) / perYear, src.currency, currency);
+    const dates = occurrencesBetween(src.payDate, step, from, to);
+    if (src.frequency === "semimonthly") {
+      const second = parseIsoDate(src.payDate);
+      second.setDate(second.getDate() + 15);
+      dates.push(...occurrencesBetween(isoDate(second), step, from, to));
+    }
+    for (const date of dates) events.push({ date, kind: "pay", id: src.id, name: src.name, amount });
+  }
+  return events.sort((a, b) => a.date.localeCompare(b.date) || (a.kind === "pay" ? -1 : 1) - (b.kind === "pay" ? -1 : 1));
+}
+// Same colors as the spending pie
+function spendingColor(name, mode, categories) {
+  if (mode === "category") return categories.find((c) => c.name === name)?.color ?? CATEGORY_FALLBACK_COLOR;
+  if (name === "need") return "rgba(47,127,111,0.78)";
+  if (name === "want") return "rgba(58,159,191,0.78)";
+  return "#9aa3af";
+}
+// Lighter steps of a category color for the slices one level down
+function shadeColor(hex, i, n) {
+  const k = n > 1 ? (i / (n - 1)) * 0.55 : 0;
+  const channels = [1, 3, 5].map((p) => parseInt(hex.slice(p, p + 2), 16));
+  return `#${channels.map((c) => Math.round(c + (255 - c) * k).toString(16).padStart(2, "0")).join("")}`;
+}
+// "#Kids, school  #kids" -> ["kids", "school"]
+function parseTags(text) {
+  const tags = String(text)
+    .split(/[\s,]+/)
+    .map((x) => x.replace(/^#+/, "").toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Net worth history
+// One snapshot per month, in the base currency, with asset totals by type so the chart can stack them
+function netWorthSnapshot(t, assets, liabilities, currency) {
+  const byType = Object.fromEntries(ASSET_TYPES.map((type) => [type, 0]));
+  for (const a of assets) {
+    const type = ASSET_TYPES.includes(a.type) ? a.type : "Other";
+    byType[type] += toBase(a.value, a.currency, currency);
+  }
+  const owed = liabilities.reduce((s, l) => s + toBase(l.balance, l.currency, currency), 0);
+  return { t, value: sumBreakdown(byType, owed), byType, liabilities: owed };
+}
+function sumBreakdown(byType, liabilities) {
+  return Object.values(byType).reduce((s, v) => s + safeNum(v), 0) - safeNum(liabilities);
+}
+// Replaces the month's snapshot if there is one, keeping the list sorted by month
+function upsertSnapshot(history, snap) {
+  return [...history.filter((x) => x.t !== snap.t), snap].sort((a, b) => a.t.localeCompare(b.t));
+}
+
+// Debt payoff
+// Liabilities carry an APR (decimal), a minimum payment and an optional extra payment,
+// in their own currency. The planner works in the base currency.
+const DEBT_CATEGORY = "Debt payments";
+const DEBT_STRATEGIES = ["avalanche", "snowball"];
+
+function debtsInBase(liabilities, currency) {
+  return liabilities
+    .map((l) => ({
+      id: l.id,
+      name: l.name,
+      balance: toBase(l.balance, l.currency, currency),
+      rate: Math.max(0, safeNum(l.rate)),
+      minPayment: toBase(l.minPayment, l.currency, currency),
+      extraPayment: toBase(l.extraPayment, l.currency, currency),
+    }))
+    .filter((d) => d.balance > 0);
+}
+
+// Month by month: every debt gets its minimum, and the pooled extra (plus minimums freed
+// by debts already paid off) goes to the first unpaid debt in strategy order.
+// Avalanche targets the highest rate first, snowball the smallest balance.
+function simulatePayoff(debts, strategy, maxMonths = 600) {
+  const order = [...debts].sort((a, b) =>
+    strategy === "avalanche" ? b.rate - a.rate || a.balance - b.balance : a.balance - b.balance || b.rate - a.rate
+  );
+  const budget = debts.reduce((s, d) => s + d.minPayment + d.extraPayment, 0);
+  const balance = new Map(debts.map((d) => [d.id, d.balance]));
+  const schedules = new Map(debts.map((d) => [d.id, []]));
+  const paidOffMonth = new Map();
+  const timeline = [{ month: 0, total: debts.reduce((s, d) => s + d.balance, 0) }];
+  let totalInterest = 0;
+  let month = 0;
+  while (month < maxMonths && order.some((d) => balance.get(d.id) > 0.005)) {
+    month += 1;
+    const rows = new Map();
+    for (const d of order) {
+      const bal = balance.get(d.id);
+      if (bal <= 0.005) continue;
+      const interest = (bal * d.rate) / 12;
+      totalInterest += interest;
+      rows.set(d.id, { interest, payment: 0 });
+      balance.set(d.id, bal + interest);
+    }
+    let available = budget;
+    const pay = (id, amount) => {
+      const p = Math.min(amount, balance.get(id), available);
+      balance.set(id, balance.get(id) - p);
+      rows.get(id).payment += p;
+      available -= p;
+    };
+    for (const d of order) if (rows.has(d.id)) pay(d.id, d.minPayment);
+    for (const d of order) if (rows.has(d.id) && available > 0) pay(d.id, available);
+    for (const [id, row] of rows) {
+      const end = Math.max(0, balance.get(id));
+      schedules.get(id).push({ month, payment: row.payment, interest: row.interest, principal: row.payment - row.interest, balance: end });
+      if (end <= 0.005 && !paidOffMonth.has(id)) paidOffMonth.set(id, month);
+    }
+    timeline.push({ month, total: order.reduce((s, d) => s + Math.max(0, balance.get(d.id)), 0) });
+  }
+  const done = order.every((d) => balance.get(d.id) <= 0.005);
+  return { order: order.map((d) => d.id), months: done ? month : null, totalInterest, schedules, paidOffMonth, timeline };
+}
+
+// Keeps one spending item in the Debt payments category equal to what the liabilities pay
+function syncDebtItem(items, total) {
+  const linked = items.find((i) => i.linked === "debts");
+  const monthly = Math.round(total * 100) / 100;
+  if (monthly <= 0) return linked ? items.filter((i) => i !== linked) : items;
+  if (linked) return linked.monthly === monthly ? items : items.map((i) => (i === linked ? { ...i, monthly, amount: monthly } : i));
+  return [
+    {
+      id: uid(),
+      name: DEBT_CATEGORY,
+      category: DEBT_CATEGORY,
+      monthly,
+      frequency: "monthly",
+      amount: monthly,
+      needWant: "need",
+      temporary: false,
+      endDate: "",
+      subcategory: "",
+      tags: [],
+      linked: "debts",
+    },
+    ...items,
+  ];
+}
+
+// Goals
+// A goal's current amount is the sum of its contribution log (withdrawals are negative);
+// the opening entry holds whatever was saved before the log existed.
+function contributionsTotal(contributions) {
+  return Math.round(contributions.reduce((s, c) => s + safeNum(c.amount), 0) * 100) / 100;
+}
+// Average net contribution per month over the last few complete months, leaving out the opening
+// entry; the month in progress only counts while it is all there is. null until there is real history.
+function contributionPace(contributions, now, months = 3) {
+  const real = contributions.filter((c) => !c.opening);
+  if (!real.length) return null;
+  const nowKey = monthKey(now);
+  const sum = (list) => list.reduce((s, c) => s + safeNum(c.amount), 0);
+  const firstKey = real.reduce((m, c) => (c.date.slice(0, 7) < m ? c.date.slice(0, 7) : m), nowKey);
+  const complete = Math.min(months, monthsBetweenKeys(firstKey, nowKey));
+  if (complete <= 0) return sum(real);
+  const fromKey = addMonthsToKey(nowKey, -complete);
+  return sum(real.filter((c) => c.date.slice(0, 7) >= fromKey && c.date.slice(0, 7) < nowKey)) / complete;
+}
+// When a goal without a log started: its own start or creation date if it has one, else the
+// time in an id made by uid()'s Date.now() fallback, else today
+function goalOpeningDate(g) {
+  for (const d of [g.startDate, g.createdAt]) if (typeof d === "string" && /^\d{4}-\d{2}-\d{2}/.test(d)) return d.slice(0, 10);
+  const stamp = /^\d{13}(\.\d+)?$/.test(String(g.id)) ? Math.floor(Number(g.id)) : NaN;
+  return stamp > Date.UTC(2015, 0, 1) && stamp <= Date.now() ? isoDate(new Date(stamp)) : isoDate();
+}
+// Month by month: the saved balance so far, and the straight line from the first entry to the target by the end date
+function goalProgressSeries(g, now) {
+  const log = g.contributions ?? [];
+  const nowKey = monthKey(now);
+  const startKey = log.reduce((m, c) => (c.date.slice(0, 7) < m ? c.date.slice(0, 7) : m), nowKey);
+  const endKey = g.endDate && g.endDate.slice(0, 7) > nowKey ? g.endDate.slice(0, 7) : nowKey;
+  const span = monthsBetweenKeys(startKey, endKey);
+  const total = (key) => log.filter((c) => c.date.slice(0, 7) <= key).reduce((s, c) => s + safeNum(c.amount), 0);
+  const startValue = total(startKey);
+  return Array.from({ length: span + 1 }, (_, i) => {
+    const key = addMonthsToKey(startKey, i);
+    return {
+      t: key,
+      saved: key <= nowKey ? total(key) : null,
+      pace: g.endDate && span > 0 ? startValue + ((safeNum(g.target) - startValue) * i) / span : null,
+    };
+  });
+}
+
+function goalProgressOf(g, now) {
+  const target = safeNum(g.target);
+  const current = safeNum(g.current);
+  const monthly = safeNum(g.monthly);
+  const mLeft = g.endDate ? monthsBetween(now, g.endDate) : null;
+  // Once contributions are logged, on track means what is actually going in, not the plan
+  const pace = contributionPace(g.contributions ?? [], now);
+
+  let pct = 0; // current-only
+  let projectedPct = 0; // current + monthly * horizon
+  let status = null;
+
+  if (target > 0) {
+    pct = clamp01(current / target);
+
+    const horizon = mLeft !== null ? mLeft : 12;
+    projectedPct = clamp01((current + monthly * horizon) / target);
+
+    if (mLeft !== null && mLeft > 0) {
+      const required = Math.max(0, target - current) / mLeft;
+      status = (pace ?? monthly) >= required ? "on_track" : "behind";
+    }
+  }
+
+  return { id: g.id, pct, projectedPct, status, mLeft, pace };
+}
+
+// Splitting the monthly leftover across goals, in their drag (priority) order.
+// A goal with an end date needs its remaining amount spread over the months left; one without
+// can take everything that's left to reach its target.
+const GOAL_ALLOCATION_MODES = ["ordered", "proportional", "deadlines"];
+function goalNeed(g, now) {
+  const remaining = Math.max(0, safeNum(g.target) - safeNum(g.current));
+  const mLeft = g.endDate ? monthsBetween(now, g.endDate) : null;
+  return { remaining, pace: mLeft ? remaining / mLeft : remaining, deadline: mLeft !== null };
+}
+function allocateLeftover(goals, leftover, mode, now) {
+  const needs = new Map(goals.map((g) => [g.id, goalNeed(g, now)]));
+  const out = new Map(goals.map((g) => [g.id, 0]));
+  let budget = Math.max(0, leftover);
+  const give = (id, amount) => {
+    const a = Math.max(0, Math.min(amount, budget));
+    out.set(id, out.get(id) + a);
+    budget -= a;
+  };
+  if (mode === "proportional") {
+    // Shares of goals that hit their need go back into the pot for the others
+    let open = goals.filter((g) => needs.get(g.id).pace > 0);
+    while (open.length && budget > 0.01) {
+      const total = open.reduce((s, g) => s + needs.get(g.id).remaining, 0);
+      const pool = budget;
+      for (const g of open) give(g.id, Math.min(needs.get(g.id).pace - out.get(g.id), (pool * needs.get(g.id).remaining) / total));
+      const before = open.length;
+      open = open.filter((g) => needs.get(g.id).pace - out.get(g.id) > 0.01);
+      if (open.length === before) break;
+    }
+  } else {
+    // "deadlines" first pays every dated goal its pace, soonest first; "ordered" just walks the list
+    const first =
+      mode === "deadlines"
+        ? goals
+            .filter((g) => needs.get(g.id).deadline)
+            .sort((a, b) => a.endDate.localeCompare(b.endDate))
+        : [];
+    for (const g of first) give(g.id, needs.get(g.id).pace);
+    for (const g of goals) if (!first.includes(g)) give(g.id, needs.get(g.id).pace);
+  }
+  for (const [id, v] of out) out.set(id, Math.floor(v));
+  return out;
+}
+
+// What-if scenarios
+// A scenario is a named copy of the plan lists. Whichever plan is open lives in the
+// normal state; the others (and the real plan, while a scenario is open) are stored
+// as snapshots until they are opened again.
+function copyPlan(plan) {
+  return JSON.parse(JSON.stringify(plan));
+}
+
+// The numbers the comparison view lines up, computed the same way the tabs do
+function planMetrics(plan, { currency, swr, realReturn, includeTemporary, month, now }) {
+  const income = plan.incomeSources.reduce((s, x) => s + toBase(x.monthly, x.currency, currency), 0);
+  const active = plan.items.filter((i) => isItemActiveIn(i, month));
+  const spending = active.reduce((s, i) => s + safeNum(i.monthly), 0);
+  const retirementSpending = includeTemporary
+    ? spending
+    : active.filter((i) => !i.temporary).reduce((s, i) => s + safeNum(i.monthly), 0);
+  const leftover = Math.max(0, income - spending);
+  const netWorth =
+    plan.assets.reduce((s, a) => s + toBase(a.value, a.currency, currency), 0) -
+    plan.liabilities.reduce((s, l) => s + toBase(l.balance, l.currency, currency), 0);
+  const retirementTarget = swr > 0 ? (retirementSpending * 12) / swr : 0;
+  const { monthsToTarget } = projectRetirement({ start: netWorth, monthlySavings: leftover, realReturn, target: retirementTarget });
+  const statuses = plan.goals.map((g) => goalProgressOf(g, now).status);
+  return {
+    income,
+    spending,
+    leftover,
+    savingsRate: income > 0 ? clamp01(leftover / income) : 0,
+    netWorth,
+    retirementTarget,
+    yearsToTarget: retirementTarget > 0 && monthsToTarget !== null ? monthsToTarget / 12 : null,
+    goalsOnTrack: statuses.filter((x) => x === "on_track").length,
+    goalsBehind: statuses.filter((x) => x === "behind").length,
+  };
+}
+
 function Tip({ text }) {
+  const t = useT();
   const [open, setOpen] = useState(false);
   const [pos, setPos] = useState({ top: 12, left: 12 });
 
@@ -204,7 +1686,7 @@ function Tip({ text }) {
       <button
         type="button"
         className="tip-i"
-        aria-label="Info"
+        aria-label={t("common.info")}
         onClick={(e) => {
           if (!isHoverDesktop) {
             open ? setOpen(false) : openAt(e);
@@ -230,6 +1712,76 @@ function Tip({ text }) {
   );
 }
 
+// Empty value means "same as base"
+function CurrencySelect({ value, base, onChange, style }) {
+  const t = useT();
+  return (
+    <select
+      value={value && value !== base ? value : ""}
+      onChange={(e) => onChange(e.target.value || undefined)}
+      aria-label={t("currency.label")}
+      style={{ width: "auto", ...style }}
+    >
+      <option value="">{base}</option>
+      {CURRENCIES.filter((c) => c !== base).map((c) => (
+        <option key={c} value={c}>{c}</option>
+      ))}
+    </select>
+  );
+}
+
+// How often a spending item is billed; "custom" asks for the number of months between bills
+function BillingFrequencySelect({ frequency, everyMonths, onChange }) {
+  const t = useT();
+  return (
+    <div className="row" style={{ gap: 8, alignItems: "center" }}>
+      <select
+        value={frequency ?? "monthly"}
+        onChange={(e) => onChange({ frequency: e.target.value })}
+        aria-label={t("billing.label")}
+        style={{ flex: 1 }}
+      >
+        {BILLING_FREQUENCIES.map((f) => (
+          <option key={f} value={f}>{t(`billing.${f}`)}</option>
+        ))}
+      </select>
+      {frequency === "custom" ? (
+        <label className="row small" style={{ gap: 6, alignItems: "center", whiteSpace: "nowrap" }}>
+          {t("billing.every")}
+          <input
+            className="input"
+            inputMode="numeric"
+            value={everyMonths ?? ""}
+            onChange={(e) => onChange({ everyMonths: e.target.value })}
+            placeholder="2"
+            style={{ width: 56 }}
+          />
+          {t("billing.months")}
+        </label>
+      ) : null}
+    </div>
+  );
+}
+
+// A numeric field that keeps the typed text ("6.", "0.0", "") while focused, so values can be
+// typed naturally; every change still commits the parsed number, and blur shows it formatted
+function NumberInput({ value, onChange, format = String, parse = safeNum, ...props }) {
+  const [draft, setDraft] = useState(null);
+  return (
+    <input
+      className="input"
+      inputMode="decimal"
+      {...props}
+      value={draft ?? format(value)}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        onChange(parse(e.target.value));
+      }}
+      onBlur={() => setDraft(null)}
+    />
+  );
+}
+
 function Pill({ active, label, onClick }) {
   return (
     <button type="button" onClick={onClick} className={"pill " + (active ? "active" : "")}>
@@ -239,17 +1791,20 @@ function Pill({ active, label, onClick }) {
 }
 
 function NeedWantBadge({ value }) {
+  const t = useT();
   const isNeed = value === "need";
   const Icon = isNeed ? Shield : Sparkles;
+  const label = isNeed ? t("needWant.need") : t("needWant.want");
   return (
-    <span className={"badge " + (isNeed ? "good" : "warn")} title={isNeed ? "Need" : "Want"}>
+    <span className={"badge " + (isNeed ? "good" : "warn")} title={label}>
       <Icon size={14} />
-      {isNeed ? "Need" : "Want"}
+      {label}
     </span>
   );
 }
 
 function BucketTile({ title, subtitle, currentPct, projectedPct, footer, status, onClick }) {
+  const t = useT();
   const cur = clamp01(currentPct);
   const proj = clamp01(projectedPct);
 
@@ -303,45 +1858,362 @@ const PROJECTED = `repeating-linear-gradient(
   }}
 />
 
-      <div style={{ position: "relative", zIndex: 3 }}>
-        <div className="row" style={{ alignItems: "flex-start" }}>
-          <div style={{ flex: 1 }}>
-            <div style={{ fontWeight: 750 }}>{title}</div>
-            {subtitle ? (
-              <div className="small muted" style={{ marginTop: 4 }}>
-                {subtitle}
+      <div style={{ position: "relative", zIndex: 3 }}>
+        <div className="row" style={{ alignItems: "flex-start" }}>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: 750 }}>{title}</div>
+            {subtitle ? (
+              <div className="small muted" style={{ marginTop: 4 }}>
+                {subtitle}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="row" style={{ gap: 8, alignItems: "center" }}>
+            {status ? (
+              <span className={"badge " + (status === "on_track" ? "good" : "warn")}>
+                {status === "on_track" ? t("goals.onTrack") : t("goals.behind")}
+              </span>
+            ) : null}
+            <div style={{ fontWeight: 850 }}>{Math.round(cur * 100)}%</div>
+          </div>
+        </div>
+
+        <div
+          className="row"
+          style={{ alignItems: "center", justifyContent: "space-between", marginTop: 10 }}
+        >
+          <div className="small muted">{footer ?? ""}</div>
+          
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function CsvImport({ rules, setRules, items, categories, onApply, onLogActuals, onClose }) {
+  const t = useT();
+  const [file, setFile] = useState(null); // { name, header, rows }
+  const [error, setError] = useState("");
+  const [mapping, setMapping] = useState(null); // { date, description, amount, dateFormat, spendingSign }
+  const [skipped, setSkipped] = useState(() => new Set()); // suggestion keys the user unticked
+
+  async function readFile(f) {
+    if (!f) return;
+    setError("");
+    try {
+      const all = parseCsv(await f.text());
+      if (all.length < 2) {
+        setFile(null);
+        setMapping(null);
+        setError(t("csv.noTransactions"));
+        return;
+      }
+      const [header, ...rows] = all;
+      const cols = guessCsvColumns(header);
+      const amounts = rows.map((r) => parseCsvAmount(r[cols.amount]));
+      setFile({ name: f.name, header, rows });
+      setMapping({
+        ...cols,
+        dateFormat: guessCsvDateFormat(rows.map((r) => r[cols.date])),
+        // Most bank exports show card spending as negative numbers
+        spendingSign: amounts.filter((n) => n < 0).length >= amounts.filter((n) => n > 0).length ? "negative" : "positive",
+      });
+      setSkipped(new Set());
+    } catch (err) {
+      setFile(null);
+      setMapping(null);
+      setError(t("csv.unreadable"));
+    }
+  }
+
+  const txns = useMemo(
+    () => (file && mapping ? readCsvTransactions(file.rows, mapping, rules) : []),
+    [file, mapping, rules]
+  );
+  const suggestions = useMemo(() => suggestItemsFromTransactions(txns, items), [txns, items]);
+  const months = useMemo(() => new Set(txns.map((x) => x.month)).size, [txns]);
+  const selected = suggestions.filter((sg) => !skipped.has(sg.key));
+
+  function setRule(id, patch) {
+    setRules((arr) => arr.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  return (
+    <div className="note">
+      <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between" }}>
+        <div style={{ flex: 1 }}>
+          <div style={{ fontWeight: 850 }}>{t("csv.title")}</div>
+          <div className="small muted" style={{ marginTop: 4 }}>{t("csv.intro")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("common.close")}</button>
+      </div>
+
+      <div className="row" style={{ marginTop: 12, alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+        <label className="btn outline" style={{ cursor: "pointer" }}>
+          {file ? t("csv.chooseAnother") : t("csv.choose")}
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              readFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        {file ? <span className="small muted">{file.name} • {t("csv.rows", { count: file.rows.length })}</span> : null}
+        {error ? <span className="small">{error}</span> : null}
+      </div>
+
+      {file && mapping ? (
+        <>
+          <div className="divider" />
+          <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 750 }}>{t("csv.columns")}</div>
+            <Tip text={t("csv.columnsTip")} />
+          </div>
+          <div className="grid-3" style={{ marginTop: 10 }}>
+            {["date", "description", "amount"].map((key) => (
+              <div key={key} className="field">
+                <div className="label">{t(`csv.column.${key}`)}</div>
+                <select value={mapping[key]} onChange={(e) => setMapping((m) => ({ ...m, [key]: Number(e.target.value) }))}>
+                  {file.header.map((h, i) => (
+                    <option key={i} value={i}>{h || t("csv.columnN", { n: i + 1 })}</option>
+                  ))}
+                </select>
               </div>
-            ) : null}
+            ))}
+          </div>
+          <div className="grid-2" style={{ marginTop: 10 }}>
+            <div className="field">
+              <div className="label">{t("csv.dateFormat")}</div>
+              <select value={mapping.dateFormat} onChange={(e) => setMapping((m) => ({ ...m, dateFormat: e.target.value }))}>
+                <option value="ymd">{t("csv.dateFormat.ymd")}</option>
+                <option value="mdy">{t("csv.dateFormat.mdy")}</option>
+                <option value="dmy">{t("csv.dateFormat.dmy")}</option>
+              </select>
+            </div>
+            <div className="field">
+              <div className="label">{t("csv.spendingSign")}</div>
+              <select value={mapping.spendingSign} onChange={(e) => setMapping((m) => ({ ...m, spendingSign: e.target.value }))}>
+                <option value="negative">{t("csv.spendingSign.negative")}</option>
+                <option value="positive">{t("csv.spendingSign.positive")}</option>
+              </select>
+            </div>
           </div>
 
-          <div className="row" style={{ gap: 8, alignItems: "center" }}>
-            {status ? (
-              <span className={"badge " + (status === "on_track" ? "good" : "warn")}>
-                {status === "on_track" ? "On track" : "Behind"}
-              </span>
-            ) : null}
-            <div style={{ fontWeight: 850 }}>{Math.round(cur * 100)}%</div>
+          <div className="small muted" style={{ marginTop: 10 }}>
+            {t("csv.summary", { transactions: t("csv.transactions", { count: txns.length }), months: t("common.months", { count: months }) })}
           </div>
-        </div>
+          <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 8 }}>
+            {txns.slice(0, 5).map((tx, i) => (
+              <div key={i} className="row small" style={{ justifyContent: "space-between", gap: 10 }}>
+                <span className="muted" style={{ minWidth: 86 }}>{tx.date.toLocaleDateString(t.language)}</span>
+                <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{tx.description}</span>
+                <span className="muted">{t.label("category", tx.category)}</span>
+                <b>{formatMoney(tx.amount)}</b>
+              </div>
+            ))}
+          </div>
+        </>
+      ) : null}
 
-        <div
-          className="row"
-          style={{ alignItems: "center", justifyContent: "space-between", marginTop: 10 }}
-        >
-          <div className="small muted">{footer ?? ""}</div>
-          
+      <div className="divider" />
+      <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
+        <div style={{ fontWeight: 750 }}>{t("csv.rules")}</div>
+        <Tip text={t("csv.rulesTip")} />
+      </div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+        {rules.map((r) => (
+          <div key={r.id} className="row" style={{ alignItems: "center", gap: 8 }}>
+            <input className="input" value={r.match} placeholder={t("csv.contains")} onChange={(e) => setRule(r.id, { match: e.target.value })} />
+            <span className="small muted">→</span>
+            <select value={r.category} onChange={(e) => setRule(r.id, { category: e.target.value })}>
+              {categoryOptions(categories, r.category, t)}
+            </select>
+            <input
+              className="input"
+              value={r.itemName ?? ""}
+              placeholder={getCategoryPlaceholder(r.category, t, categories)}
+              onChange={(e) => setRule(r.id, { itemName: e.target.value })}
+            />
+            <button className="btn ghost" onClick={() => setRules((arr) => arr.filter((x) => x.id !== r.id))} title={t("csv.removeRule")}>
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+        <div>
+          <button className="btn" onClick={() => setRules((arr) => [...arr, { id: uid(), match: "", category: "Other", itemName: "" }])}>
+            <Plus size={16} /> {t("csv.addRule")}
+          </button>
         </div>
       </div>
+
+      {suggestions.length > 0 ? (
+        <>
+          <div className="divider" />
+          <div style={{ fontWeight: 750 }}>{t("csv.suggested")}</div>
+          <div className="small muted" style={{ marginTop: 4 }}>{t("csv.suggestedHint")}</div>
+          <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+            {suggestions.map((sg) => (
+              <label key={sg.key} className="tile row small" style={{ alignItems: "center", gap: 10, padding: 10 }}>
+                <input
+                  type="checkbox"
+                  style={{ width: "auto" }}
+                  checked={!skipped.has(sg.key)}
+                  onChange={(e) =>
+                    setSkipped((prev) => {
+                      const next = new Set(prev);
+                      if (e.target.checked) next.delete(sg.key);
+                      else next.add(sg.key);
+                      return next;
+                    })
+                  }
+                />
+                <div style={{ flex: 1 }}>
+                  <b>{sg.name}</b>
+                  <div className="muted">
+                    {t.label("category", sg.category)} • {t("csv.transactions", { count: sg.count })}
+                  </div>
+                </div>
+                <span className={"badge " + (sg.existingId ? "warn" : "good")}>
+                  {sg.existingId ? t("csv.updateFrom", { amount: formatMoney(sg.existingMonthly) }) : t("csv.new")}
+                </span>
+                <b>{t("common.perMonth", { amount: formatMoney(sg.monthly) })}</b>
+              </label>
+            ))}
+          </div>
+          <div className="row" style={{ justifyContent: "flex-end", marginTop: 10, flexWrap: "wrap" }}>
+            <button className="btn" onClick={() => onLogActuals(txns)} title={t("csv.logActualsTitle")}>
+              {t("csv.logActuals", { count: txns.length })}
+            </button>
+            <button className="btn primary" disabled={selected.length === 0} onClick={() => onApply(selected)}>
+              {t("csv.apply", { count: selected.length })}
+            </button>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+// Shown instead of the app while the saved plan is passphrase-encrypted
+function UnlockScreen({ envelope, onUnlock, onErase }) {
+  const t = useMemo(() => createTranslator(detectLanguage()), []);
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmErase, setConfirmErase] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!passphrase || busy) return;
+    setBusy(true);
+    setError(null);
+    try {
+      onUnlock(await unseal(envelope, passphrase));
+    } catch {
+      setBusy(false);
+      setError(t("lock.wrong"));
+    }
+  }
+
+  return (
+    <div className="container" style={{ maxWidth: 440, paddingTop: 80 }}>
+      <div className="card">
+        <form className="card-body" onSubmit={submit} style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+          <h2 className="h1">{t("lock.title")}</h2>
+          <p className="sub">{t("lock.sub")}</p>
+          <input
+            className="input"
+            type="password"
+            autoFocus
+            autoComplete="current-password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder={t("lock.passphrase")}
+            aria-label={t("lock.passphrase")}
+          />
+          {error ? <div className="small" style={{ color: "#ef4444" }}>{error}</div> : null}
+          <button type="submit" className="btn primary" disabled={!passphrase || busy}>
+            {busy ? t("lock.unlocking") : t("lock.unlock")}
+          </button>
+          {confirmErase ? (
+            <div className="note">
+              <div className="small">{t("lock.eraseWarning")}</div>
+              <div className="row" style={{ gap: 8, marginTop: 8 }}>
+                <button type="button" className="btn" style={{ color: "#ef4444" }} onClick={onErase}>{t("lock.erase")}</button>
+                <button type="button" className="btn ghost" onClick={() => setConfirmErase(false)}>{t("common.cancel")}</button>
+              </div>
+            </div>
+          ) : (
+            <button type="button" className="btn ghost small" onClick={() => setConfirmErase(true)}>{t("lock.forgot")}</button>
+          )}
+        </form>
+      </div>
     </div>
   );
 }
 
+// The passphrase gate: the planner only mounts once the saved plan is read (and unlocked)
 export default function App() {
+  const [storage] = useState(createStorage);
+  const [gate, setGate] = useState(null); // null while reading | { envelope } | { persisted, lock }
+  const [applyUpdate, setApplyUpdate] = useState(null);
+
+  async function open() {
+    const stored = await storage.read().catch(() => null);
+    setGate(stored?.envelope ? { envelope: stored.envelope } : { persisted: loadPersistedState(stored), lock: null });
+  }
+  useEffect(() => {
+    open();
+    registerServiceWorker((apply) => setApplyUpdate(() => apply));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  if (!gate) return null;
+  if (gate.envelope) {
+    return (
+      <UnlockScreen
+        envelope={gate.envelope}
+        onUnlock={({ text, lock }) => {
+          const persisted = loadPersistedState({ blob: JSON.parse(text) });
+          // A locked plan that can't be used is set aside still sealed, never as plain text
+          setGate({ persisted: persisted.error ? { ...persisted, raw: JSON.stringify(gate.envelope) } : persisted, lock });
+        }}
+        onErase={async () => {
+          await storage.clear().catch(() => {});
+          setGate({ persisted: { state: null }, lock: null });
+        }}
+      />
+    );
+  }
+  return (
+    <Planner
+      storage={storage}
+      persisted={gate.persisted}
+      initialLock={gate.lock}
+      applyUpdate={applyUpdate}
+      onLock={() => {
+        setGate(null);
+        open();
+      }}
+    />
+  );
+}
+
+function Planner({ storage, persisted, initialLock, applyUpdate, onLock }) {
   // App state
-  const [activeTab, setActiveTab] = useState("home"); // home | ikigai | goals | networth | retirement | about
+  const [activeTab, setActiveTab] = useState("home"); // home | ikigai | actuals | calendar | goals | networth | retirement | scenarios | about
   const [drawerOpen, setDrawerOpen] = useState(false);
 
-  const [theme, setTheme] = useState(() => localStorage.getItem("ikigai_theme") || "light");
+  const [loadError, setLoadError] = useState(null);
+  const [loaded, setLoaded] = useState(false); // the saved plan (or its absence) has been applied
+  const [newerElsewhere, setNewerElsewhere] = useState(false); // a newer app version saved the plan since
+  const [updateDismissed, setUpdateDismissed] = useState(false);
+
+  const [theme, setTheme] = useState(() => persisted.state?.theme ?? "light");
 
   const [onboardingStep, setOnboardingStep] = useState(1);
   const [onboardingDone, setOnboardingDone] = useState(false);
@@ -355,13 +2227,21 @@ export default function App() {
   const [quickDraft, setQuickDraft] = useState({
     name: "",
     category: "Other",
-    monthly: "",
+    amount: "",
+    frequency: "monthly",
+    everyMonths: "",
     needWant: "need",
     temporary: false,
+    startDate: "",
     endDate: "",
   });
+  const [endedOpen, setEndedOpen] = useState(false);
+  const [calendarMonth, setCalendarMonth] = useState(() => monthKey());
+  const [calendarCash, setCalendarCash] = useState(""); // blank = cash assets
 
   const [goals, setGoals] = useState([]);
+  const [contributionDraft, setContributionDraft] = useState({ date: isoDate(), amount: "", kind: "contribution", note: "" });
+  const [goalAllocationMode, setGoalAllocationMode] = useState("ordered"); // ordered | proportional | deadlines
   const [goalDraft, setGoalDraft] = useState({
     name: "",
     category: "Emergency",
@@ -373,18 +2253,54 @@ export default function App() {
 
   const [assets, setAssets] = useState([]);
   const [liabilities, setLiabilities] = useState([]);
-  const [assetDraft, setAssetDraft] = useState({ name: "", value: "", type: "Investment" });
-  const [liabDraft, setLiabDraft] = useState({ name: "", balance: "" });
+  const [assetDraft, setAssetDraft] = useState({ name: "", value: "", type: "Investment", currency: "" });
+  const [holdingsAssetId, setHoldingsAssetId] = useState(null);
+  const [liabDraft, setLiabDraft] = useState({ name: "", balance: "", currency: "" });
+  const [snapshotDraft, setSnapshotDraft] = useState({ t: "", value: "" });
+  const [historyView, setHistoryView] = useState("total"); // total | byType
+  const [editingSnapshot, setEditingSnapshot] = useState(null); // month key
+  const [payoffStrategy, setPayoffStrategy] = useState("avalanche"); // avalanche | snowball
+  const [payoffScheduleId, setPayoffScheduleId] = useState(null);
   const [netWorthHistory, setNetWorthHistory] = useState([]);
 
+  const [categoryRules, setCategoryRules] = useState(DEFAULT_CATEGORY_RULES);
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [categoryManagerOpen, setCategoryManagerOpen] = useState(false);
+  const [categoryDraft, setCategoryDraft] = useState("");
+  const [csvImportOpen, setCsvImportOpen] = useState(false);
+
+  const [scenarios, setScenarios] = useState([]);
+  const [activeScenarioId, setActiveScenarioId] = useState(null); // null = the real plan is open
+  const [parkedPlan, setParkedPlan] = useState(null); // the real plan while a scenario is open
+  const [scenarioDraft, setScenarioDraft] = useState("");
+
+  const [ledger, setLedger] = useState([]);
+  const [ledgerMonth, setLedgerMonth] = useState(() => monthKey());
+  const [ledgerDraft, setLedgerDraft] = useState({ date: isoDate(), target: "", amount: "", note: "" });
+  const [pieSource, setPieSource] = useState("planned"); // planned | actual
+
   const [spendingView, setSpendingView] = useState("monthly"); // monthly | annual
   const [spendListView, setSpendListView] = useState("monthly"); // monthly | annual (list rows)
   const [goalListView, setGoalListView] = useState("monthly"); // monthly | annual (list rows)
   const [retirementView, setRetirementView] = useState("ongoing"); // ongoing | all
-  const [swr, setSwr] = useState(0.04);
+  const [swr, setSwr] = useState(() => persisted.state?.swr ?? 0.04);
+  const [retirementAssumptions, setRetirementAssumptions] = useState(DEFAULT_RETIREMENT_ASSUMPTIONS);
+  const [allocationTargets, setAllocationTargets] = useState(DEFAULT_ALLOCATION_TARGETS);
+  const [timelineDollars, setTimelineDollars] = useState("today"); // today | future
+  const [currency, setCurrency] = useState(() => persisted.state?.currency ?? DEFAULT_CURRENCY_SETTINGS);
+  const [pendingBase, setPendingBase] = useState(null); // switching base, waiting for its rate
+  const [pivotDraft, setPivotDraft] = useState("");
+  configureMoney({ currency: currency.base, locale: currency.locale });
+  const [language, setLanguage] = useState(() => persisted.state?.language ?? detectLanguage());
+  const t = useMemo(() => createTranslator(language), [language]);
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
 
-  const [pieMode, setPieMode] = useState("category"); // category | needwant
+  const [pieMode, setPieMode] = useState("category"); // category | needwant | tag
   const [categoryFilter, setCategoryFilter] = useState(null);
+  const [subcategoryFilter, setSubcategoryFilter] = useState(null); // null = whole category, "" = no sub-category
+  const [tagFilter, setTagFilter] = useState(null);
   const [expandedItemId, setExpandedItemId] = useState(null);
   const [dragItemId, setDragItemId] = useState(null);
   const [dragOverItemId, setDragOverItemId] = useState(null);
@@ -411,13 +2327,12 @@ export default function App() {
 
   // Theme apply
   useEffect(() => {
-    localStorage.setItem("ikigai_theme", theme);
     document.body.classList.toggle("dark", theme === "dark");
   }, [theme]);
 
 // Hash routing (safe)
 const VALID_TABS = useMemo(
-  () => new Set(["home", "ikigai", "goals", "networth", "retirement", "about"]),
+  () => new Set(["home", "ikigai", "actuals", "calendar", "goals", "networth", "retirement", "scenarios", "about"]),
   []
 );
 
@@ -443,47 +2358,309 @@ useEffect(() => {
   if (window.location.hash !== h) window.history.pushState(null, "", h);
 }, [activeTab]);
 
+  const persistedState = useMemo(
+    () => ({
+      version: SCHEMA_VERSION,
+      profile,
+      items,
+      goals,
+      assets,
+      liabilities,
+      netWorthHistory,
+      onboardingDone,
+      theme,
+      swr,
+      categoryRules,
+      ledger,
+      retirementAssumptions,
+      allocationTargets,
+      currency,
+      language,
+      scenarios,
+      activeScenarioId,
+      parkedPlan,
+      categories,
+    }),
+    [
+      profile,
+      items,
+      goals,
+      assets,
+      liabilities,
+      netWorthHistory,
+      onboardingDone,
+      theme,
+      swr,
+      categoryRules,
+      ledger,
+      retirementAssumptions,
+      allocationTargets,
+      currency,
+      language,
+      scenarios,
+      activeScenarioId,
+      parkedPlan,
+      categories,
+    ]
+  );
+
+  function applyState(s) {
+    setProfile(s.profile);
+    setItems(s.items);
+    setGoals(s.goals);
+    setAssets(s.assets);
+    setLiabilities(s.liabilities);
+    setNetWorthHistory(s.netWorthHistory);
+    setOnboardingDone(s.onboardingDone);
+    setTheme(s.theme);
+    setSwr(s.swr);
+    setCategoryRules(s.categoryRules);
+    setLedger(s.ledger);
+    setRetirementAssumptions(s.retirementAssumptions);
+    setAllocationTargets(s.allocationTargets);
+    setCurrency(s.currency);
+    setLanguage(s.language);
+    setScenarios(s.scenarios);
+    setActiveScenarioId(s.activeScenarioId);
+    setParkedPlan(s.parkedPlan);
+    setCategories(s.categories);
+  }
+
+  // Undo / redo
+  // Snapshots of the saved blob, so every mutator is covered. Quick unlabeled changes (typing)
+  // fold into one step; deletes and moves label themselves. Derived updates mark themselves as
+  // syncs and never make a step of their own.
+  const history = useRef({ past: [], future: [], current: null, skip: false, sync: false, label: null, at: 0 });
+  const [historySize, setHistorySize] = useState({ past: 0, future: 0 });
+  const [historyToast, setHistoryToast] = useState(null); // { message, action: "undo" | "redo" }
+  function labelChange(label) {
+    history.current.label = label;
+  }
+  // The next change follows from the plan itself (take-home, the debt item, the monthly snapshot)
+  function syncChange() {
+    history.current.sync = true;
+  }
+  // The next change comes from storage (load, another tab), not from an edit here
+  function skipHistory() {
+    const h = history.current;
+    h.skip = true;
+    h.past = [];
+    h.future = [];
+    setHistorySize({ past: 0, future: 0 });
+  }
+  useEffect(() => {
+    const h = history.current;
+    const { label, sync } = h;
+    const prev = h.current;
+    h.label = null;
+    h.sync = false;
+    h.current = persistedState;
+    if (h.skip || !prev) {
+      h.skip = false;
+      return;
+    }
+    if (sync && !label) return;
+    if (Object.keys(persistedState).every((k) => UNDO_IGNORED.has(k) || prev[k] === persistedState[k])) return;
+    const now = Date.now();
+    if (label || now - h.at > UNDO_COALESCE_MS || !h.past.length) {
+      h.past = [...h.past.slice(1 - UNDO_LIMIT), { state: prev, label }];
+    }
+    h.at = now;
+    h.future = [];
+    setHistorySize({ past: h.past.length, future: 0 });
+    if (label) setHistoryToast({ message: label.charAt(0).toUpperCase() + label.slice(1), action: "undo" });
+  }, [persistedState]);
+  function stepHistory(dir) {
+    const h = history.current;
+    const from = dir === "undo" ? h.past : h.future;
+    if (!from.length) return;
+    const entry = from[from.length - 1];
+    const back = { state: h.current, label: entry.label };
+    if (dir === "undo") {
+      h.past = h.past.slice(0, -1);
+      h.future = [...h.future, back];
+    } else {
+      h.future = h.future.slice(0, -1);
+      h.past = [...h.past, back];
+    }
+    h.skip = true;
+    h.at = 0;
+    applyState({ ...entry.state, theme, language });
+    setHistorySize({ past: h.past.length, future: h.future.length });
+    setHistoryToast({
+      message: t(dir === "undo" ? "undo.undone" : "undo.redone", { what: entry.label ?? t("undo.edit") }),
+      action: dir === "undo" ? "redo" : "undo",
+    });
+  }
+  useEffect(() => {
+    if (!historyToast) return;
+    const timer = setTimeout(() => setHistoryToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [historyToast]);
+  // Ctrl/Cmd+Z, Shift+Ctrl/Cmd+Z and Ctrl+Y; text fields keep their own undo
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      const el = e.target;
+      if (el instanceof HTMLElement && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+      e.preventDefault();
+      stepHistory(key === "y" || e.shiftKey ? "redo" : "undo");
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
   // Load saved state
   useEffect(() => {
+    if (persisted.error) {
+      // Keep the unreadable blob around so the save below can't destroy it
+      try {
+        localStorage.setItem(STORAGE_BACKUP_KEY, persisted.raw);
+      } catch {
+        // storage full or unavailable; nothing more we can do
+      }
+      setLoadError(persisted.error);
+      return;
+    }
+    setLoaded(true);
+    if (!persisted.state) return;
+    skipHistory();
+    applyState(persisted.state);
     try {
-      const raw = localStorage.getItem("ikigai_v042_state");
-      if (!raw) return;
-      const parsed = JSON.parse(raw);
-      if (parsed.profile) setProfile(parsed.profile);
-      if (parsed.items) setItems(parsed.items);
-      if (parsed.goals) setGoals(parsed.goals);
-      if (parsed.assets) setAssets(parsed.assets);
-      if (parsed.liabilities) setLiabilities(parsed.liabilities);
-      if (parsed.netWorthHistory) setNetWorthHistory(parsed.netWorthHistory);
-      if (typeof parsed.onboardingDone === "boolean") setOnboardingDone(parsed.onboardingDone);
+      localStorage.removeItem(LEGACY_THEME_KEY);
     } catch {
       // ignore
     }
-  }, []);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [persisted]);
+
+  // Passphrase lock: the key lives only in memory; changing it re-encrypts on the next save
+  const [lock, setLock] = useState(initialLock);
+  const [lockForm, setLockForm] = useState(null); // { mode: "set" | "change" | "remove", current, next, confirm, error, busy }
+
+  // Save state (debounced and diffed by the storage layer). Nothing is written until the saved
+  // plan has loaded, so a failed load can't overwrite it with the empty defaults.
+  useEffect(() => {
+    if (!loaded || loadError || newerElsewhere) return;
+    storage.write(persistedState, lock);
+  }, [storage, persistedState, lock, loaded, loadError, newerElsewhere]);
+
+  // Another tab saved: show its version here. A lock added or changed there locks this tab too.
+  useEffect(
+    () =>
+      storage.subscribe(async (stored) => {
+        let next = null;
+        if (stored?.envelope) {
+          if (!lock) return onLock();
+          try {
+            next = loadPersistedState({ blob: JSON.parse(await unsealWithKey(stored.envelope, lock)) });
+          } catch {
+            return onLock();
+          }
+        } else {
+          next = loadPersistedState(stored);
+          if (next.state && lock) setLock(null);
+        }
+        if (next.error?.code === "newerVersion") setNewerElsewhere(true);
+        // Erased or unreadable over there: keep what this tab has
+        if (!next.state) return;
+        storage.adopt(next.state, stored.envelope ? lock : null);
+        skipHistory();
+        applyState(next.state);
+      }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [storage, lock]
+  );
 
-  // Save state
+  function lockNow() {
+    storage.flush().then(onLock);
+  }
+  function openLockForm(mode) {
+    setLockForm({ mode, current: "", next: "", confirm: "", error: null, busy: false });
+  }
+  async function submitLockForm() {
+    const f = lockForm;
+    if (f.mode !== "remove" && f.next.length < MIN_PASSPHRASE) {
+      setLockForm({ ...f, error: t("lock.tooShort", { count: MIN_PASSPHRASE }) });
+      return;
+    }
+    if (f.mode !== "remove" && f.next !== f.confirm) {
+      setLockForm({ ...f, error: t("lock.mismatch") });
+      return;
+    }
+    setLockForm({ ...f, busy: true, error: null });
+    if (f.mode !== "set") {
+      try {
+        await storage.flush();
+        await unseal((await storage.read()).envelope, f.current);
+      } catch {
+        setLockForm({ ...f, busy: false, error: t("lock.wrong") });
+        return;
+      }
+    }
+    setLock(f.mode === "remove" ? null : await createLock(f.next, lock?.autoLockMinutes ?? DEFAULT_AUTO_LOCK));
+    setLockForm(null);
+  }
+  // Auto-lock after a stretch without pointer or keyboard input
   useEffect(() => {
+    if (!lock?.autoLockMinutes) return;
+    let timer;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockNow, lock.autoLockMinutes * 60000);
+    };
+    const events = ["pointerdown", "keydown", "wheel", "touchstart"];
+    for (const e of events) window.addEventListener(e, reset, { passive: true });
+    reset();
+    return () => {
+      clearTimeout(timer);
+      for (const e of events) window.removeEventListener(e, reset);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lock]);
+
+  // Backup export / import
+  const [importPreview, setImportPreview] = useState(null); // { fileName, state, exportedAt, summary } | { fileName, error }
+
+  function exportBackup() {
+    downloadJson(`ikigai-backup-${new Date().toISOString().slice(0, 10)}.json`, buildBackup(persistedState));
+  }
+  async function readBackupFile(file) {
+    if (!file) return;
     try {
-      localStorage.setItem(
-        "ikigai_v042_state",
-        JSON.stringify({ profile, items, goals, assets, liabilities, netWorthHistory, onboardingDone })
-      );
-    } catch {
-      // ignore
+      const { state, exportedAt } = parseBackup(await file.text());
+      setImportPreview({ fileName: file.name, state, exportedAt, summary: summarizeImport(persistedState, state) });
+    } catch (err) {
+      setImportPreview({ fileName: file.name, error: stateErrorOf(err, "unreadableFile") });
     }
-  }, [profile, items, goals, assets, liabilities, netWorthHistory, onboardingDone]);
+  }
+  function confirmImport(mode) {
+    if (!importPreview?.state) return;
+    applyState(mode === "merge" ? mergeStates(persistedState, importPreview.state) : importPreview.state);
+    setImportPreview(null);
+  }
 
   // Derived totals
   const totalIncomeMonthly = useMemo(
-    () => profile.incomeSources.reduce((s, x) => s + safeNum(x.monthly), 0),
-    [profile.incomeSources]
+    () => profile.incomeSources.reduce((s, x) => s + toBase(x.monthly, x.currency, currency), 0),
+    [profile.incomeSources, currency]
+  );
+
+  // Only items running this month count toward totals
+  const currentMonth = monthKey();
+  const activeItems = useMemo(() => items.filter((i) => isItemActiveIn(i, currentMonth)), [items, currentMonth]);
+  const endedItems = useMemo(
+    () => items.filter((i) => itemStatusIn(i, currentMonth) === "ended"),
+    [items, currentMonth]
   );
 
   const monthlyIkigaiOngoing = useMemo(
-    () => items.filter((i) => !i.temporary).reduce((s, i) => s + safeNum(i.monthly), 0),
-    [items]
+    () => activeItems.filter((i) => !i.temporary).reduce((s, i) => s + safeNum(i.monthly), 0),
+    [activeItems]
   );
-  const monthlyIkigaiAll = useMemo(() => items.reduce((s, i) => s + safeNum(i.monthly), 0), [items]);
+  const monthlyIkigaiAll = useMemo(() => activeItems.reduce((s, i) => s + safeNum(i.monthly), 0), [activeItems]);
 
   const monthlySpendForSummary = spendingView === "monthly" ? monthlyIkigaiAll : monthlyIkigaiAll * 12;
 
@@ -492,6 +2669,13 @@ useEffect(() => {
     [totalIncomeMonthly, monthlyIkigaiAll]
   );
 
+  const household = profile.household;
+  const householdSplit = useMemo(
+    () => (household.enabled ? householdBreakdown(household, profile.incomeSources, activeItems, currency) : null),
+    [household, profile.incomeSources, activeItems, currency]
+  );
+  const customSharesTotal = household.members.reduce((s, m) => s + safeNum(household.shares[m.id]), 0);
+
   const savingsRate = useMemo(() => {
     if (totalIncomeMonthly <= 0) return 0;
     return clamp01(leftoverMonthly / totalIncomeMonthly);
@@ -509,77 +2693,348 @@ useEffect(() => {
     return annual / swr;
   }, [monthlyIkigaiAll, swr]);
 
+  // Actuals for the selected ledger month
+  const itemsById = useMemo(() => new Map(items.map((i) => [i.id, i])), [items]);
+  const monthLedger = useMemo(
+    () => ledgerForMonth(ledger, ledgerMonth).sort((a, b) => b.date.localeCompare(a.date)),
+    [ledger, ledgerMonth]
+  );
+  const actualMonthTotal = useMemo(() => monthLedger.reduce((s, e) => s + safeNum(e.amount), 0), [monthLedger]);
+  const varianceRows = useMemo(
+    () => plannedVsActual(items.filter((i) => isItemActiveIn(i, ledgerMonth)), monthLedger),
+    [items, ledgerMonth, monthLedger]
+  );
+  const plannedMonthTotal = useMemo(() => varianceRows.reduce((s, r) => s + r.planned, 0), [varianceRows]);
+
+  // Pie rows come from the plan, or from the ledger when showing actuals
+  const pieEntries = useMemo(
+    () =>
+      pieSource === "actual"
+        ? monthLedger.map((e) => {
+            const item = itemsById.get(e.itemId);
+            return {
+              category: ledgerCategory(e, itemsById),
+              subcategory: item?.subcategory ?? "",
+              tags: item?.tags ?? [],
+              name: item?.name ?? e.note ?? "",
+              needWant: item?.needWant ?? null,
+              amount: safeNum(e.amount),
+            };
+          })
+        : activeItems.map((i) => ({
+            category: i.category,
+            subcategory: i.subcategory ?? "",
+            tags: i.tags ?? [],
+            name: i.name,
+            needWant: i.needWant,
+            amount: safeNum(i.monthly),
+          })),
+    [pieSource, monthLedger, activeItems, itemsById]
+  );
+
   const spendingByCategory = useMemo(() => {
     const map = new Map();
-    for (const it of items) map.set(it.category, (map.get(it.category) ?? 0) + safeNum(it.monthly));
-    const rows = Array.from(map.entries()).map(([name, value]) => ({ name, value }));
+    for (const it of pieEntries) map.set(it.category, (map.get(it.category) ?? 0) + it.amount);
+    const rows = Array.from(map.entries()).map(([name, value]) => ({ name, label: t.label("category", name), value }));
     rows.sort((a, b) => b.value - a.value);
     return rows;
-  }, [items]);
+  }, [pieEntries, t]);
 
   const spendingByNeedWant = useMemo(() => {
-    const need = items.filter((i) => i.needWant === "need").reduce((s, i) => s + safeNum(i.monthly), 0);
-    const want = items.filter((i) => i.needWant === "want").reduce((s, i) => s + safeNum(i.monthly), 0);
+    const need = pieEntries.filter((i) => i.needWant === "need").reduce((s, i) => s + i.amount, 0);
+    const want = pieEntries.filter((i) => i.needWant === "want").reduce((s, i) => s + i.amount, 0);
+    const unlinked = pieEntries.filter((i) => !i.needWant).reduce((s, i) => s + i.amount, 0);
     return [
-      { name: "Need", value: need },
-      { name: "Want", value: want },
+      { name: "need", label: t("needWant.need"), value: need },
+      { name: "want", label: t("needWant.want"), value: want },
+      { name: "unlinked", label: t("needWant.unlinked"), value: unlinked },
     ].filter((r) => r.value > 0);
+  }, [pieEntries, t]);
+
+  // By category the pie drills category -> sub-category -> item; by tag it cuts across categories
+  const pieLevel =
+    pieMode !== "category" ? pieMode : !categoryFilter ? "category" : subcategoryFilter === null ? "subcategory" : "item";
+  const pieRows = useMemo(() => {
+    const group = (entries, keyOf, labelOf) => {
+      const map = new Map();
+      for (const e of entries) map.set(keyOf(e), (map.get(keyOf(e)) ?? 0) + e.amount);
+      return Array.from(map, ([name, value]) => ({ name, label: labelOf(name), value })).sort((a, b) => b.value - a.value);
+    };
+    if (pieLevel === "category") return spendingByCategory.map((r) => ({ ...r, fill: spendingColor(r.name, "category", categories) }));
+    if (pieLevel === "needwant") return spendingByNeedWant.map((r) => ({ ...r, fill: spendingColor(r.name, "needwant") }));
+    if (pieLevel === "tag") {
+      const tagged = pieEntries.flatMap((e) => e.tags.map((tag) => ({ ...e, tag })));
+      return group(tagged, (e) => e.tag, (tag) => `#${tag}`).map((r, i) => ({ ...r, fill: CATEGORY_PALETTE[i % CATEGORY_PALETTE.length] }));
+    }
+    const inCategory = pieEntries.filter((e) => e.category === categoryFilter);
+    const rows =
+      pieLevel === "subcategory"
+        ? group(inCategory, (e) => e.subcategory, (sub) => sub || t("drill.unsorted"))
+        : group(inCategory.filter((e) => e.subcategory === subcategoryFilter), (e) => e.name, (name) => name || t("item.unnamed"));
+    const base = spendingColor(categoryFilter, "category", categories);
+    return rows.map((r, i) => ({ ...r, fill: shadeColor(base, i, rows.length) }));
+  }, [pieLevel, pieEntries, spendingByCategory, spendingByNeedWant, categoryFilter, subcategoryFilter, categories, t]);
+  // Tags overlap, so their slices are shares of all spending rather than of the slices' sum
+  const pieTotal = useMemo(
+    () =>
+      pieLevel === "tag" ? pieEntries.reduce((s, e) => s + e.amount, 0) : pieRows.reduce((s, r) => s + safeNum(r.value), 0),
+    [pieLevel, pieEntries, pieRows]
+  );
+  const tagCounts = useMemo(() => {
+    const map = new Map();
+    for (const it of activeItems) for (const tag of it.tags ?? []) map.set(tag, (map.get(tag) ?? 0) + 1);
+    return map;
+  }, [activeItems]);
+  const subcategoriesByCategory = useMemo(() => {
+    const map = new Map();
+    for (const it of items) {
+      if (!it.subcategory) continue;
+      if (!map.has(it.category)) map.set(it.category, new Set());
+      map.get(it.category).add(it.subcategory);
+    }
+    return new Map(Array.from(map, ([category, subs]) => [category, [...subs].sort((a, b) => a.localeCompare(b))]));
   }, [items]);
-  const pieTotal = useMemo(() => {
-    const rows = pieMode === "category" ? spendingByCategory : spendingByNeedWant;
-    return rows.reduce((s, r) => s + safeNum(r.value), 0);
-  }, [pieMode, spendingByCategory, spendingByNeedWant]);
+  function clearListFilters() {
+    setCategoryFilter(null);
+    setSubcategoryFilter(null);
+    setTagFilter(null);
+  }
 
 
   const visibleItems = useMemo(() => {
-    if (!categoryFilter) return items;
-    return items.filter((i) => i.category === categoryFilter);
-  }, [items, categoryFilter]);
+    const listed = items.filter((i) => itemStatusIn(i, currentMonth) !== "ended");
+    return listed.filter(
+      (i) =>
+        (!categoryFilter || i.category === categoryFilter) &&
+        (subcategoryFilter === null || (i.subcategory ?? "") === subcategoryFilter) &&
+        (!tagFilter || (i.tags ?? []).includes(tagFilter))
+    );
+  }, [items, categoryFilter, subcategoryFilter, tagFilter, currentMonth]);
 
   // Net worth
-  const totalAssets = useMemo(() => assets.reduce((s, a) => s + safeNum(a.value), 0), [assets]);
-  const totalLiabilities = useMemo(() => liabilities.reduce((s, l) => s + safeNum(l.balance), 0), [liabilities]);
+  const totalAssets = useMemo(
+    () => assets.reduce((s, a) => s + toBase(a.value, a.currency, currency), 0),
+    [assets, currency]
+  );
+  const totalLiabilities = useMemo(
+    () => liabilities.reduce((s, l) => s + toBase(l.balance, l.currency, currency), 0),
+    [liabilities, currency]
+  );
+  // Non-base currencies in use, and which of them still need a rate
+  const usedCurrencies = useMemo(() => {
+    const codes = new Set(Object.keys(currency.rates));
+    for (const x of [...profile.incomeSources, ...assets, ...liabilities]) if (x.currency) codes.add(x.currency);
+    codes.delete(currency.base);
+    return Array.from(codes).sort();
+  }, [currency, profile.incomeSources, assets, liabilities]);
+  const missingRates = usedCurrencies.filter((c) => rateToBase(c, currency) === null);
   const netWorth = useMemo(() => totalAssets - totalLiabilities, [totalAssets, totalLiabilities]);
 
-  // Auto snapshot net worth monthly (no manual button)
+  const allocation = useMemo(() => portfolioAllocation(assets, currency), [assets, currency]);
+  const rebalance = useMemo(() => rebalanceRows(allocation, allocationTargets), [allocation, allocationTargets]);
+  const classTargetTotal = ASSET_CLASSES.reduce((s, c) => s + safeNum(allocationTargets.byClass[c]), 0);
+
+  const historyChart = useMemo(
+    () =>
+      netWorthHistory.map((x) => ({
+        t: x.t,
+        value: x.value,
+        ...Object.fromEntries(ASSET_TYPES.map((type) => [type, x.byType ? safeNum(x.byType[type]) : null])),
+        liabilities: x.liabilities === null ? null : -x.liabilities,
+      })),
+    [netWorthHistory]
+  );
+
+  // Debt payoff
+  const debts = useMemo(() => debtsInBase(liabilities, currency), [liabilities, currency]);
+  const payoffPlans = useMemo(
+    () => Object.fromEntries(DEBT_STRATEGIES.map((st) => [st, simulatePayoff(debts, st)])),
+    [debts]
+  );
+  const payoffChart = useMemo(() => {
+    const length = Math.max(...DEBT_STRATEGIES.map((st) => payoffPlans[st].timeline.length));
+    return Array.from({ length }, (_, month) => {
+      const row = { month };
+      for (const st of DEBT_STRATEGIES) row[st] = Math.round(payoffPlans[st].timeline[month]?.total ?? 0);
+      return row;
+    });
+  }, [payoffPlans]);
+  const debtPaymentsMonthly = debts.reduce((s, d) => s + d.minPayment + d.extraPayment, 0);
+  const otherDebtItemsMonthly = activeItems
+    .filter((i) => i.category === DEBT_CATEGORY && i.linked !== "debts")
+    .reduce((s, i) => s + safeNum(i.monthly), 0);
+  // The plan's Debt payments item follows the liabilities, so payments are entered once; wait for
+  // the saved plan so the empty initial debts don't drop (and re-create) its linked item
+  useEffect(() => {
+    if (!loaded) return;
+    setItems((arr) => {
+      const next = syncDebtItem(arr, debtPaymentsMonthly);
+      if (next !== arr) syncChange();
+      return next;
+    });
+  }, [loaded, debtPaymentsMonthly]);
+
+  // Retirement timeline
+  const retirementTarget = retirementView === "all" ? retirementTargetAll : retirementTargetOngoing;
+  const retirementProjection = useMemo(
+    () =>
+      projectRetirement({
+        start: netWorth,
+        monthlySavings: leftoverMonthly,
+        realReturn: retirementAssumptions.realReturn,
+        target: retirementTarget,
+      }),
+    [netWorth, leftoverMonthly, retirementAssumptions.realReturn, retirementTarget]
+  );
+  const timelineChart = useMemo(() => {
+    const thisYear = new Date().getFullYear();
+    const age = safeNum(profile.age);
+    return retirementProjection.points.map((p) => {
+      // Future dollars: grow both lines by inflation so the crossing point doesn't move
+      const f = timelineDollars === "future" ? Math.pow(1 + retirementAssumptions.inflation, p.year) : 1;
+      return {
+        label: age > 0 ? `${thisYear + p.year} (${Math.floor(age + p.year)})` : String(thisYear + p.year),
+        portfolio: Math.round(p.portfolio * f),
+        target: Math.round(p.target * f),
+      };
+    });
+  }, [retirementProjection, timelineDollars, retirementAssumptions.inflation, profile.age]);
+  // Monte Carlo stress test (runs in a worker; results are kept until inputs change)
+  const mcWorkerRef = useRef(null);
+  const mcRunRef = useRef(0);
+  const [mcStart, setMcStart] = useState("target"); // target | networth
+  const [mcResult, setMcResult] = useState(null); // { status: "running" | "done" | "error", key, ... }
+  const mcParams = useMemo(
+    () => ({
+      start: mcStart === "target" ? retirementTarget : netWorth,
+      annualSpending: (retirementView === "all" ? monthlyIkigaiAll : monthlyIkigaiOngoing) * 12,
+      years: Math.max(1, Math.round(retirementAssumptions.horizonYears)),
+      runs: MONTE_CARLO_RUNS,
+      source: retirementAssumptions.returnSource,
+      mean: retirementAssumptions.realReturn,
+      volatility: retirementAssumptions.volatility,
+    }),
+    [mcStart, retirementTarget, netWorth, retirementView, monthlyIkigaiAll, monthlyIkigaiOngoing, retirementAssumptions]
+  );
+  const mcParamsKey = JSON.stringify(mcParams);
+  const mcChart = useMemo(
+    () =>
+      mcResult?.status === "done"
+        ? mcResult.bands.map((b) => ({
+            year: b.year,
+            outer: [Math.round(b.p10), Math.round(b.p90)],
+            inner: [Math.round(b.p25), Math.round(b.p75)],
+            median: Math.round(b.p50),
+          }))
+        : [],
+    [mcResult]
+  );
+
+  useEffect(() => () => mcWorkerRef.current?.terminate(), []);
+
+  function runMonteCarlo() {
+    if (!mcWorkerRef.current) {
+      mcWorkerRef.current = new Worker(new URL("./monteCarlo.worker.js", import.meta.url), { type: "module" });
+    }
+    const worker = mcWorkerRef.current;
+    const id = ++mcRunRef.current;
+    const key = mcParamsKey;
+    worker.onmessage = (e) => {
+      // Ignore answers to runs the user has already replaced
+      if (e.data.id !== mcRunRef.current) return;
+      setMcResult(e.data.error ? { status: "error", key, error: e.data.error } : { status: "done", key, ...e.data.result });
+    };
+    worker.onerror = () => setMcResult({ status: "error", key, error: t("retirement.mc.crashed") });
+    worker.postMessage({ id, params: mcParams });
+    setMcResult({ status: "running", key });
+  }
+
+  const fiEstimate = useMemo(() => {
+    const m = retirementProjection.monthsToTarget;
+    if (m === null) return null;
+    const at = new Date();
+    at.setMonth(at.getMonth() + m);
+    const age = safeNum(profile.age);
+    return { years: m / 12, year: at.getFullYear(), age: age > 0 ? Math.floor(age + m / 12) : null };
+  }, [retirementProjection, profile.age]);
+
+  // Auto snapshot net worth the first time each month; later changes only land via "Update this month".
+  // Waits for the saved plan so it never records the empty starting state. Scenarios never write history.
   useEffect(() => {
+    if (!loaded || activeScenarioId !== null) return;
     const key = monthKey(new Date());
     setNetWorthHistory((arr) => {
-      if (arr.length > 0 && isSameMonthKey(arr[arr.length - 1].t, key)) return arr;
-      const next = [...arr, { t: key, value: netWorth }];
-      return next.slice(-24);
+      if (arr.some((x) => isSameMonthKey(x.t, key))) return arr;
+      syncChange();
+      return upsertSnapshot(arr, netWorthSnapshot(key, assets, liabilities, currency));
     });
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [netWorth]);
+  }, [loaded, activeScenarioId, assets, liabilities, currency]);
+
+  // Bills calendar
+  const cashOnHand = useMemo(
+    () => assets.filter((a) => a.type === "Cash").reduce((s, a) => s + toBase(a.value, a.currency, currency), 0),
+    [assets, currency]
+  );
+  const weekStartsOn = language === "en" ? 0 : 1; // Sunday for English, Monday otherwise
+  const calendarGrid = useMemo(() => {
+    const first = parseIsoDate(`${calendarMonth}-01`);
+    const start = new Date(first);
+    start.setDate(1 - ((first.getDay() - weekStartsOn + 7) % 7));
+    const days = Array.from({ length: 42 }, (_, i) => {
+      const d = new Date(start);
+      d.setDate(start.getDate() + i);
+      return isoDate(d);
+    });
+    // Drop trailing weeks that are entirely next month
+    const weeks = [];
+    for (let i = 0; i < 42; i += 7) {
+      const week = days.slice(i, i + 7);
+      if (i > 0 && week[0].slice(0, 7) !== calendarMonth) break;
+      weeks.push(week);
+    }
+    const events = calendarEvents(items, profile.incomeSources, currency, weeks[0][0], weeks[weeks.length - 1][6]);
+    const byDay = new Map();
+    for (const e of events) byDay.set(e.date, [...(byDay.get(e.date) ?? []), e]);
+    return { weeks, byDay };
+  }, [calendarMonth, weekStartsOn, items, profile.incomeSources, currency]);
+  const upcoming = useMemo(() => {
+    const today = new Date();
+    const end = new Date(today);
+    end.setDate(today.getDate() + 29);
+    let balance = calendarCash === "" ? cashOnHand : safeNum(calendarCash);
+    return calendarEvents(items, profile.incomeSources, currency, isoDate(today), isoDate(end)).map((e) => {
+      balance += e.kind === "pay" ? e.amount : -e.amount;
+      return { ...e, balance };
+    });
+  }, [items, profile.incomeSources, currency, calendarCash, cashOnHand]);
+  const hasDueDates = items.some((it) => it.dueDate) || profile.incomeSources.some((s) => s.payDate);
 
   // Goals progress
   const goalProgress = useMemo(() => {
     const now = new Date();
-    return goals.map((g, gIdx) => {
-      const target = safeNum(g.target);
-      const current = safeNum(g.current);
-      const monthly = safeNum(g.monthly);
-      const mLeft = g.endDate ? monthsBetween(now, g.endDate) : null;
-
-      let pct = 0; // current-only
-      let projectedPct = 0; // current + monthly * horizon
-      let status = null;
-
-      if (target > 0) {
-        pct = clamp01(current / target);
-
-        const horizon = mLeft !== null ? mLeft : 12;
-        projectedPct = clamp01((current + monthly * horizon) / target);
-
-        if (mLeft !== null && mLeft > 0) {
-          const required = Math.max(0, target - current) / mLeft;
-          status = monthly >= required ? "on_track" : "behind";
-        }
-      }
-
-      return { id: g.id, pct, projectedPct, status, mLeft };
-    });
+    return goals.map((g) => goalProgressOf(g, now));
   }, [goals]);
+  const goalsMonthlyTotal = goals.reduce((s, g) => s + safeNum(g.monthly), 0);
+  const suggestedGoalMonthly = useMemo(
+    () => allocateLeftover(goals, leftoverMonthly, goalAllocationMode, new Date()),
+    [goals, leftoverMonthly, goalAllocationMode]
+  );
+  const suggestedUnallocated = leftoverMonthly - Array.from(suggestedGoalMonthly.values()).reduce((s, v) => s + v, 0);
+  function applySuggestedGoalMonthly() {
+    setGoals((arr) => arr.map((g) => (suggestedGoalMonthly.has(g.id) ? { ...g, monthly: suggestedGoalMonthly.get(g.id) } : g)));
+  }
+
+  // Mutators: number format
+  // Typed amounts are read in the format they were typed in; settle them before switching so
+  // "1.200" stays 1200 instead of becoming 1.2
+  function changeNumberFormat(locale) {
+    const live = settleTypedNumbers({ items, incomeSources: profile.incomeSources });
+    setItems(live.items);
+    setProfile({ ...profile, incomeSources: live.incomeSources });
+    setScenarios(scenarios.map((sc) => ({ ...sc, plan: settleTypedNumbers(sc.plan) })));
+    setParkedPlan(parkedPlan && settleTypedNumbers(parkedPlan));
+    setCurrency((c) => ({ ...c, locale }));
+  }
 
   // Mutators: profile income
   function setIncomeSource(id, patch) {
@@ -588,42 +3043,199 @@ useEffect(() => {
       incomeSources: p.incomeSources.map((x) => (x.id === id ? { ...x, ...patch } : x)),
     }));
   }
-  function addIncomeSource(name = "Other income") {
+  function addIncomeSource(name = t("income.other")) {
     setProfile((p) => ({
       ...p,
-      incomeSources: [...p.incomeSources, { id: uid(), name, monthly: "" }],
+      incomeSources: [
+        ...p.incomeSources,
+        { id: uid(), name, basis: "net", frequency: "monthly", amount: "", monthly: 0, owner: "shared" },
+      ],
     }));
   }
   function removeIncomeSource(id) {
+    labelChange(t("undo.deleted", { name: profile.incomeSources.find((x) => x.id === id)?.name ?? "" }));
     setProfile((p) => ({ ...p, incomeSources: p.incomeSources.filter((x) => x.id !== id) }));
   }
+  function setTaxSettings(patch) {
+    setProfile((p) => ({ ...p, tax: { ...p.tax, ...patch } }));
+  }
+  function setHousehold(patch) {
+    setProfile((p) => ({ ...p, household: { ...p.household, ...patch } }));
+  }
+  // Turning it on for the first time starts with two members
+  function enableHousehold(enabled) {
+    setProfile((p) => {
+      const members = p.household.members.length
+        ? p.household.members
+        : [
+            { id: uid(), name: t("household.you") },
+            { id: uid(), name: t("household.partner") },
+          ];
+      return { ...p, household: { ...p.household, enabled, members } };
+    });
+  }
+  function addHouseholdMember() {
+    setProfile((p) => {
+      const members = [...p.household.members, { id: uid(), name: t("household.memberN", { n: p.household.members.length + 1 }) }];
+      return { ...p, household: { ...p.household, members } };
+    });
+  }
+  function renameHouseholdMember(id, name) {
+    setProfile((p) => ({
+      ...p,
+      household: { ...p.household, members: p.household.members.map((m) => (m.id === id ? { ...m, name } : m)) },
+    }));
+  }
+  // Whatever the member owned goes back to being shared
+  function removeHouseholdMember(id) {
+    labelChange(t("undo.deleted", { name: profile.household.members.find((m) => m.id === id)?.name ?? "" }));
+    setProfile((p) => {
+      const { [id]: _, ...shares } = p.household.shares;
+      return {
+        ...p,
+        incomeSources: p.incomeSources.map((x) => (x.owner === id ? { ...x, owner: "shared" } : x)),
+        household: { ...p.household, members: p.household.members.filter((m) => m.id !== id), shares },
+      };
+    });
+    setItems((arr) => arr.map((x) => (x.owner === id ? { ...x, owner: "shared" } : x)));
+  }
+  const incomeSummary = useMemo(
+    () => incomeTaxSummary(profile.incomeSources, profile.tax, currency, profile.household),
+    [profile.incomeSources, profile.tax, currency, profile.household]
+  );
+  const hasGrossIncome = profile.incomeSources.some((x) => x.basis === "gross");
+  // Take-home follows what was entered, how often it pays and the tax settings
+  useEffect(() => {
+    setProfile((p) => {
+      const incomeSources = withTakeHome(p.incomeSources, p.tax, currency, p.household);
+      if (incomeSources === p.incomeSources) return p;
+      syncChange();
+      return { ...p, incomeSources };
+    });
+  }, [profile.incomeSources, profile.tax, currency, profile.household]);
 
   // Mutators: spending items
   function addQuickItem() {
     const name = quickDraft.name.trim();
     if (!name) return;
     setItems((arr) => [
-      {
+      withBilling({
         id: uid(),
         name,
         category: quickDraft.category,
-        monthly: quickDraft.monthly,
+        amount: quickDraft.amount,
+        frequency: quickDraft.frequency,
+        everyMonths: quickDraft.frequency === "custom" ? quickDraft.everyMonths : "",
         needWant: quickDraft.needWant,
         temporary: !!quickDraft.temporary,
-        endDate: quickDraft.endDate,
-      },
+        startDate: quickDraft.startDate,
+        endDate: quickDraft.temporary ? quickDraft.endDate : "",
+        owner: "shared",
+        subcategory: "",
+        tags: [],
+      }),
       ...arr,
     ]);
-    setQuickDraft((d) => ({ ...d, name: "", monthly: "", temporary: false, endDate: "" }));
+    setQuickDraft((d) => ({ ...d, name: "", amount: "", temporary: false, startDate: "", endDate: "" }));
   }
   function updateItem(id, patch) {
-    setItems((arr) => arr.map((x) => (x.id === id ? { ...x, ...patch } : x)));
+    setItems((arr) => arr.map((x) => (x.id === id ? withBilling({ ...x, ...patch }) : x)));
   }
   function removeItem(id) {
+    labelChange(t("undo.deleted", { name: items.find((x) => x.id === id)?.name ?? "" }));
     setItems((arr) => arr.filter((x) => x.id !== id));
   }
 
+  function applyCsvSuggestions(suggestions) {
+    setItems((arr) => {
+      const updates = new Map(suggestions.filter((sg) => sg.existingId).map((sg) => [sg.existingId, sg.monthly]));
+      const added = suggestions
+        .filter((sg) => !sg.existingId)
+        .map((sg) => ({
+          id: uid(),
+          name: sg.name,
+          category: sg.category,
+          monthly: sg.monthly,
+          frequency: "monthly",
+          amount: sg.monthly,
+          needWant: "need",
+          temporary: false,
+          endDate: "",
+          owner: "shared",
+          subcategory: "",
+          tags: [],
+        }));
+      // Observed spending is monthly, so an updated item switches to monthly billing
+      return [
+        ...added,
+        ...arr.map((x) => (updates.has(x.id) ? { ...x, monthly: updates.get(x.id), frequency: "monthly", amount: updates.get(x.id) } : x)),
+      ];
+    });
+    setCsvImportOpen(false);
+  }
+
+  // Mutators: actual spending ledger
+  function addLedgerEntry() {
+    const amount = safeNum(ledgerDraft.amount);
+    if (!ledgerDraft.target || amount <= 0 || !ledgerDraft.date) return;
+    const [kind, ref] = ledgerDraft.target.split(":");
+    const item = kind === "item" ? itemsById.get(ref) : null;
+    setLedger((arr) => [
+      {
+        id: uid(),
+        date: ledgerDraft.date,
+        itemId: item?.id ?? null,
+        category: item?.category ?? ref,
+        amount,
+        note: ledgerDraft.note.trim(),
+      },
+      ...arr,
+    ]);
+    setLedgerDraft((d) => ({ ...d, amount: "", note: "" }));
+  }
+  function removeLedgerEntry(id) {
+    const entry = ledger.find((e) => e.id === id);
+    labelChange(t("undo.deleted", { name: entry?.note || t.label("category", entry?.category ?? "") }));
+    setLedger((arr) => arr.filter((e) => e.id !== id));
+  }
+  function logCsvActuals(txns) {
+    const itemFor = (tx) =>
+      items.find((i) => i.category === tx.category && String(i.name).trim().toLowerCase() === tx.itemName.toLowerCase());
+    setLedger((arr) => {
+      // Count keys already logged, so re-importing a file skips its rows while identical
+      // transactions within one file (two coffees on the same day) are each kept
+      const logged = new Map();
+      for (const e of arr) if (e.importKey) logged.set(e.importKey, (logged.get(e.importKey) ?? 0) + 1);
+      const added = [];
+      for (const tx of txns) {
+        const date = isoDate(tx.date);
+        const importKey = ledgerImportKey(date, tx.description, tx.amount);
+        const left = logged.get(importKey) ?? 0;
+        if (left > 0) {
+          logged.set(importKey, left - 1);
+          continue;
+        }
+        added.push({
+          id: uid(),
+          date,
+          itemId: itemFor(tx)?.id ?? null,
+          category: tx.category,
+          amount: tx.amount,
+          note: tx.description,
+          importKey,
+        });
+      }
+      return [...added, ...arr];
+    });
+    const latest = txns.reduce((m, tx) => (tx.month > m ? tx.month : m), "");
+    if (latest) setLedgerMonth(latest);
+    setCsvImportOpen(false);
+    setActiveTab("actuals");
+  }
+
   function moveItem(fromId, toId) {
+    if (fromId === toId) return;
+    labelChange(t("undo.moved", { name: items.find((x) => x.id === fromId)?.name ?? "" }));
     setItems((arr) => {
       const from = arr.findIndex((x) => x.id === fromId);
       const to = arr.findIndex((x) => x.id === toId);
@@ -635,6 +3247,73 @@ useEffect(() => {
     });
   }
 
+  // Mutators: categories
+  // Items store the category name, so renaming or merging rewrites every reference
+  function recategorize(from, to) {
+    const move = (x) => (x.category === from ? { ...x, category: to } : x);
+    const movePlan = (plan) => ({ ...plan, items: plan.items.map(move) });
+    setItems((arr) => arr.map(move));
+    setLedger((arr) => arr.map(move));
+    setCategoryRules((arr) => arr.map(move));
+    setScenarios((arr) => arr.map((sc) => ({ ...sc, plan: movePlan(sc.plan) })));
+    setParkedPlan((p) => (p ? movePlan(p) : p));
+    setQuickDraft(move);
+    setLedgerDraft((d) => (d.target === `category:${from}` ? { ...d, target: `category:${to}` } : d));
+    setCategoryFilter((f) => (f === from ? to : f));
+  }
+  function updateCategory(name, patch) {
+    setCategories((arr) => arr.map((c) => (c.name === name ? { ...c, ...patch } : c)));
+  }
+  // Taken when another category has that name or shows it (a built-in's translation), so two
+  // rows never read the same; a name freed by a rename or merge can be used again
+  const categoryNameTaken = (name, except) =>
+    categories.some((c) => c.name !== except && (c.name === name || t.label("category", c.name) === name));
+  function addCategory() {
+    const name = categoryDraft.trim();
+    if (!name || categoryNameTaken(name)) return;
+    const color = CATEGORY_PALETTE[categories.length % CATEGORY_PALETTE.length];
+    setCategories((arr) => [...arr, { name, color, hidden: false, examples: "" }]);
+    setCategoryDraft("");
+  }
+  // false when the new name is empty or taken
+  function renameCategory(from, to) {
+    const name = to.trim();
+    if (!name || LOCKED_CATEGORIES.has(from) || categoryNameTaken(name, from)) return false;
+    if (name === from) return true;
+    // Built-in hints come from the catalog by name, so keep them with the category
+    const examples = categories.find((c) => c.name === from)?.examples || t.list(`examples.${from}`).join(", ");
+    labelChange(t("undo.renamed", { name: t.label("category", from) }));
+    setCategories((arr) => arr.map((c) => (c.name === from ? { ...c, name, examples } : c)));
+    recategorize(from, name);
+    return true;
+  }
+  function mergeCategory(from, into) {
+    if (LOCKED_CATEGORIES.has(from)) return;
+    labelChange(t("undo.merged", { name: t.label("category", from), into: t.label("category", into) }));
+    setCategories((arr) => arr.filter((c) => c.name !== from));
+    recategorize(from, into);
+  }
+  function removeCategory(name) {
+    labelChange(t("undo.deleted", { name: t.label("category", name) }));
+    setCategories((arr) => arr.filter((c) => c.name !== name));
+  }
+  function moveCategory(name, dir) {
+    setCategories((arr) => {
+      const from = arr.findIndex((c) => c.name === name);
+      const to = from + dir;
+      if (from < 0 || to < 0 || to >= arr.length) return arr;
+      const next = [...arr];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  }
+  const usedCategoryNames = useMemo(() => usedCategories(persistedState), [persistedState]);
+  const categoryUsage = useMemo(() => {
+    const counts = new Map();
+    for (const i of items) counts.set(i.category, (counts.get(i.category) ?? 0) + 1);
+    return counts;
+  }, [items]);
+
   // Mutators: goals
   function addGoal() {
     const name = goalDraft.name.trim();
@@ -648,6 +3327,10 @@ useEffect(() => {
         current: safeNum(goalDraft.current),
         monthly: safeNum(goalDraft.monthly),
         endDate: goalDraft.endDate,
+        contributions:
+          safeNum(goalDraft.current) !== 0
+            ? [{ id: uid(), date: isoDate(), amount: safeNum(goalDraft.current), note: "", opening: true }]
+            : [],
       },
       ...arr,
     ]);
@@ -656,11 +3339,42 @@ useEffect(() => {
   function updateGoal(id, patch) {
     setGoals((arr) => arr.map((g) => (g.id === id ? { ...g, ...patch } : g)));
   }
-  function removeGoal(id) {
-    setGoals((arr) => arr.filter((g) => g.id !== id));
+  function removeGoal(id) {
+    labelChange(t("undo.deleted", { name: goals.find((g) => g.id === id)?.name ?? "" }));
+    setGoals((arr) => arr.filter((g) => g.id !== id));
+  }
+  // The log is the source of truth for a goal's current amount
+  function setContributions(goalId, update) {
+    setGoals((arr) =>
+      arr.map((g) => {
+        if (g.id !== goalId) return g;
+        const contributions = update(g.contributions ?? []).sort((a, b) => a.date.localeCompare(b.date));
+        return { ...g, contributions, current: contributionsTotal(contributions) };
+      })
+    );
+  }
+  function addContribution(goalId) {
+    const amount = Math.abs(safeNum(contributionDraft.amount));
+    if (!amount || !contributionDraft.date) return;
+    setContributions(goalId, (log) => [
+      ...log,
+      {
+        id: uid(),
+        date: contributionDraft.date,
+        amount: contributionDraft.kind === "withdrawal" ? -amount : amount,
+        note: contributionDraft.note.trim(),
+      },
+    ]);
+    setContributionDraft((d) => ({ ...d, amount: "", note: "" }));
+  }
+  function removeContribution(goalId, id) {
+    labelChange(t("undo.deletedContribution"));
+    setContributions(goalId, (log) => log.filter((c) => c.id !== id));
   }
 
   function moveGoal(fromId, toId) {
+    if (fromId === toId) return;
+    labelChange(t("undo.moved", { name: goals.find((x) => x.id === fromId)?.name ?? "" }));
     setGoals((arr) => {
       const from = arr.findIndex((x) => x.id === fromId);
       const to = arr.findIndex((x) => x.id === toId);
@@ -676,29 +3390,168 @@ useEffect(() => {
   function addAsset() {
     const name = assetDraft.name.trim();
     if (!name) return;
-    setAssets((arr) => [{ id: uid(), name, type: assetDraft.type, value: safeNum(assetDraft.value) }, ...arr]);
-    setAssetDraft({ name: "", value: "", type: "Investment" });
+    setAssets((arr) => [
+      {
+        id: uid(),
+        name,
+        type: assetDraft.type,
+        value: safeNum(assetDraft.value),
+        currency: assetDraft.currency || undefined,
+        holdings: [],
+      },
+      ...arr,
+    ]);
+    setAssetDraft((d) => ({ ...d, name: "", value: "", type: "Investment" }));
   }
   function updateAsset(id, key, value) {
     setAssets((arr) => arr.map((a) => (a.id === id ? { ...a, [key]: value } : a)));
   }
   function removeAsset(id) {
+    labelChange(t("undo.deleted", { name: assets.find((a) => a.id === id)?.name ?? "" }));
     setAssets((arr) => arr.filter((a) => a.id !== id));
   }
+  // An asset with holdings takes its value from them
+  function setHoldings(assetId, update) {
+    setAssets((arr) =>
+      arr.map((a) => {
+        if (a.id !== assetId) return a;
+        const holdings = update(a.holdings ?? []);
+        return { ...a, holdings, value: holdings.length ? Math.round(holdingsValue(holdings) * 100) / 100 : a.value };
+      })
+    );
+  }
+  function addHolding(assetId) {
+    setHoldings(assetId, (hs) => [
+      ...hs,
+      { id: uid(), name: "", assetClass: "Stocks", region: "Domestic", quantity: 0, price: 0 },
+    ]);
+  }
+  function updateHolding(assetId, holdingId, patch) {
+    setHoldings(assetId, (hs) => hs.map((h) => (h.id === holdingId ? { ...h, ...patch } : h)));
+  }
+  function removeHolding(assetId, holdingId) {
+    const holding = assets.find((a) => a.id === assetId)?.holdings?.find((h) => h.id === holdingId);
+    labelChange(t("undo.deleted", { name: holding?.name ?? "" }));
+    setHoldings(assetId, (hs) => hs.filter((h) => h.id !== holdingId));
+  }
+  function setClassTarget(assetClass, share) {
+    setAllocationTargets((a) => ({ ...a, byClass: { ...a.byClass, [assetClass]: share } }));
+  }
 
   function addLiability() {
     const name = liabDraft.name.trim();
     if (!name) return;
-    setLiabilities((arr) => [{ id: uid(), name, balance: safeNum(liabDraft.balance) }, ...arr]);
-    setLiabDraft({ name: "", balance: "" });
+    setLiabilities((arr) => [
+      {
+        id: uid(),
+        name,
+        balance: safeNum(liabDraft.balance),
+        currency: liabDraft.currency || undefined,
+        rate: 0,
+        minPayment: 0,
+        extraPayment: 0,
+      },
+      ...arr,
+    ]);
+    setLiabDraft((d) => ({ ...d, name: "", balance: "" }));
   }
   function updateLiability(id, key, value) {
     setLiabilities((arr) => arr.map((l) => (l.id === id ? { ...l, [key]: value } : l)));
   }
   function removeLiability(id) {
+    labelChange(t("undo.deleted", { name: liabilities.find((l) => l.id === id)?.name ?? "" }));
     setLiabilities((arr) => arr.filter((l) => l.id !== id));
   }
 
+  // Net worth history
+  function addSnapshot() {
+    const key = snapshotDraft.t;
+    if (!/^\d{4}-\d{2}$/.test(key)) return;
+    setNetWorthHistory((arr) =>
+      upsertSnapshot(arr, { t: key, value: safeNum(snapshotDraft.value), byType: null, liabilities: null })
+    );
+    setSnapshotDraft({ t: "", value: "" });
+  }
+  function updateSnapshot(key, patch) {
+    setNetWorthHistory((arr) =>
+      arr.map((x) => {
+        if (x.t !== key) return x;
+        const next = { ...x, ...patch };
+        return next.byType ? { ...next, value: sumBreakdown(next.byType, next.liabilities) } : next;
+      })
+    );
+  }
+  // Starts a breakdown for a snapshot that only has a total, so nothing is lost
+  function addSnapshotBreakdown(x) {
+    const byType = Object.fromEntries(ASSET_TYPES.map((type) => [type, 0]));
+    byType.Other = Math.max(0, safeNum(x.value));
+    updateSnapshot(x.t, { byType, liabilities: Math.max(0, -safeNum(x.value)) });
+  }
+  function removeSnapshot(key) {
+    labelChange(t("undo.deleted", { name: formatMonthLabel(key, language) }));
+    setNetWorthHistory((arr) => arr.filter((x) => x.t !== key));
+    if (editingSnapshot === key) setEditingSnapshot(null);
+  }
+  function refreshCurrentSnapshot() {
+    setNetWorthHistory((arr) => upsertSnapshot(arr, netWorthSnapshot(currentMonth, assets, liabilities, currency)));
+  }
+
+  // What-if scenarios
+  const livePlan = useMemo(
+    () => ({ incomeSources: profile.incomeSources, items, goals, assets, liabilities }),
+    [profile.incomeSources, items, goals, assets, liabilities]
+  );
+  const activeScenario = scenarios.find((sc) => sc.id === activeScenarioId) ?? null;
+
+  function loadPlan(plan) {
+    setProfile((p) => ({ ...p, incomeSources: plan.incomeSources }));
+    setItems(plan.items);
+    setGoals(plan.goals);
+    setAssets(plan.assets);
+    setLiabilities(plan.liabilities);
+  }
+  // Stash whatever is open, then open `id` (null = the real plan)
+  function openScenario(id, plan = id === null ? parkedPlan : scenarios.find((sc) => sc.id === id)?.plan) {
+    if (id === activeScenarioId || !plan) return;
+    if (activeScenarioId === null) setParkedPlan(livePlan);
+    else setScenarios((arr) => arr.map((sc) => (sc.id === activeScenarioId ? { ...sc, plan: livePlan } : sc)));
+    if (id === null) setParkedPlan(null);
+    loadPlan(plan);
+    setActiveScenarioId(id);
+  }
+  function forkScenario() {
+    const name = scenarioDraft.trim();
+    if (!name) return;
+    const scenario = { id: uid(), name, plan: copyPlan(livePlan) };
+    setScenarios((arr) => [...arr, scenario]);
+    setScenarioDraft("");
+    openScenario(scenario.id, scenario.plan);
+  }
+  function renameScenario(id, name) {
+    setScenarios((arr) => arr.map((sc) => (sc.id === id ? { ...sc, name } : sc)));
+  }
+  function removeScenario(id) {
+    labelChange(t("undo.deleted", { name: scenarios.find((sc) => sc.id === id)?.name ?? "" }));
+    if (id === activeScenarioId) openScenario(null);
+    setScenarios((arr) => arr.filter((sc) => sc.id !== id));
+  }
+
+  const scenarioComparison = useMemo(() => {
+    const options = {
+      currency,
+      swr,
+      realReturn: retirementAssumptions.realReturn,
+      includeTemporary: retirementView === "all",
+      month: currentMonth,
+      now: new Date(),
+    };
+    const plans = [
+      { id: null, name: null, plan: activeScenarioId === null ? livePlan : parkedPlan },
+      ...scenarios.map((sc) => ({ ...sc, plan: sc.id === activeScenarioId ? livePlan : sc.plan })),
+    ];
+    return plans.map((p) => ({ id: p.id, name: p.name, goalCount: p.plan.goals.length, ...planMetrics(p.plan, options) }));
+  }, [scenarios, activeScenarioId, livePlan, parkedPlan, currency, swr, retirementAssumptions.realReturn, retirementView, currentMonth]);
+
   const showOnboarding = !onboardingDone;
   function finishOnboarding() {
     setOnboardingDone(true);
@@ -720,39 +3573,63 @@ useEffect(() => {
   }
 
   return (
+    <I18nContext.Provider value={t}>
     <div>
       {/* Header */}
       <div className="header">
         <div className="header-inner">
           <div className="header-toprow">
-            <button className="btn outline" onClick={() => setDrawerOpen(true)} aria-label="Open menu">
+            <button className="btn outline" onClick={() => setDrawerOpen(true)} aria-label={t("header.openMenu")}>
               <Menu size={16} />
             </button>
-            <button type="button" className="brand" onClick={() => setActiveTab("home")} aria-label="Go to Home">Ikigai</button>
-            <button
-              className="btn outline"
-              onClick={() => setTheme((t) => (t === "dark" ? "light" : "dark"))}
-              aria-label="Toggle theme"
-              title="Toggle theme"
-            >
-              {theme === "dark" ? <Sun size={16} /> : <Moon size={16} />}
-            </button>
+            <button type="button" className="brand" onClick={() => setActiveTab("home")} aria-label={t("header.goHome")}>Ikigai</button>
+            <div className="row" style={{ gap: 8 }}>
+              <button
+                className="btn outline"
+                onClick={() => stepHistory("undo")}
+                disabled={!historySize.past}
+                aria-label={t("undo.undo")}
+                title={t("undo.undoShortcut")}
+              >
+                <Undo2 size={16} />
+              </button>
+              <button
+                className="btn outline"
+                onClick={() => stepHistory("redo")}
+                disabled={!historySize.future}
+                aria-label={t("undo.redo")}
+                title={t("undo.redoShortcut")}
+              >
+                <Redo2 size={16} />
+              </button>
+              <button
+                className="btn outline"
+                onClick={() => setTheme((th) => (th === "dark" ? "light" : "dark"))}
+                aria-label={t("header.toggleTheme")}
+                title={t("header.toggleTheme")}
+              >
+                {theme === "dark" ? <Sun size={16} /> : <Moon size={16} />}
+              </button>
+            </div>
           </div>
-{!["home","ikigai","goals","networth","retirement","about"].includes(activeTab) ? (
+{!VALID_TABS.has(activeTab) ? (
   <div className="card">
     <div className="card-body">
-      <h2 className="h1">Lost in navigation</h2>
-      <p className="sub">Resetting you back to Home.</p>
-      <button className="btn primary" onClick={() => setActiveTab("home")}>Go to Home</button>
+      <h2 className="h1">{t("lost.title")}</h2>
+      <p className="sub">{t("lost.body")}</p>
+      <button className="btn primary" onClick={() => setActiveTab("home")}>{t("header.goHome")}</button>
     </div>
   </div>
 ) : null}
-          <div className="nav" role="navigation" aria-label="Primary">
-            <TabButton id="home" label="Home" Icon={HomeIcon} />
-            <TabButton id="ikigai" label="Your Ikigai" Icon={Wallet} />
-            <TabButton id="goals" label="Savings" Icon={PiggyBank} />
-            <TabButton id="networth" label="Net Worth" Icon={LineChartIcon} />
-            <TabButton id="retirement" label="Retirement" Icon={BarChart3} />
+          <div className="nav" role="navigation" aria-label={t("nav.primary")}>
+            <TabButton id="home" label={t("tab.home")} Icon={HomeIcon} />
+            <TabButton id="ikigai" label={t("tab.ikigai")} Icon={Wallet} />
+            <TabButton id="actuals" label={t("tab.actuals")} Icon={Receipt} />
+            <TabButton id="calendar" label={t("tab.calendar")} Icon={CalendarDays} />
+            <TabButton id="goals" label={t("tab.goals")} Icon={PiggyBank} />
+            <TabButton id="networth" label={t("tab.networth")} Icon={LineChartIcon} />
+            <TabButton id="retirement" label={t("tab.retirement")} Icon={BarChart3} />
+            <TabButton id="scenarios" label={t("tab.scenarios")} Icon={GitBranch} />
           </div>
         </div>
       </div>
@@ -761,28 +3638,241 @@ useEffect(() => {
       {drawerOpen ? (
         <>
           <div className="drawer-overlay" onClick={() => setDrawerOpen(false)} />
-          <div className="drawer" role="dialog" aria-label="Menu">
+          <div className="drawer" role="dialog" aria-label={t("drawer.menu")}>
             <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
               <div style={{ fontWeight: 850, color: "var(--text)" }}>Ikigai</div>
-              <button className="btn outline" onClick={() => setDrawerOpen(false)} aria-label="Close menu">Close</button>
+              <button className="btn outline" onClick={() => setDrawerOpen(false)} aria-label={t("drawer.closeMenu")}>{t("common.close")}</button>
+            </div>
+
+            <div className="drawer-section">
+              <h3 style={{ margin: "8px 0" }}>{t("drawer.navigate")}</h3>
+              <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                <button className="btn outline" onClick={() => (setActiveTab("home"), setDrawerOpen(false))}>{t("tab.home")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("ikigai"), setDrawerOpen(false))}>{t("tab.ikigai")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("actuals"), setDrawerOpen(false))}>{t("tab.actuals")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("calendar"), setDrawerOpen(false))}>{t("tab.calendar")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("goals"), setDrawerOpen(false))}>{t("tab.goals")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("networth"), setDrawerOpen(false))}>{t("tab.networth")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("retirement"), setDrawerOpen(false))}>{t("tab.retirement")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("scenarios"), setDrawerOpen(false))}>{t("tab.scenarios")}</button>
+                <button className="btn outline" onClick={() => (setActiveTab("about"), setDrawerOpen(false))}>{t("tab.about")}</button>
+              </div>
             </div>
 
             <div className="drawer-section">
-              <h3 style={{ margin: "8px 0" }}>Navigate</h3>
+              <h3 style={{ margin: "8px 0" }}>{t("drawer.backup")}</h3>
               <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-                <button className="btn outline" onClick={() => (setActiveTab("home"), setDrawerOpen(false))}>Home</button>
-                <button className="btn outline" onClick={() => (setActiveTab("ikigai"), setDrawerOpen(false))}>Your Ikigai</button>
-                <button className="btn outline" onClick={() => (setActiveTab("goals"), setDrawerOpen(false))}>Savings</button>
-                <button className="btn outline" onClick={() => (setActiveTab("networth"), setDrawerOpen(false))}>Net Worth</button>
-                <button className="btn outline" onClick={() => (setActiveTab("retirement"), setDrawerOpen(false))}>Retirement</button>
-                <button className="btn outline" onClick={() => (setActiveTab("about"), setDrawerOpen(false))}>About</button>
+                <button className="btn outline" onClick={exportBackup}>{t("drawer.exportBackup")}</button>
+                <label className="btn outline" style={{ cursor: "pointer" }}>
+                  {t("drawer.importBackup")}
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    style={{ display: "none" }}
+                    onChange={(e) => {
+                      readBackupFile(e.target.files?.[0]);
+                      e.target.value = "";
+                      setDrawerOpen(false);
+                    }}
+                  />
+                </label>
+              </div>
+              <div className="small muted" style={{ marginTop: 8 }}>{t("drawer.backupHint")}</div>
+            </div>
+
+            {vaultSupported ? (
+              <div className="drawer-section">
+                <h3 style={{ margin: "8px 0" }}>{t("lock.section")}</h3>
+                {lock ? (
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                    <button className="btn outline" onClick={lockNow}>
+                      <Lock size={16} /> {t("lock.now")}
+                    </button>
+                    <div className="field">
+                      <div className="label">{t("lock.autoLock")}</div>
+                      <select
+                        value={lock.autoLockMinutes}
+                        onChange={(e) => setLock((l) => ({ ...l, autoLockMinutes: Number(e.target.value) }))}
+                      >
+                        {AUTO_LOCK_MINUTES.map((m) => (
+                          <option key={m} value={m}>{m ? t("lock.afterMinutes", { count: m }) : t("lock.never")}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="small muted">{t("lock.hint")}</div>
+                )}
+
+                {lockForm ? (
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 8 }}>
+                    {lockForm.mode !== "set" ? (
+                      <input
+                        className="input"
+                        type="password"
+                        autoComplete="current-password"
+                        value={lockForm.current}
+                        onChange={(e) => setLockForm((f) => ({ ...f, current: e.target.value }))}
+                        placeholder={t("lock.current")}
+                        aria-label={t("lock.current")}
+                      />
+                    ) : null}
+                    {lockForm.mode !== "remove" ? (
+                      <>
+                        <input
+                          className="input"
+                          type="password"
+                          autoComplete="new-password"
+                          value={lockForm.next}
+                          onChange={(e) => setLockForm((f) => ({ ...f, next: e.target.value }))}
+                          placeholder={t("lock.new")}
+                          aria-label={t("lock.new")}
+                        />
+                        <input
+                          className="input"
+                          type="password"
+                          autoComplete="new-password"
+                          value={lockForm.confirm}
+                          onChange={(e) => setLockForm((f) => ({ ...f, confirm: e.target.value }))}
+                          placeholder={t("lock.confirm")}
+                          aria-label={t("lock.confirm")}
+                        />
+                      </>
+                    ) : null}
+                    {lockForm.mode === "set" ? <div className="small muted">{t("lock.noRecovery")}</div> : null}
+                    {lockForm.error ? <div className="small" style={{ color: "#ef4444" }}>{lockForm.error}</div> : null}
+                    <div className="row" style={{ gap: 8 }}>
+                      <button className="btn primary" disabled={lockForm.busy} onClick={submitLockForm}>
+                        {t(`lock.submit.${lockForm.mode}`)}
+                      </button>
+                      <button className="btn ghost" onClick={() => setLockForm(null)}>{t("common.cancel")}</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 8 }}>
+                    {lock ? (
+                      <>
+                        <button className="btn outline" onClick={() => openLockForm("change")}>{t("lock.change")}</button>
+                        <button className="btn ghost" onClick={() => openLockForm("remove")}>{t("lock.remove")}</button>
+                      </>
+                    ) : (
+                      <button className="btn outline" onClick={() => openLockForm("set")}>{t("lock.set")}</button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ) : null}
+
+            <div className="drawer-section">
+              <h3 style={{ margin: "8px 0" }}>{t("currency.label")}</h3>
+              <div className="grid-2" style={{ gap: 8 }}>
+                <div className="field">
+                  <div className="label">{t("drawer.baseCurrency")}</div>
+                  <select
+                    value={currency.base}
+                    onChange={(e) => {
+                      const next = rebaseCurrency(currency, e.target.value);
+                      if (next) {
+                        setCurrency(next);
+                        setPendingBase(null);
+                      } else {
+                        setPendingBase(e.target.value);
+                        setPivotDraft("");
+                      }
+                    }}
+                  >
+                    {CURRENCIES.map((c) => (
+                      <option key={c}>{c}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="field">
+                  <div className="label">{t("drawer.numberFormat")}</div>
+                  <select value={currency.locale} onChange={(e) => changeNumberFormat(e.target.value)}>
+                    {NUMBER_LOCALES.map((l) => (
+                      <option key={l.value} value={l.value}>{l.label ?? t("drawer.browserDefault")}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
+              {pendingBase ? (
+                <div className="note" style={{ marginTop: 10 }}>
+                  <div className="small">{t("drawer.pivotPrompt", { code: pendingBase, base: currency.base })}</div>
+                  <div className="row small" style={{ alignItems: "center", gap: 8, marginTop: 8 }}>
+                    <span style={{ minWidth: 48 }}>1 {pendingBase} =</span>
+                    <input
+                      className="input"
+                      inputMode="decimal"
+                      value={pivotDraft}
+                      placeholder={t("drawer.rate")}
+                      onChange={(e) => setPivotDraft(e.target.value)}
+                    />
+                    <span>{currency.base}</span>
+                  </div>
+                  <div className="row" style={{ gap: 8, marginTop: 8 }}>
+                    <button
+                      className="btn primary"
+                      disabled={!(parseRate(pivotDraft, currency.locale) > 0)}
+                      onClick={() => {
+                        setCurrency((c) => rebaseCurrency(c, pendingBase, parseRate(pivotDraft, c.locale)) ?? c);
+                        setPendingBase(null);
+                      }}
+                    >
+                      {t("drawer.switchBase", { code: pendingBase })}
+                    </button>
+                    <button className="btn ghost" onClick={() => setPendingBase(null)}>{t("common.cancel")}</button>
+                  </div>
+                </div>
+              ) : null}
+              {usedCurrencies.length > 0 ? (
+                <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+                  <div className="label">{t("drawer.exchangeRates")}</div>
+                  {usedCurrencies.map((code) => (
+                    <div key={code} className="row small" style={{ alignItems: "center", gap: 8 }}>
+                      <span style={{ minWidth: 48 }}>1 {code} =</span>
+                      <input
+                        className="input"
+                        inputMode="decimal"
+                        defaultValue={currency.rates[code] ? formatRate(currency.rates[code], currency.locale) : ""}
+                        key={`${currency.base}-${currency.locale}-${code}`}
+                        placeholder={t("drawer.rate")}
+                        onChange={(e) => {
+                          const rate = parseRate(e.target.value, currency.locale);
+                          setCurrency((c) => {
+                            const rates = { ...c.rates };
+                            if (rate > 0) rates[code] = rate;
+                            else delete rates[code];
+                            return { ...c, rates };
+                          });
+                        }}
+                      />
+                      <span>{currency.base}</span>
+                    </div>
+                  ))}
+                  {missingRates.length > 0 ? (
+                    <div className="small muted">{t("drawer.missingRates", { codes: missingRates.join(", ") })}</div>
+                  ) : null}
+                </div>
+              ) : (
+                <div className="small muted" style={{ marginTop: 8 }}>
+                  {t("drawer.currencyHint")}
+                </div>
+              )}
+            </div>
+
+            <div className="drawer-section">
+              <h3 style={{ margin: "8px 0" }}>{t("drawer.language")}</h3>
+              <select value={language} onChange={(e) => setLanguage(e.target.value)} aria-label={t("drawer.language")}>
+                {LANGUAGES.map((l) => (
+                  <option key={l.code} value={l.code}>{l.label}</option>
+                ))}
+              </select>
             </div>
 
             <div className="drawer-section" style={{ marginTop: "auto" }}>
-              <h3 style={{ margin: "8px 0" }}>Appearance</h3>
-              <button className="btn outline" onClick={() => setTheme((t) => (t === "dark" ? "light" : "dark"))}>
-                {theme === "dark" ? "Light mode" : "Dark mode"}
+              <h3 style={{ margin: "8px 0" }}>{t("drawer.appearance")}</h3>
+              <button className="btn outline" onClick={() => setTheme((th) => (th === "dark" ? "light" : "dark"))}>
+                {theme === "dark" ? t("drawer.lightMode") : t("drawer.darkMode")}
               </button>
             </div>
           </div>
@@ -790,6 +3880,113 @@ useEffect(() => {
       ) : null}
 
       <div className="container">
+        {applyUpdate && !updateDismissed ? (
+          <div className="note" style={{ marginBottom: 14 }}>
+            <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 850 }}>{t("update.title")}</div>
+                <div className="small muted" style={{ marginTop: 4 }}>{t("update.body")}</div>
+              </div>
+              <div className="row" style={{ gap: 8 }}>
+                {/* Let the last save land before the page goes away */}
+                <button className="btn primary" onClick={() => storage.flush().then(applyUpdate)}>{t("update.reload")}</button>
+                <button className="btn" onClick={() => setUpdateDismissed(true)}>{t("update.later")}</button>
+              </div>
+            </div>
+          </div>
+        ) : null}
+
+        {newerElsewhere ? (
+          <div className="note" style={{ marginBottom: 14 }}>
+            <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 850 }}>{t("newer.title")}</div>
+                <div className="small muted" style={{ marginTop: 4 }}>{t("newer.body")}</div>
+              </div>
+              <button className="btn primary" onClick={() => window.location.reload()}>{t("update.reload")}</button>
+            </div>
+          </div>
+        ) : null}
+
+        {loadError ? (
+          <div className="note" style={{ marginBottom: 14 }}>
+            <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between" }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 850 }}>{t("loadError.title")}</div>
+                <div className="small muted" style={{ marginTop: 4 }}>
+                  {t("loadError.body", { error: t(`stateError.${loadError.code}`, loadError.vars), key: STORAGE_BACKUP_KEY })}
+                </div>
+              </div>
+              <button className="btn" onClick={() => setLoadError(null)}>{t("common.dismiss")}</button>
+            </div>
+          </div>
+        ) : null}
+
+        {activeScenario ? (
+          <div className="note" style={{ marginBottom: 14 }}>
+            <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 850 }}>{t("scenarios.banner", { name: activeScenario.name })}</div>
+                <div className="small muted" style={{ marginTop: 4 }}>{t("scenarios.bannerHint")}</div>
+              </div>
+              <div className="row" style={{ gap: 8 }}>
+                {activeTab !== "scenarios" ? (
+                  <button className="btn" onClick={() => setActiveTab("scenarios")}>{t("scenarios.compare")}</button>
+                ) : null}
+                <button className="btn primary" onClick={() => openScenario(null)}>{t("scenarios.backToPlan")}</button>
+              </div>
+            </div>
+          </div>
+        ) : null}
+
+        {importPreview ? (
+          <div className="note" style={{ marginBottom: 14 }}>
+            <div style={{ fontWeight: 850 }}>{t("import.title", { file: importPreview.fileName })}</div>
+            {importPreview.error ? (
+              <>
+                <div className="small muted" style={{ marginTop: 4 }}>{t("import.failed", { error: t(`stateError.${importPreview.error.code}`, importPreview.error.vars) })}</div>
+                <div className="row" style={{ justifyContent: "flex-end", marginTop: 10 }}>
+                  <button className="btn" onClick={() => setImportPreview(null)}>{t("common.close")}</button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="small muted" style={{ marginTop: 4 }}>
+                  {importPreview.exportedAt
+                    ? t("import.exportedAt", { date: new Date(importPreview.exportedAt).toLocaleString(language) }) + " "
+                    : ""}
+                  {t("import.explain")}
+                </div>
+                <div className="grid-2" style={{ marginTop: 10 }}>
+                  <div className="tile">
+                    <div className="label">{t("import.replace")}</div>
+                    <div className="small" style={{ marginTop: 6 }}>
+                      {t("import.replaceSummary", {
+                        current: describeCounts(importPreview.summary, "current", t) || t("import.nothing"),
+                        incoming: describeCounts(importPreview.summary, "incoming", t) || t("import.emptyPlan"),
+                      })}
+                    </div>
+                  </div>
+                  <div className="tile">
+                    <div className="label">{t("import.merge")}</div>
+                    <div className="small" style={{ marginTop: 6 }}>
+                      {importPreview.summary
+                        .filter((r) => r.added > 0 || r.updated > 0)
+                        .map((r) => t("import.mergeRow", { list: t(`backup.name.${r.key}`), added: r.added, updated: r.updated }))
+                        .join(" • ") || t("import.nothingNew")}
+                    </div>
+                  </div>
+                </div>
+                <div className="row" style={{ justifyContent: "flex-end", marginTop: 10, flexWrap: "wrap" }}>
+                  <button className="btn" onClick={() => setImportPreview(null)}>{t("common.cancel")}</button>
+                  <button className="btn" onClick={() => confirmImport("merge")}>{t("import.merge")}</button>
+                  <button className="btn primary" onClick={() => confirmImport("replace")}>{t("import.replace")}</button>
+                </div>
+              </>
+            )}
+          </div>
+        ) : null}
+
         {/* HOME */}
         {activeTab === "home" && (
           <div className="card">
@@ -801,10 +3998,10 @@ useEffect(() => {
                 <div style={{ maxWidth: 760 }}>
                   <div className="row" style={{ alignItems: "flex-start" }}>
                     <div style={{ flex: 1 }}>
-                      <h2 className="h1">Home</h2>
-                      <p className="sub">Everyone’s life has tradeoffs. Let’s start with where you are right now.</p>
+                      <h2 className="h1">{t("tab.home")}</h2>
+                      <p className="sub">{t("onboarding.intro")}</p>
                     </div>
-                    <button className="btn" onClick={finishOnboarding}>Skip for now</button>
+                    <button className="btn" onClick={finishOnboarding}>{t("onboarding.skip")}</button>
                   </div>
 
                   <div className="note" style={{ marginTop: 12 }}>
@@ -812,33 +4009,33 @@ useEffect(() => {
                     {onboardingStep === 1 && (
                       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
                         <div>
-                          <div className="kicker">Step 1 of 4</div>
-                          <div style={{ fontWeight: 850, fontSize: 18 }}>You</div>
+                          <div className="kicker">{t("onboarding.step", { n: 1, total: 4 })}</div>
+                          <div style={{ fontWeight: 850, fontSize: 18 }}>{t("onboarding.you")}</div>
                         </div>
 
                         <div className="grid-2">
                           <div className="field">
-                            <div className="label">Age</div>
+                            <div className="label">{t("profile.age")}</div>
                             <input className="input" value={profile.age} onChange={(e) => setProfile({ ...profile, age: e.target.value })} />
                           </div>
                           <div className="field">
-                            <div className="label">Location</div>
-                            <input className="input" value={profile.location} placeholder="Los Angeles, CA, USA" onChange={(e) => setProfile({ ...profile, location: e.target.value })} />
+                            <div className="label">{t("profile.location")}</div>
+                            <input className="input" value={profile.location} placeholder={t("profile.locationPlaceholder")} onChange={(e) => setProfile({ ...profile, location: e.target.value })} />
                           </div>
 
                           <div className="field">
-                            <div className="label">Relationship</div>
+                            <div className="label">{t("profile.relationship")}</div>
                             <select value={profile.relationship} onChange={(e) => setProfile({ ...profile, relationship: e.target.value })}>
-                              <option value="">Select</option>
-                              <option>Single</option>
-                              <option>Partnered</option>
-                              <option>Married</option>
+                              <option value="">{t("common.select")}</option>
+                              {["Single", "Partnered", "Married"].map((r) => (
+                                <option key={r} value={r}>{t.label("relationship", r)}</option>
+                              ))}
                             </select>
                           </div>
 
                           <div className="grid-2" style={{ gap: 10 }}>
                             <div className="field">
-                              <div className="label">Kids</div>
+                              <div className="label">{t("profile.kids")}</div>
                               <input
                                 className="input"
                                 inputMode="numeric"
@@ -847,7 +4044,7 @@ useEffect(() => {
                               />
                             </div>
                             <div className="field">
-                              <div className="label">Pets</div>
+                              <div className="label">{t("profile.pets")}</div>
                               <input
                                 className="input"
                                 inputMode="numeric"
@@ -859,8 +4056,8 @@ useEffect(() => {
                         </div>
 
                         <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                          <Tip text="Your stage of life shapes what ‘enough’ looks like. Nothing here is permanent." />
-                          <button className="btn primary" onClick={() => setOnboardingStep(2)}>Continue</button>
+                          <Tip text={t("onboarding.youTip")} />
+                          <button className="btn primary" onClick={() => setOnboardingStep(2)}>{t("common.continue")}</button>
                         </div>
                       </div>
                     )}
@@ -869,61 +4066,197 @@ useEffect(() => {
                     {onboardingStep === 2 && (
                       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
                         <div>
-                          <div className="kicker">Step 2 of 4</div>
-                          <div style={{ fontWeight: 850, fontSize: 18 }}>What supports your life</div>
+                          <div className="kicker">{t("onboarding.step", { n: 2, total: 4 })}</div>
+                          <div style={{ fontWeight: 850, fontSize: 18 }}>{t("onboarding.income")}</div>
                           <div className="small muted" style={{ marginTop: 4 }}>
-                            Add your income sources (monthly take-home).
+                            {t("onboarding.incomeHint")}
                           </div>
                         </div>
 
                         <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
                           {profile.incomeSources.map((src) => (
-                            <div key={src.id} className="grid-2" style={{ gap: 10 }}>
-                              <div className="field">
-                                <div className="label">Source</div>
-                                <input className="input" value={src.name} onChange={(e) => setIncomeSource(src.id, { name: e.target.value })} />
+                            <div key={src.id} className="tile" style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                              <div className="grid-2" style={{ gap: 10 }}>
+                                <div className="field">
+                                  <div className="label">{t("income.source")}</div>
+                                  <input className="input" value={src.name} onChange={(e) => setIncomeSource(src.id, { name: e.target.value })} />
+                                </div>
+                                <div className="row" style={{ alignItems: "flex-end" }}>
+                                  <div className="field" style={{ flex: 1 }}>
+                                    <div className="label">{t("income.amount")}</div>
+                                    <input
+                                      className="input"
+                                      inputMode="decimal"
+                                      value={src.amount ?? ""}
+                                      placeholder={t("common.eg", { example: src.basis === "gross" ? "85000" : "6500" })}
+                                      onChange={(e) => setIncomeSource(src.id, { amount: e.target.value })}
+                                    />
+                                  </div>
+                                  <CurrencySelect
+                                    value={src.currency}
+                                    base={currency.base}
+                                    onChange={(code) => setIncomeSource(src.id, { currency: code })}
+                                  />
+                                  {profile.incomeSources.length > 1 ? (
+                                    <button className="btn ghost" onClick={() => removeIncomeSource(src.id)} title={t("common.remove")}>
+                                      <Trash2 size={16} />
+                                    </button>
+                                  ) : null}
+                                </div>
                               </div>
-                              <div className="row" style={{ alignItems: "flex-end" }}>
-                                <div className="field" style={{ flex: 1 }}>
-                                  <div className="label">Monthly</div>
-                                  <input
-                                    className="input"
-                                    inputMode="decimal"
-                                    value={src.monthly}
-                                    placeholder="e.g., 6500"
-                                    onChange={(e) => setIncomeSource(src.id, { monthly: e.target.value })}
+                              <div className="grid-2" style={{ gap: 10 }}>
+                                <div className="field">
+                                  <div className="label">{t("income.basis")}</div>
+                                  <select value={src.basis ?? "net"} onChange={(e) => setIncomeSource(src.id, { basis: e.target.value })}>
+                                    <option value="net">{t("income.basis.net")}</option>
+                                    <option value="gross">{t("income.basis.gross")}</option>
+                                  </select>
+                                </div>
+                                <div className="row" style={{ gap: 10, alignItems: "flex-end" }}>
+                                  <div className="field" style={{ flex: 1 }}>
+                                    <div className="label">{t("income.frequency")}</div>
+                                    <select value={src.frequency ?? "monthly"} onChange={(e) => setIncomeSource(src.id, { frequency: e.target.value })}>
+                                      {INCOME_FREQUENCIES.map((f) => (
+                                        <option key={f} value={f}>{t(`income.frequency.${f}`)}</option>
+                                      ))}
+                                    </select>
+                                  </div>
+                                  {household.enabled ? (
+                                    <div className="field" style={{ width: 140 }}>
+                                      <div className="label">{t("household.owner")}</div>
+                                      <select value={ownerOf(src, household.members)} onChange={(e) => setIncomeSource(src.id, { owner: e.target.value })}>
+                                        <option value="shared">{t("household.shared")}</option>
+                                        {household.members.map((m) => (
+                                          <option key={m.id} value={m.id}>{m.name || t("household.unnamed")}</option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                  ) : null}
+                                  <div className="field" style={{ width: 150 }}>
+                                    <div className="label">{t("calendar.nextPay")}</div>
+                                    <input
+                                      className="input"
+                                      type="date"
+                                      value={src.payDate || ""}
+                                      onChange={(e) => setIncomeSource(src.id, { payDate: e.target.value })}
+                                    />
+                                  </div>
+                                  {src.frequency === "hourly" ? (
+                                    <div className="field" style={{ width: 110 }}>
+                                      <div className="label">{t("income.hoursPerWeek")}</div>
+                                      <input
+                                        className="input"
+                                        inputMode="decimal"
+                                        value={src.hoursPerWeek ?? ""}
+                                        placeholder="40"
+                                        onChange={(e) => setIncomeSource(src.id, { hoursPerWeek: e.target.value })}
+                                      />
+                                    </div>
+                                  ) : null}
+                                </div>
+                              </div>
+                              {src.basis === "gross" ? (
+                                <div className="grid-2" style={{ gap: 10 }}>
+                                  <div className="field">
+                                    <div className="label">{t("income.retirementDeduction")}</div>
+                                    <input
+                                      className="input"
+                                      inputMode="decimal"
+                                      value={src.retirementDeduction ?? ""}
+                                      placeholder={t("common.eg", { example: "6000" })}
+                                      onChange={(e) => setIncomeSource(src.id, { retirementDeduction: e.target.value })}
+                                    />
+                                  </div>
+                                  <div className="field">
+                                    <div className="label">{t("income.hsaDeduction")}</div>
+                                    <input
+                                      className="input"
+                                      inputMode="decimal"
+                                      value={src.hsaDeduction ?? ""}
+                                      placeholder={t("common.eg", { example: "2000" })}
+                                      onChange={(e) => setIncomeSource(src.id, { hsaDeduction: e.target.value })}
+                                    />
+                                  </div>
+                                </div>
+                              ) : null}
+                              {src.basis === "gross" || (src.frequency ?? "monthly") !== "monthly" ? (
+                                <div className="small muted">
+                                  {src.frequency === "bonus"
+                                    ? t("income.bonusTakeHome", { amount: formatMoney(toBase(src.payout, src.currency, currency)) })
+                                    : t("income.takeHome", { amount: formatMoney(toBase(src.monthly, src.currency, currency)) })}
+                                </div>
+                              ) : null}
+                            </div>
+                          ))}
+
+                          {hasGrossIncome ? (
+                            <div className="note">
+                              <div style={{ fontWeight: 850 }}>{t("tax.title")}</div>
+                              <div className="grid-3" style={{ gap: 10, marginTop: 10 }}>
+                                <div className="field">
+                                  <div className="label">{t("tax.region")}</div>
+                                  <select value={profile.tax.region} onChange={(e) => setTaxSettings({ region: e.target.value })}>
+                                    {Object.keys(TAX_REGIONS).map((r) => (
+                                      <option key={r} value={r}>{t(`tax.region.${r}`)}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                                {TAX_REGIONS[profile.tax.region]?.filing ? (
+                                  <div className="field">
+                                    <div className="label">{t("tax.filing")}</div>
+                                    <select value={profile.tax.filing} onChange={(e) => setTaxSettings({ filing: e.target.value })}>
+                                      <option value="single">{t("tax.filing.single")}</option>
+                                      <option value="joint">{t("tax.filing.joint")}</option>
+                                    </select>
+                                  </div>
+                                ) : null}
+                                <div className="field">
+                                  <div className="label">{t("tax.extraRate")}</div>
+                                  <NumberInput
+                                    value={profile.tax.extraRate}
+                                    format={(v) => String(Math.round(v * 1000) / 10)}
+                                    onChange={(n) => setTaxSettings({ extraRate: Math.min(1, n / 100) })}
                                   />
                                 </div>
-                                {profile.incomeSources.length > 1 ? (
-                                  <button className="btn ghost" onClick={() => removeIncomeSource(src.id)} title="Remove">
-                                    <Trash2 size={16} />
-                                  </button>
+                              </div>
+                              <div className="small" style={{ marginTop: 10, display: "flex", flexDirection: "column", gap: 2 }}>
+                                <div>{t("tax.gross")} <b>{formatMoney(incomeSummary.gross)}</b></div>
+                                <div>{t("tax.pretax")} <b>−{formatMoney(incomeSummary.pretax)}</b></div>
+                                <div>{t("tax.incomeTax")} <b>−{formatMoney(incomeSummary.incomeTax)}</b></div>
+                                <div>{t("tax.payrollTax")} <b>−{formatMoney(incomeSummary.payrollTax)}</b></div>
+                                {incomeSummary.localTax > 0 ? (
+                                  <div>{t("tax.localTax")} <b>−{formatMoney(incomeSummary.localTax)}</b></div>
                                 ) : null}
+                                <div>
+                                  {t("tax.net")} <b>{formatMoney(incomeSummary.net)}</b>{" "}
+                                  <span className="muted">({t("tax.perMonth", { amount: formatMoney(incomeSummary.monthlyNet) })})</span>
+                                </div>
                               </div>
+                              <div className="small muted" style={{ marginTop: 8 }}>{t("tax.disclaimer")}</div>
                             </div>
-                          ))}
+                          ) : null}
 
                           <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                            <button className="btn" onClick={() => addIncomeSource("Other income")}><Plus size={16} /> Add income source</button>
+                            <button className="btn" onClick={() => addIncomeSource()}><Plus size={16} /> {t("income.add")}</button>
                             <div className="small">
-                              Total monthly: <b>{formatMoney(totalIncomeMonthly)}</b>
+                              {t("income.totalMonthly")} <b>{formatMoney(totalIncomeMonthly)}</b>
                             </div>
                           </div>
 
                           <div className="row" style={{ flexWrap: "wrap", gap: 8 }}>
-                            {["Dividend income", "Interest income", "Side hustle", "Bonus", "Rental income"].map((n) => (
+                            {t.list("income.suggestions").map((n) => (
                               <button key={n} className="btn" onClick={() => addIncomeSource(n)}>
                                 + {n}
                               </button>
                             ))}
                           </div>
 
-                          <div className="small muted">This doesn’t need to be perfect. You can refine it anytime.</div>
+                          <div className="small muted">{t("onboarding.incomeReassure")}</div>
                         </div>
 
                         <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                          <button className="btn" onClick={() => setOnboardingStep(1)}>Back</button>
-                          <button className="btn primary" onClick={() => setOnboardingStep(3)}>Continue</button>
+                          <button className="btn" onClick={() => setOnboardingStep(1)}>{t("common.back")}</button>
+                          <button className="btn primary" onClick={() => setOnboardingStep(3)}>{t("common.continue")}</button>
                         </div>
                       </div>
                     )}
@@ -932,13 +4265,15 @@ useEffect(() => {
                     {onboardingStep === 3 && (
                       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
                         <div>
-                          <div className="kicker">Step 3 of 4</div>
-                          <div style={{ fontWeight: 850, fontSize: 18 }}>What matters today</div>
-                          <div className="small muted" style={{ marginTop: 4 }}>Start with a few things that feel important.</div>
+                          <div className="kicker">{t("onboarding.step", { n: 3, total: 4 })}</div>
+                          <div style={{ fontWeight: 850, fontSize: 18 }}>{t("onboarding.today")}</div>
+                          <div className="small muted" style={{ marginTop: 4 }}>{t("onboarding.todayHint")}</div>
                         </div>
 
                         <div className="grid-2">
-                          {["Housing", "Food & Drink", "Car / Transportation", "Pet"].map((c) => (
+                          {["Housing", "Food & Drink", "Car / Transportation", "Pet"]
+                            .filter((c) => categories.some((x) => x.name === c && !x.hidden))
+                            .map((c) => (
                             <button
                               key={c}
                               className="tile"
@@ -948,15 +4283,15 @@ useEffect(() => {
                               }}
                               style={{ textAlign: "left", cursor: "pointer" }}
                             >
-                              <div style={{ fontWeight: 850 }}>{c}</div>
-                              <div className="small muted" style={{ marginTop: 6 }}>Tap to add</div>
+                              <div style={{ fontWeight: 850 }}>{t.label("category", c)}</div>
+                              <div className="small muted" style={{ marginTop: 6 }}>{t("onboarding.tapToAdd")}</div>
                             </button>
                           ))}
                         </div>
 
                         <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                          <button className="btn" onClick={() => setOnboardingStep(2)}>Back</button>
-                          <button className="btn primary" onClick={() => setOnboardingStep(4)}>Continue</button>
+                          <button className="btn" onClick={() => setOnboardingStep(2)}>{t("common.back")}</button>
+                          <button className="btn primary" onClick={() => setOnboardingStep(4)}>{t("common.continue")}</button>
                         </div>
                       </div>
                     )}
@@ -965,9 +4300,9 @@ useEffect(() => {
                     {onboardingStep === 4 && (
                       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
                         <div>
-                          <div className="kicker">Step 4 of 4</div>
-                          <div style={{ fontWeight: 850, fontSize: 18 }}>Looking ahead</div>
-                          <div className="small muted" style={{ marginTop: 4 }}>Some parts of life are worth planning for.</div>
+                          <div className="kicker">{t("onboarding.step", { n: 4, total: 4 })}</div>
+                          <div style={{ fontWeight: 850, fontSize: 18 }}>{t("onboarding.ahead")}</div>
+                          <div className="small muted" style={{ marginTop: 4 }}>{t("onboarding.aheadHint")}</div>
                         </div>
 
                         <div className="row" style={{ gap: 10, flexWrap: "wrap" }}>
@@ -978,19 +4313,19 @@ useEffect(() => {
                               finishOnboarding();
                             }}
                           >
-                            Add a savings goal
+                            {t("onboarding.addGoal")}
                           </button>
-                          <button className="btn" onClick={finishOnboarding}>Skip for now</button>
+                          <button className="btn" onClick={finishOnboarding}>{t("onboarding.skip")}</button>
                         </div>
 
                         <div className="row small muted" style={{ alignItems: "center", gap: 10 }}>
-                          <Tip text="Planning doesn’t mean committing — it means seeing." />
-                          <span>Planning doesn’t mean committing — it means seeing.</span>
+                          <Tip text={t("onboarding.seeing")} />
+                          <span>{t("onboarding.seeing")}</span>
                         </div>
 
                         <div className="note">
-                          <div style={{ fontWeight: 850 }}>Your Ikigai is taking shape.</div>
-                          <div className="small muted" style={{ marginTop: 4 }}>You can change any of this as life changes.</div>
+                          <div style={{ fontWeight: 850 }}>{t("onboarding.shape")}</div>
+                          <div className="small muted" style={{ marginTop: 4 }}>{t("onboarding.shapeHint")}</div>
                         </div>
                       </div>
                     )}
@@ -1000,56 +4335,56 @@ useEffect(() => {
                 <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
                   <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between" }}>
                     <div style={{ flex: 1 }}>
-                      <h2 className="h1">Home</h2>
-                      <p className="sub">A calm snapshot of your life right now.</p>
+                      <h2 className="h1">{t("tab.home")}</h2>
+                      <p className="sub">{t("home.sub")}</p>
                     </div>
                     <button
                       type="button"
                       className="btn"
                       onClick={() => { setOnboardingDone(false); setOnboardingStep(1); }}
                     >
-                      Edit basics
+                      {t("home.editBasics")}
                     </button>
                   </div>
 
                   <div className="grid-4">
                     <div className="tile">
                       <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                        <div className="label">Spending</div>
-                        <Tip text="Tap the number to switch Monthly ↔ Annual." />
+                        <div className="label">{t("home.spending")}</div>
+                        <Tip text={t("home.spendingTip")} />
                       </div>
                       <div
                         className="big-number"
                         onClick={() => setSpendingView((v) => (v === "monthly" ? "annual" : "monthly"))}
-                        title="Toggle monthly/annual"
+                        title={t("common.toggleMonthlyAnnual")}
                       >
                         {formatMoney(monthlySpendForSummary)}
                         <small>
-                          {spendingView === "monthly" ? "Monthly" : "Annual"} <ChevronDown size={12} />
+                          {spendingView === "monthly" ? t("common.monthly") : t("common.annual")} <ChevronDown size={12} />
                         </small>
                       </div>
                     </div>
 
                     <div className="tile">
                       <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                        <div className="label">Savings rate</div>
-                        <Tip text="Savings rate = (Income − Spending) ÷ Income." />
+                        <div className="label">{t("home.savingsRate")}</div>
+                        <Tip text={t("home.savingsRateTip")} />
                       </div>
                       <div className="big-number" style={{ cursor: "default" }}>{formatPct(savingsRate, 2)}</div>
                     </div>
 
                     <div className="tile">
                       <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                        <div className="label">Leftover money</div>
-                        <Tip text="Formula: monthly income − monthly spending." />
+                        <div className="label">{t("home.leftover")}</div>
+                        <Tip text={t("home.leftoverTip")} />
                       </div>
                       <div className="big-number" style={{ cursor: "default" }}>{formatMoney(leftoverMonthly)}</div>
                     </div>
 
                     <div className="tile">
                       <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                        <div className="label">Retirement target</div>
-                        <Tip text={`Assumes withdrawal rate ${(swr * 100).toFixed(2)}%. Toggle whether to include temporary spending.`} />
+                        <div className="label">{t("home.retirementTarget")}</div>
+                        <Tip text={t("home.retirementTargetTip", { rate: formatPct(swr, 2) })} />
                       </div>
 
                       <div className="row" style={{ gap: 8, marginTop: 10, flexWrap: "wrap" }}>
@@ -1058,14 +4393,14 @@ useEffect(() => {
                           className={"pill " + (retirementView === "ongoing" ? "active" : "")}
                           onClick={() => setRetirementView("ongoing")}
                         >
-                          Ongoing
+                          {t("retirementView.ongoing")}
                         </button>
                         <button
                           type="button"
                           className={"pill " + (retirementView === "all" ? "active" : "")}
                           onClick={() => setRetirementView("all")}
                         >
-                          Include Temporary
+                          {t("retirementView.all")}
                         </button>
                       </div>
 
@@ -1077,10 +4412,123 @@ useEffect(() => {
 
                   <div className="note">
                     <div className="small">
-                      You’re seeing what your life implies — and you get to decide what changes, if any.
+                      {t("home.note")}
                     </div>
                   </div>
 
+                  <div className="note">
+                    <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                      <div style={{ fontWeight: 850 }}>{t("household.title")}</div>
+                      <label className="row small" style={{ alignItems: "center", gap: 8 }}>
+                        <input type="checkbox" checked={household.enabled} onChange={(e) => enableHousehold(e.target.checked)} />
+                        {t("household.enable")}
+                      </label>
+                    </div>
+                    <div className="small muted" style={{ marginTop: 6 }}>
+                      {!household.enabled && ["Partnered", "Married"].includes(profile.relationship)
+                        ? t("household.suggest")
+                        : t("household.sub")}
+                    </div>
+
+                    {householdSplit ? (
+                      <>
+                        <div className="row" style={{ gap: 8, marginTop: 10, flexWrap: "wrap", alignItems: "center" }}>
+                          {household.members.map((m) => (
+                            <div key={m.id} className="row" style={{ gap: 4, alignItems: "center" }}>
+                              <input
+                                className="input"
+                                value={m.name}
+                                placeholder={t("household.unnamed")}
+                                onChange={(e) => renameHouseholdMember(m.id, e.target.value)}
+                                style={{ width: 130 }}
+                              />
+                              {household.members.length > 1 ? (
+                                <button
+                                  type="button"
+                                  className="btn xbtn"
+                                  onClick={() => removeHouseholdMember(m.id)}
+                                  aria-label={t("household.removeMember")}
+                                  title={t("household.removeMember")}
+                                >
+                                  ×
+                                </button>
+                              ) : null}
+                            </div>
+                          ))}
+                          <button type="button" className="btn ghost" onClick={addHouseholdMember}>
+                            <Plus size={16} /> {t("household.addMember")}
+                          </button>
+                        </div>
+
+                        <div className="label" style={{ marginTop: 12 }}>{t("household.splitLabel")}</div>
+                        <div className="row" style={{ gap: 8, marginTop: 6, flexWrap: "wrap" }}>
+                          {HOUSEHOLD_SPLITS.map((mode) => (
+                            <Pill
+                              key={mode}
+                              active={household.split === mode}
+                              label={t(`household.split.${mode}`)}
+                              onClick={() => setHousehold({ split: mode })}
+                            />
+                          ))}
+                        </div>
+                        <div className="small muted" style={{ marginTop: 6 }}>{t(`household.splitHint.${household.split}`)}</div>
+
+                        <div style={{ overflowX: "auto", marginTop: 10 }}>
+                          <table className="small" style={{ width: "100%", borderCollapse: "collapse" }}>
+                            <thead>
+                              <tr style={{ textAlign: "right" }}>
+                                <th style={{ textAlign: "left" }}>{t("household.col.member")}</th>
+                                <th>{t("household.col.share")}</th>
+                                <th>{t("household.col.income")}</th>
+                                <th>{t("household.col.personal")}</th>
+                                <th>{t("household.col.owed")}</th>
+                                <th>{t("household.col.leftover")}</th>
+                                <th>{t("household.col.savingsRate")}</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {householdSplit.rows.map((r) => (
+                                <tr key={r.id} style={{ textAlign: "right" }}>
+                                  <td style={{ textAlign: "left" }}>{r.name || t("household.unnamed")}</td>
+                                  <td>
+                                    {household.split === "custom" ? (
+                                      <NumberInput
+                                        value={safeNum(household.shares[r.id])}
+                                        format={(v) => String(Math.round(v * 1000) / 10)}
+                                        onChange={(n) => setHousehold({ shares: { ...household.shares, [r.id]: n / 100 } })}
+                                        style={{ width: 70, textAlign: "right" }}
+                                        aria-label={`${t("household.col.share")} ${r.name}`}
+                                      />
+                                    ) : (
+                                      formatPct(r.share, 0)
+                                    )}
+                                  </td>
+                                  <td>{formatMoney(r.income)}</td>
+                                  <td>{formatMoney(r.personal)}</td>
+                                  <td>{formatMoney(r.owed)}</td>
+                                  <td style={{ color: r.leftover < 0 ? "#ef4444" : undefined }}>{formatMoney(r.leftover)}</td>
+                                  <td>{formatPct(Math.max(0, r.savingsRate), 1)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                        {household.split === "custom" && Math.abs(customSharesTotal - 1) > 0.001 ? (
+                          <div className="small" style={{ marginTop: 6, color: "#b45309" }}>
+                            {t("household.customTotal", { pct: formatPct(customSharesTotal, 0) })} · {t("household.splitHint.custom")}
+                          </div>
+                        ) : null}
+                        <div className="small muted" style={{ marginTop: 6 }}>
+                          {t("household.sharedTotal", {
+                            amount: formatMoney(householdSplit.sharedSpending),
+                            income: formatMoney(householdSplit.sharedIncome),
+                          })}
+                        </div>
+                      </>
+                    ) : null}
+                  </div>
+
+
                   {/* P1: add summary charts here */}
                 </div>
                             )}
@@ -1092,11 +4540,28 @@ useEffect(() => {
         {activeTab === "ikigai" && (
           <div className="card">
             <div className="card-body" style={{ display: "flex", flexDirection: "column", gap: 16 }}>
-              <div>
-                <h2 className="h1">Your Ikigai</h2>
-                <p className="sub">Some parts of life are essential. Others bring meaning. Most are a mix.</p>
+              <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                <div style={{ flex: 1 }}>
+                  <h2 className="h1">{t("tab.ikigai")}</h2>
+                  <p className="sub">{t("ikigai.sub")}</p>
+                </div>
+                {!csvImportOpen ? (
+                  <button className="btn" onClick={() => setCsvImportOpen(true)}>{t("ikigai.importCsv")}</button>
+                ) : null}
               </div>
 
+              {csvImportOpen ? (
+                <CsvImport
+                  rules={categoryRules}
+                  setRules={setCategoryRules}
+                  items={items}
+                  categories={categories}
+                  onApply={applyCsvSuggestions}
+                  onLogActuals={logCsvActuals}
+                  onClose={() => setCsvImportOpen(false)}
+                />
+              ) : null}
+
             <div className="note">
   {/* Header */}
   <div
@@ -1109,7 +4574,7 @@ useEffect(() => {
     }}
   >
     <div style={{ flex: 1, minWidth: 260 }}>
-      <div style={{ fontWeight: 850 }}>Quick Add</div>
+      <div style={{ fontWeight: 850 }}>{t("quickAdd.title")}</div>
 
       {/* Toggle */}
       <div className="row" style={{ gap: 8, marginTop: 6, flexWrap: "wrap" }}>
@@ -1118,46 +4583,44 @@ useEffect(() => {
           className={"pill " + (!guidedAdd ? "active" : "")}
           onClick={() => setGuidedAdd(false)}
         >
-          Simple
+          {t("quickAdd.simple")}
         </button>
         <button
           type="button"
           className={"pill " + (guidedAdd ? "active" : "")}
           onClick={() => setGuidedAdd(true)}
         >
-          Guided
+          {t("quickAdd.guided")}
         </button>
       </div>
 
       <div className="small muted" style={{ marginTop: 6 }}>
-        Add one item at a time. Everything updates instantly.
+        {t("quickAdd.hint")}
       </div>
     </div>
 
-    <Tip text="Examples: Groceries, Gas, Gym, Coffee, Rent, Pet food, Streaming." />
+    <Tip text={t("quickAdd.tip")} />
   </div>
 
   {/* ⬇️ THIS IS THE IMPORTANT PART ⬇️ */}
   {guidedAdd ? (
     /* GUIDED MODE */
     <div className="note" style={{ marginTop: 12 }}>
-      <div className="kicker">Guided add • Step {guidedStep} of 4</div>
+      <div className="kicker">{t("quickAdd.guidedStep", { n: guidedStep, total: 5 })}</div>
 
       {guidedStep === 1 ? (
         <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-          <div style={{ fontWeight: 750 }}>Choose a category</div>
+          <div style={{ fontWeight: 750 }}>{t("quickAdd.chooseCategory")}</div>
           <select
             value={quickDraft.category}
             onChange={(e) => setQuickDraft((d) => ({ ...d, category: e.target.value }))}
           >
-            {IKIGAI_CATEGORIES.map((c) => (
-              <option key={c.name}>{c.name}</option>
-            ))}
+            {categoryOptions(categories, quickDraft.category, t)}
           </select>
 
           <div className="small muted">
-            Examples:{" "}
-            {getCategoryExamples(quickDraft.category).map((ex) => (
+            {t("quickAdd.examples")}{" "}
+            {getCategoryExamples(quickDraft.category, t, categories).map((ex) => (
               <button
                 key={ex}
                 type="button"
@@ -1172,7 +4635,7 @@ useEffect(() => {
 
           <div className="row" style={{ justifyContent: "flex-end", marginTop: 6 }}>
             <button className="btn primary" type="button" onClick={() => setGuidedStep(2)}>
-              Next
+              {t("common.next")}
             </button>
           </div>
         </div>
@@ -1180,20 +4643,20 @@ useEffect(() => {
 
       {guidedStep === 2 ? (
         <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-          <div style={{ fontWeight: 750 }}>Name the expense</div>
+          <div style={{ fontWeight: 750 }}>{t("quickAdd.nameIt")}</div>
           <input
             className="input"
             value={quickDraft.name}
             onChange={(e) => setQuickDraft((d) => ({ ...d, name: e.target.value }))}
-            placeholder={getCategoryPlaceholder(quickDraft.category)}
+            placeholder={getCategoryPlaceholder(quickDraft.category, t, categories)}
           />
-          <div className="small muted">Pick one of the examples above, or type your own.</div>
+          <div className="small muted">{t("quickAdd.nameHint")}</div>
           <div className="row" style={{ justifyContent: "space-between", marginTop: 6 }}>
             <button className="btn" type="button" onClick={() => setGuidedStep(1)}>
-              Back
+              {t("common.back")}
             </button>
             <button className="btn primary" type="button" onClick={() => setGuidedStep(3)} disabled={!quickDraft.name.trim()}>
-              Next
+              {t("common.next")}
             </button>
           </div>
         </div>
@@ -1201,38 +4664,63 @@ useEffect(() => {
 
       {guidedStep === 3 ? (
         <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-          <div style={{ fontWeight: 750 }}>Monthly cost</div>
+          <div style={{ fontWeight: 750 }}>{t("quickAdd.howOften")}</div>
+          <BillingFrequencySelect
+            frequency={quickDraft.frequency}
+            everyMonths={quickDraft.everyMonths}
+            onChange={(patch) => setQuickDraft((d) => ({ ...d, ...patch }))}
+          />
+          <div className="small muted">{t("quickAdd.howOftenHint")}</div>
+          <div className="row" style={{ justifyContent: "space-between", marginTop: 6 }}>
+            <button className="btn" type="button" onClick={() => setGuidedStep(2)}>
+              {t("common.back")}
+            </button>
+            <button className="btn primary" type="button" onClick={() => setGuidedStep(4)}>
+              {t("common.next")}
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {guidedStep === 4 ? (
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          <div style={{ fontWeight: 750 }}>{t(`quickAdd.cost.${quickDraft.frequency}`)}</div>
           <input
             className="input"
             inputMode="decimal"
-            value={quickDraft.monthly}
-            onChange={(e) => setQuickDraft((d) => ({ ...d, monthly: e.target.value }))}
-            placeholder="e.g., 450"
+            value={quickDraft.amount}
+            onChange={(e) => setQuickDraft((d) => ({ ...d, amount: e.target.value }))}
+            placeholder={t("common.eg", { example: "450" })}
           />
+          {quickDraft.frequency !== "monthly" && String(quickDraft.amount).trim() ? (
+            <div className="small muted">
+              {t("billing.perMonth", { amount: formatMoney(safeNum(withBilling(quickDraft).monthly)) })}
+            </div>
+          ) : null}
           <div className="row" style={{ justifyContent: "space-between", marginTop: 6 }}>
-            <button className="btn" type="button" onClick={() => setGuidedStep(2)}>
-              Back
+            <button className="btn" type="button" onClick={() => setGuidedStep(3)}>
+              {t("common.back")}
             </button>
-            <button className="btn primary" type="button" onClick={() => setGuidedStep(4)} disabled={!String(quickDraft.monthly).trim()}>
-              Next
+            <button className="btn primary" type="button" onClick={() => setGuidedStep(5)} disabled={!String(quickDraft.amount).trim()}>
+              {t("common.next")}
             </button>
           </div>
         </div>
       ) : null}
 
-      {guidedStep === 4 ? (
+      {guidedStep === 5 ? (
         <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-          <div style={{ fontWeight: 750 }}>Details</div>
+          <div style={{ fontWeight: 750 }}>{t("quickAdd.details")}</div>
 
           <div className="grid-2" style={{ gap: 10 }}>
             <div className="field">
-              <div className="label">Need / Want</div>
+              <div className="label">{t("needWant.label")}</div>
               <select
                 value={quickDraft.needWant}
                 onChange={(e) => setQuickDraft((d) => ({ ...d, needWant: e.target.value }))}
               >
-                <option value="need">Need</option>
-                <option value="want">Want</option>
+                <option value="need">{t("needWant.need")}</option>
+                <option value="want">{t("needWant.want")}</option>
               </select>
             </div>
 
@@ -1242,25 +4730,36 @@ useEffect(() => {
                 checked={quickDraft.temporary}
                 onChange={(e) => setQuickDraft((d) => ({ ...d, temporary: e.target.checked }))}
               />
-              Temporary
+              {t("item.temporary")}
             </label>
           </div>
 
-          {quickDraft.temporary ? (
+          <div className="grid-2" style={{ gap: 10 }}>
             <div className="field">
-              <div className="label">Ends (optional)</div>
+              <div className="label">{t("item.startsOptional")}</div>
               <input
                 className="input"
                 type="date"
-                value={quickDraft.endDate}
-                onChange={(e) => setQuickDraft((d) => ({ ...d, endDate: e.target.value }))}
+                value={quickDraft.startDate}
+                onChange={(e) => setQuickDraft((d) => ({ ...d, startDate: e.target.value }))}
               />
             </div>
-          ) : null}
+            {quickDraft.temporary ? (
+              <div className="field">
+                <div className="label">{t("item.endsOptional")}</div>
+                <input
+                  className="input"
+                  type="date"
+                  value={quickDraft.endDate}
+                  onChange={(e) => setQuickDraft((d) => ({ ...d, endDate: e.target.value }))}
+                />
+              </div>
+            ) : null}
+          </div>
 
           <div className="row" style={{ justifyContent: "space-between", marginTop: 6 }}>
-            <button className="btn" type="button" onClick={() => setGuidedStep(3)}>
-              Back
+            <button className="btn" type="button" onClick={() => setGuidedStep(4)}>
+              {t("common.back")}
             </button>
             <button
               className="btn primary"
@@ -1270,7 +4769,7 @@ useEffect(() => {
                 setGuidedStep(1);
               }}
             >
-              Add
+              {t("common.add")}
             </button>
           </div>
         </div>
@@ -1281,40 +4780,45 @@ useEffect(() => {
     <>
       <div className="row" style={{ gap: 12, marginTop: 12 }}>
         <div style={{ flex: 1 }}>
-          <div className="small muted">Name</div>
+          <div className="small muted">{t("common.name")}</div>
           <input
             value={quickDraft.name}
             onChange={(e) =>
               setQuickDraft({ ...quickDraft, name: e.target.value })
             }
-            placeholder="Groceries, Gas, Gym, Coffee"
+            placeholder={t.list("examples.default").join(", ")}
           />
         </div>
 
         <div style={{ minWidth: 160 }}>
-          <div className="small muted">Category</div>
+          <div className="small muted">{t("common.category")}</div>
           <select
             value={quickDraft.category}
             onChange={(e) =>
               setQuickDraft({ ...quickDraft, category: e.target.value })
             }
           >
-            {IKIGAI_CATEGORIES.map((c) => (
-<option key={c.name} value={c.name}>
-  {c.name}
-</option>
-            ))}
+            {categoryOptions(categories, quickDraft.category, t)}
           </select>
         </div>
 
         <div style={{ minWidth: 140 }}>
-          <div className="small muted">Monthly</div>
+          <div className="small muted">{t("billing.amount")}</div>
           <input
-            value={quickDraft.monthly}
+            value={quickDraft.amount}
             onChange={(e) =>
-              setQuickDraft({ ...quickDraft, monthly: e.target.value })
+              setQuickDraft({ ...quickDraft, amount: e.target.value })
             }
-            placeholder="e.g. 450"
+            placeholder={t("common.eg", { example: "450" })}
+          />
+        </div>
+
+        <div style={{ minWidth: 160 }}>
+          <div className="small muted">{t("billing.label")}</div>
+          <BillingFrequencySelect
+            frequency={quickDraft.frequency}
+            everyMonths={quickDraft.everyMonths}
+            onChange={(patch) => setQuickDraft({ ...quickDraft, ...patch })}
           />
         </div>
       </div>
@@ -1334,8 +4838,8 @@ useEffect(() => {
               setQuickDraft({ ...quickDraft, needWant: e.target.value })
             }
           >
-            <option value="need">Need</option>
-            <option value="want">Want</option>
+            <option value="need">{t("needWant.need")}</option>
+            <option value="want">{t("needWant.want")}</option>
           </select>
 
           <label className="row small muted" style={{ gap: 6 }}>
@@ -1349,43 +4853,197 @@ useEffect(() => {
                 })
               }
             />
-            Temporary
+            {t("item.temporary")}
           </label>
+
+          {quickDraft.temporary ? (
+            <input
+              className="input"
+              type="date"
+              value={quickDraft.endDate}
+              onChange={(e) => setQuickDraft({ ...quickDraft, endDate: e.target.value })}
+              aria-label={t("item.ends")}
+              title={t("item.endsOptional")}
+              style={{ width: "auto" }}
+            />
+          ) : null}
         </div>
 
         <button className="btn primary" onClick={addQuickItem}>
-          + Add
+          + {t("common.add")}
         </button>
       </div>
     </>
   )}
             </div>
 
+              {categoryManagerOpen ? (
+                <div className="note">
+                  <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10 }}>
+                    <div style={{ fontWeight: 850 }}>{t("categories.title")}</div>
+                    <button className="btn ghost" onClick={() => setCategoryManagerOpen(false)}>{t("common.close")}</button>
+                  </div>
+                  <div className="small muted" style={{ marginTop: 6 }}>{t("categories.hint")}</div>
+
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+                    {categories.map((c, idx) => {
+                      const locked = LOCKED_CATEGORIES.has(c.name);
+                      return (
+                        <div key={c.name} className="row" style={{ alignItems: "center", gap: 8, flexWrap: "wrap", opacity: c.hidden ? 0.55 : 1 }}>
+                          <input
+                            type="color"
+                            value={c.color}
+                            onChange={(e) => updateCategory(c.name, { color: e.target.value })}
+                            aria-label={t("categories.colorFor", { name: t.label("category", c.name) })}
+                            style={{ width: 32, height: 30, padding: 0, border: "none", background: "none", cursor: "pointer" }}
+                          />
+                          {/* Renames land on blur so half-typed names never touch the items */}
+                          <input
+                            key={`${c.name}-${language}`}
+                            className="input"
+                            defaultValue={t.label("category", c.name)}
+                            disabled={locked}
+                            onBlur={(e) => {
+                              if (e.target.value.trim() === t.label("category", c.name)) return;
+                              if (!renameCategory(c.name, e.target.value)) e.target.value = t.label("category", c.name);
+                            }}
+                            onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                            aria-label={t("common.name")}
+                            style={{ width: 180 }}
+                          />
+                          <input
+                            className="input"
+                            value={c.examples}
+                            placeholder={getCategoryExamples(c.name, t).join(", ")}
+                            onChange={(e) => updateCategory(c.name, { examples: e.target.value })}
+                            aria-label={t("categories.examples")}
+                            title={t("categories.examples")}
+                            style={{ flex: 1, minWidth: 160 }}
+                          />
+                          <span className="small muted" style={{ minWidth: 60 }}>
+                            {t("categories.usage", { count: categoryUsage.get(c.name) ?? 0 })}
+                          </span>
+                          <button
+                            className="btn ghost"
+                            disabled={idx === 0}
+                            onClick={() => moveCategory(c.name, -1)}
+                            aria-label={t("categories.moveUp")}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            className="btn ghost"
+                            disabled={idx === categories.length - 1}
+                            onClick={() => moveCategory(c.name, 1)}
+                            aria-label={t("categories.moveDown")}
+                          >
+                            ↓
+                          </button>
+                          <button className="btn ghost" disabled={c.name === "Other"} onClick={() => updateCategory(c.name, { hidden: !c.hidden })}>
+                            {c.hidden ? t("categories.show") : t("categories.hide")}
+                          </button>
+                          {locked ? null : (
+                            <select
+                              value=""
+                              onChange={(e) => e.target.value && mergeCategory(c.name, e.target.value)}
+                              aria-label={t("categories.mergeInto")}
+                              style={{ width: "auto" }}
+                            >
+                              <option value="">{t("categories.mergeInto")}</option>
+                              {categories
+                                .filter((x) => x.name !== c.name)
+                                .map((x) => (
+                                  <option key={x.name} value={x.name}>{t.label("category", x.name)}</option>
+                                ))}
+                            </select>
+                          )}
+                          {locked || usedCategoryNames.has(c.name) ? null : (
+                            <button
+                              type="button"
+                              className="btn xbtn"
+                              onClick={() => removeCategory(c.name)}
+                              aria-label={t("categories.remove")}
+                              title={t("categories.remove")}
+                            >
+                              ×
+                            </button>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <div className="row" style={{ gap: 8, marginTop: 12, alignItems: "center", flexWrap: "wrap" }}>
+                    <input
+                      className="input"
+                      value={categoryDraft}
+                      placeholder={t("categories.newPlaceholder")}
+                      onChange={(e) => setCategoryDraft(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && addCategory()}
+                      style={{ width: 220 }}
+                    />
+                    <button className="btn" onClick={addCategory} disabled={!categoryDraft.trim()}>
+                      <Plus size={16} /> {t("categories.add")}
+                    </button>
+                    {categoryDraft.trim() && categoryNameTaken(categoryDraft.trim()) ? (
+                      <span className="small" style={{ color: "#b45309" }}>{t("categories.exists")}</span>
+                    ) : null}
+                  </div>
+                </div>
+              ) : null}
+
               <div className="grid-2">
                 {/* Left: item list */}
                 <div>
                   <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                    <div style={{ fontWeight: 850 }}>What you currently spend on</div>
+                    <div style={{ fontWeight: 850 }}>{t("ikigai.list")}</div>
                     <div className="row" style={{ gap: 8, alignItems: "center" }}>
-                      <Pill active={spendListView === "monthly"} label="Monthly" onClick={() => setSpendListView("monthly")} />
-                      <Pill active={spendListView === "annual"} label="Annual" onClick={() => setSpendListView("annual")} />
+                      <Pill active={spendListView === "monthly"} label={t("common.monthly")} onClick={() => setSpendListView("monthly")} />
+                      <Pill active={spendListView === "annual"} label={t("common.annual")} onClick={() => setSpendListView("annual")} />
                       
-                    <Tip text="This is a mirror, not a grade. You can change anything." />
+                    <Tip text={t("ikigai.listTip")} />
                     </div>
                   </div>
 
-                  {categoryFilter ? (
+                  <div className="row" style={{ gap: 8, marginTop: 10, alignItems: "center", flexWrap: "wrap" }}>
+                    <select
+                      value={categoryFilter ?? ""}
+                      onChange={(e) => {
+                        setCategoryFilter(e.target.value || null);
+                        setSubcategoryFilter(null);
+                      }}
+                      aria-label={t("common.category")}
+                      style={{ width: "auto" }}
+                    >
+                      <option value="">{t("ikigai.allCategories")}</option>
+                      {categoryOptions(categories, categoryFilter, t)}
+                    </select>
+                    <button className="btn ghost" onClick={() => setCategoryManagerOpen((v) => !v)}>
+                      {t("categories.manage")}
+                    </button>
+                  </div>
+
+                  {categoryFilter || tagFilter ? (
                     <div className="row" style={{ alignItems: "center", justifyContent: "space-between", marginTop: 10 }}>
                       <div className="small">
-                        Showing category: <b>{categoryFilter}</b>
+                        {t("ikigai.showing")}{" "}
+                        <b>
+                          {[
+                            categoryFilter && t.label("category", categoryFilter),
+                            subcategoryFilter !== null && (subcategoryFilter || t("drill.unsorted")),
+                            tagFilter && `#${tagFilter}`,
+                          ]
+                            .filter(Boolean)
+                            .join(" › ")}
+                        </b>
                       </div>
-                      <button className="btn" onClick={() => setCategoryFilter(null)}>Clear</button>
+                      <button className="btn" onClick={clearListFilters}>{t("common.clear")}</button>
                     </div>
                   ) : null}
 
                   <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 10 }}>
                     {visibleItems.length === 0 ? (
-                      <div className="tile muted">No items yet. Add a few to bring your Ikigai to life.</div>
+                      <div className="tile muted">{t("ikigai.empty")}</div>
                     ) : (
                       visibleItems.map((it, idx) => {
                         const isExpanded = expandedItemId === it.id;
@@ -1418,10 +5076,23 @@ useEffect(() => {
                                 onClick={() => setExpandedItemId(isExpanded ? null : it.id)}
                                 aria-expanded={isExpanded}
                               >
-                                <div className="item-title">{it.name || "(Unnamed item)"}</div>
+                                <div className="item-title">
+                                  {it.linked === "debts" ? t.label("category", it.name) : it.name || t("item.unnamed")}
+                                </div>
                                 <div className="small muted">
-                                  {it.category}
-                                  {it.temporary ? " • Temporary" : ""}
+                                  {t.label("category", it.category)}
+                                  {it.subcategory ? ` › ${it.subcategory}` : ""}
+                                  {it.linked === "debts" ? ` • ${t("debt.synced")}` : ""}
+                                  {(it.frequency ?? "monthly") !== "monthly"
+                                    ? ` • ${t("billing.billed", { amount: formatMoney(safeNum(it.amount)), frequency: t(`billing.${it.frequency}`).toLowerCase() })}`
+                                    : ""}
+                                  {it.temporary ? ` • ${t("item.temporary")}` : ""}
+                                  {itemStatusIn(it, currentMonth) === "upcoming"
+                                    ? ` • ${t("item.startsOn", { month: formatMonthLabel(it.startDate.slice(0, 7), language) })}`
+                                    : it.temporary && it.endDate
+                                      ? ` • ${t("item.endsOn", { month: formatMonthLabel(it.endDate.slice(0, 7), language) })}`
+                                      : ""}
+                                  {it.tags?.length ? ` • ${it.tags.map((tag) => `#${tag}`).join(" ")}` : ""}
                                 </div>
                               </button>
 
@@ -1429,16 +5100,16 @@ useEffect(() => {
                                 <div className="small muted">
                                   {spendListView === "monthly" ? (
                                     <>
-                                      Monthly • <b>{formatMoney(monthly)}</b>
+                                      {t("common.monthly")} • <b>{formatMoney(monthly)}</b>
                                     </>
                                   ) : spendListView === "annual" ? (
                                     <>
-                                      Annual • <b>{formatMoney(monthly * 12)}</b>
+                                      {t("common.annual")} • <b>{formatMoney(monthly * 12)}</b>
                                     </>
                                   ) : (
                                     <>
-                                      Monthly <b>{formatMoney(monthly)}</b>{" "}
-                                      <span className="muted">· Annual <b>{formatMoney(monthly * 12)}</b></span>
+                                      {t("common.monthly")} <b>{formatMoney(monthly)}</b>{" "}
+                                      <span className="muted">· {t("common.annual")} <b>{formatMoney(monthly * 12)}</b></span>
                                     </>
                                   )}
                                 </div>
@@ -1449,7 +5120,7 @@ useEffect(() => {
                                   onClick={() =>
                                     updateItem(it.id, { needWant: it.needWant === "need" ? "want" : "need" })
                                   }
-                                  title="Toggle need/want"
+                                  title={t("needWant.toggle")}
                                 >
                                   <NeedWantBadge value={it.needWant} />
                                 </button>
@@ -1461,8 +5132,8 @@ useEffect(() => {
                                       className="btn ghost"
                                       onClick={() => idx > 0 && moveItem(it.id, visibleItems[idx - 1].id)}
                                       disabled={idx === 0}
-                                      title="Move up"
-                                      aria-label="Move up"
+                                      title={t("common.moveUp")}
+                                      aria-label={t("common.moveUp")}
                                       style={{ minWidth: 36 }}
                                     >
                                       ↑
@@ -1474,8 +5145,8 @@ useEffect(() => {
                                         idx < visibleItems.length - 1 && moveItem(it.id, visibleItems[idx + 1].id)
                                       }
                                       disabled={idx === visibleItems.length - 1}
-                                      title="Move down"
-                                      aria-label="Move down"
+                                      title={t("common.moveDown")}
+                                      aria-label={t("common.moveDown")}
                                       style={{ minWidth: 36 }}
                                     >
                                       ↓
@@ -1483,23 +5154,32 @@ useEffect(() => {
                                   </div>
                                 ) : null}
 
-                                <button
-                                  type="button"
-                                  className="btn xbtn"
-                                  onClick={() => removeItem(it.id)}
-                                  aria-label="Delete item"
-                                  title="Delete"
-                                >
-                                  ×
-                                </button>
+                                {it.linked === "debts" ? null : (
+                                  <button
+                                    type="button"
+                                    className="btn xbtn"
+                                    onClick={() => removeItem(it.id)}
+                                    aria-label={t("item.delete")}
+                                    title={t("common.delete")}
+                                  >
+                                    ×
+                                  </button>
+                                )}
                               </div>
                             </div>
 
-                            {isExpanded ? (
+                            {isExpanded && it.linked === "debts" ? (
+                              <div className="small muted" style={{ marginTop: 12 }}>
+                                {t("debt.syncedHint")}{" "}
+                                <button type="button" className="btn ghost" onClick={() => setActiveTab("networth")}>
+                                  {t("debt.openPlanner")}
+                                </button>
+                              </div>
+                            ) : isExpanded ? (
                               <div style={{ marginTop: 12 }}>
                                 <div className="grid-2" style={{ gap: 10 }}>
                                   <div className="field">
-                                    <div className="label">Name</div>
+                                    <div className="label">{t("common.name")}</div>
                                     <input
                                       className="input"
                                       value={it.name}
@@ -1509,24 +5189,22 @@ useEffect(() => {
 
                                   <div className="grid-2" style={{ gap: 10 }}>
                                     <div className="field">
-                                      <div className="label">Category</div>
+                                      <div className="label">{t("common.category")}</div>
                                       <select
                                         value={it.category}
-                                        onChange={(e) => updateItem(it.id, { category: e.target.value })}
+                                        onChange={(e) => updateItem(it.id, { category: e.target.value, subcategory: "" })}
                                       >
-                                        {IKIGAI_CATEGORIES.map((c) => (
-                                          <option key={c.name}>{c.name}</option>
-                                        ))}
+                                        {categoryOptions(categories, it.category, t)}
                                       </select>
                                     </div>
 
                                     <div className="field">
-                                      <div className="label">Monthly</div>
+                                      <div className="label">{t("billing.amount")}</div>
                                       <input
                                         className="input"
                                         inputMode="decimal"
-                                        value={String(it.monthly)}
-                                        onChange={(e) => updateItem(it.id, { monthly: e.target.value })}
+                                        value={String(it.amount ?? it.monthly)}
+                                        onChange={(e) => updateItem(it.id, { amount: e.target.value })}
                                       />
                                     </div>
                                   </div>
@@ -1534,13 +5212,66 @@ useEffect(() => {
 
                                 <div className="grid-2" style={{ marginTop: 10 }}>
                                   <div className="field">
-                                    <div className="label">Need / Want</div>
+                                    <div className="label">{t("item.subcategory")}</div>
+                                    {/* Lands on blur, like tags, so each edit is one undo step */}
+                                    <input
+                                      key={it.subcategory ?? ""}
+                                      className="input"
+                                      list={`subcategories-${it.id}`}
+                                      defaultValue={it.subcategory ?? ""}
+                                      placeholder={t("item.subcategoryPlaceholder")}
+                                      onBlur={(e) => {
+                                        const subcategory = e.target.value.trim();
+                                        if (subcategory !== (it.subcategory ?? "")) updateItem(it.id, { subcategory });
+                                      }}
+                                    />
+                                    <datalist id={`subcategories-${it.id}`}>
+                                      {(subcategoriesByCategory.get(it.category) ?? []).map((sub) => (
+                                        <option key={sub} value={sub} />
+                                      ))}
+                                    </datalist>
+                                  </div>
+                                  <div className="field">
+                                    <div className="label">{t("item.tags")}</div>
+                                    {/* Parsed on blur so "#kids school" can be typed freely */}
+                                    <input
+                                      key={(it.tags ?? []).join(" ")}
+                                      className="input"
+                                      defaultValue={(it.tags ?? []).map((tag) => `#${tag}`).join(" ")}
+                                      placeholder={t("item.tagsPlaceholder")}
+                                      onBlur={(e) => {
+                                        const tags = parseTags(e.target.value);
+                                        if (tags.join(" ") !== (it.tags ?? []).join(" ")) updateItem(it.id, { tags });
+                                      }}
+                                    />
+                                  </div>
+                                </div>
+
+                                <div className="grid-2" style={{ marginTop: 10 }}>
+                                  <div className="field">
+                                    <div className="label">{t("billing.label")}</div>
+                                    <BillingFrequencySelect
+                                      frequency={it.frequency}
+                                      everyMonths={it.everyMonths}
+                                      onChange={(patch) => updateItem(it.id, { amount: it.amount ?? it.monthly, ...patch })}
+                                    />
+                                  </div>
+                                  {(it.frequency ?? "monthly") !== "monthly" ? (
+                                    <div className="small muted" style={{ alignSelf: "flex-end" }}>
+                                      {t("billing.perMonth", { amount: formatMoney(monthly) })}
+                                    </div>
+                                  ) : null}
+                                </div>
+
+                                <div className="grid-2" style={{ marginTop: 10 }}>
+                                  <div className="field">
+                                    <div className="label">{t("needWant.label")}</div>
                                     <select
                                       value={it.needWant}
                                       onChange={(e) => updateItem(it.id, { needWant: e.target.value })}
                                     >
-                                      <option value="need">Need</option>
-                                      <option value="want">Want</option>
+                                      <option value="need">{t("needWant.need")}</option>
+                                      <option value="want">{t("needWant.want")}</option>
                                     </select>
                                   </div>
 
@@ -1551,12 +5282,12 @@ useEffect(() => {
                                         checked={!!it.temporary}
                                         onChange={(e) => updateItem(it.id, { temporary: e.target.checked })}
                                       />
-                                      Temporary
+                                      {t("item.temporary")}
                                     </label>
 
                                     {it.temporary ? (
                                       <div className="field" style={{ flex: 1 }}>
-                                        <div className="label">Ends (optional)</div>
+                                        <div className="label">{t("item.endsOptional")}</div>
                                         <input
                                           className="input"
                                           type="date"
@@ -1567,6 +5298,39 @@ useEffect(() => {
                                     ) : null}
                                   </div>
                                 </div>
+
+                                <div className="grid-2" style={{ marginTop: 10 }}>
+                                  <div className="field">
+                                    <div className="label">{t("item.startsOptional")}</div>
+                                    <input
+                                      className="input"
+                                      type="date"
+                                      value={it.startDate || ""}
+                                      onChange={(e) => updateItem(it.id, { startDate: e.target.value })}
+                                    />
+                                  </div>
+                                  <div className="field">
+                                    <div className="label">{t("calendar.nextDue")}</div>
+                                    <input
+                                      className="input"
+                                      type="date"
+                                      value={it.dueDate || ""}
+                                      onChange={(e) => updateItem(it.id, { dueDate: e.target.value })}
+                                    />
+                                  </div>
+                                </div>
+
+                                {household.enabled ? (
+                                  <div className="field" style={{ marginTop: 10 }}>
+                                    <div className="label">{t("household.owner")}</div>
+                                    <select value={ownerOf(it, household.members)} onChange={(e) => updateItem(it.id, { owner: e.target.value })}>
+                                      <option value="shared">{t("household.shared")}</option>
+                                      {household.members.map((m) => (
+                                        <option key={m.id} value={m.id}>{m.name || t("household.unnamed")}</option>
+                                      ))}
+                                    </select>
+                                  </div>
+                                ) : null}
                               </div>
                             ) : null}
                           </div>
@@ -1574,48 +5338,132 @@ useEffect(() => {
                       })
                     )}
                   </div>
+
+                  {endedItems.length > 0 ? (
+                    <div className="note" style={{ marginTop: 12 }}>
+                      <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
+                        <div>
+                          <div style={{ fontWeight: 750 }}>{t("ikigai.ended", { count: endedItems.length })}</div>
+                          <div className="small muted">{t("ikigai.endedHint")}</div>
+                        </div>
+                        <button className="btn" onClick={() => setEndedOpen((v) => !v)}>{endedOpen ? t("common.hide") : t("common.show")}</button>
+                      </div>
+                      {endedOpen ? (
+                        <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+                          {endedItems.map((it) => (
+                            <div key={it.id} className="tile row" style={{ alignItems: "center", gap: 10, opacity: 0.8 }}>
+                              <div style={{ flex: 1, minWidth: 0 }}>
+                                <div className="item-title">{it.name || t("item.unnamed")}</div>
+                                <div className="small muted">
+                                  {t.label("category", it.category)} •{" "}
+                                  {t("item.endedOn", { month: formatMonthLabel(it.endDate.slice(0, 7), language) })} •{" "}
+                                  {t("common.perMonth", { amount: formatMoney(safeNum(it.monthly)) })}
+                                </div>
+                              </div>
+                              <button
+                                className="btn"
+                                onClick={() => updateItem(it.id, { endDate: "" })}
+                                title={t("ikigai.restoreTitle")}
+                              >
+                                {t("ikigai.restore")}
+                              </button>
+                              <button className="btn xbtn" onClick={() => removeItem(it.id)} aria-label={t("item.delete")} title={t("common.delete")}>
+                                ×
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      ) : null}
+                    </div>
+                  ) : null}
                 </div>
 
                 {/* Right: summary pie */}
                 <div className="tile">
                   <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between" }}>
                     <div style={{ flex: 1 }}>
-                      <div style={{ fontWeight: 850 }}>Summary</div>
-                      <div className="small muted" style={{ marginTop: 4 }}>A simple story of where your money goes.</div>
+                      <div style={{ fontWeight: 850 }}>{t("summary.title")}</div>
+                      <div className="small muted" style={{ marginTop: 4 }}>{t("summary.sub")}</div>
                     </div>
                   </div>
 
                   <div style={{ display: "flex", gap: 8, marginTop: 10, flexWrap: "wrap" }}>
-                    <Pill active={pieMode === "category"} label="By category" onClick={() => setPieMode("category")} />
-                    <Pill active={pieMode === "needwant"} label="Needs vs. Wants" onClick={() => setPieMode("needwant")} />
+                    <Pill active={pieMode === "category"} label={t("summary.byCategory")} onClick={() => setPieMode("category")} />
+                    <Pill active={pieMode === "needwant"} label={t("summary.needsVsWants")} onClick={() => setPieMode("needwant")} />
+                    <Pill active={pieMode === "tag"} label={t("summary.byTag")} onClick={() => setPieMode("tag")} />
+                  </div>
+
+                  <div className="row" style={{ gap: 8, marginTop: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <Pill active={pieSource === "planned"} label={t("common.planned")} onClick={() => setPieSource("planned")} />
+                    <Pill active={pieSource === "actual"} label={t("common.actual")} onClick={() => setPieSource("actual")} />
+                    {pieSource === "actual" ? (
+                      <input
+                        className="input"
+                        type="month"
+                        value={ledgerMonth}
+                        onChange={(e) => e.target.value && setLedgerMonth(e.target.value)}
+                        style={{ width: "auto" }}
+                        aria-label={t("common.month")}
+                      />
+                    ) : null}
                   </div>
 
+                  {pieLevel === "subcategory" || pieLevel === "item" ? (
+                    <div className="row small" style={{ gap: 6, marginTop: 10, alignItems: "center", flexWrap: "wrap" }}>
+                      <button className="btn ghost" onClick={clearListFilters}>{t("ikigai.allCategories")}</button>
+                      <span className="muted">›</span>
+                      {pieLevel === "item" ? (
+                        <>
+                          <button className="btn ghost" onClick={() => setSubcategoryFilter(null)}>
+                            {t.label("category", categoryFilter)}
+                          </button>
+                          <span className="muted">›</span>
+                          <b>{subcategoryFilter || t("drill.unsorted")}</b>
+                        </>
+                      ) : (
+                        <b>{t.label("category", categoryFilter)}</b>
+                      )}
+                    </div>
+                  ) : null}
+                  {pieLevel === "tag" && tagCounts.size === 0 ? <div className="small muted" style={{ marginTop: 10 }}>{t("drill.noTags")}</div> : null}
+                  {pieLevel === "tag" && tagFilter ? (
+                    <div className="row small" style={{ gap: 8, marginTop: 10, alignItems: "center", justifyContent: "space-between" }}>
+                      <div>
+                        {t("drill.tagTotal", {
+                          tag: `#${tagFilter}`,
+                          amount: formatMoney(pieRows.find((r) => r.name === tagFilter)?.value ?? 0),
+                          count: tagCounts.get(tagFilter) ?? 0,
+                        })}
+                      </div>
+                      <button className="btn ghost" onClick={() => setTagFilter(null)}>{t("common.clear")}</button>
+                    </div>
+                  ) : null}
+
                   <div style={{ height: 260, marginTop: 10 }}>
                     <ResponsiveContainer width="100%" height="100%">
                       <PieChart>
                         <Pie
-                          data={pieMode === "category" ? spendingByCategory : spendingByNeedWant}
+                          data={pieRows}
                           dataKey="value"
-                          nameKey="name"
+                          nameKey="label"
                           innerRadius={55}
                           outerRadius={90}
                           onClick={(data) => {
-                            // Drill down only for category mode
-                            if (pieMode !== "category") return;
-                            if (data?.name) setCategoryFilter(data.name);
+                            // A slice narrows the list below; items are the last level
+                            const name = data?.payload?.name;
+                            if (name === undefined) return;
+                            if (pieLevel === "category") {
+                              setCategoryFilter(name);
+                              setSubcategoryFilter(null);
+                            } else if (pieLevel === "subcategory") {
+                              setSubcategoryFilter(name);
+                            } else if (pieLevel === "tag") {
+                              setTagFilter(name);
+                            }
                           }}
                         >
-                          {(pieMode === "category" ? spendingByCategory : spendingByNeedWant).map((row) => (
-                            <Cell
-                              key={row.name}
-                              fill={
-                                pieMode === "category"
-                                  ? IKIGAI_CATEGORIES.find((c) => c.name === row.name)?.color ?? "#9aa3af"
-                                  : row.name === "Need"
-                                    ? "rgba(47,127,111,0.78)"
-                                    : "rgba(58,159,191,0.78)"
-                              }
-                            />
+                          {pieRows.map((row) => (
+                            <Cell key={row.name} fill={row.fill} />
                           ))}
                         </Pie>
                         <ReTooltip formatter={(v) => `${formatMoney(Number(v))} (${pieTotal > 0 ? formatPct(Number(v) / pieTotal, 1) : "0%"})`} contentStyle={{ background: "rgba(15,23,42,0.92)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12 }} itemStyle={{ color: "rgba(255,255,255,0.92)" }} labelStyle={{ color: "rgba(255,255,255,0.72)" }} />
@@ -1624,12 +5472,26 @@ useEffect(() => {
                   </div>
 
                   <div className="small" style={{ marginTop: 6 }}>
-                    Monthly total: <b>{formatMoney(monthlyIkigaiAll)}</b>
+                    {pieSource === "actual" ? (
+                      <>
+                        {t("summary.actualFor", { month: formatMonthLabel(ledgerMonth, language) })} <b>{formatMoney(actualMonthTotal)}</b>{" "}
+                        <span className="muted">· {t("common.planned")} <b>{formatMoney(plannedMonthTotal)}</b></span>
+                      </>
+                    ) : (
+                      <>
+                        {t("summary.monthlyTotal")} <b>{formatMoney(monthlyIkigaiAll)}</b>
+                      </>
+                    )}
                   </div>
+                  {pieSource === "actual" && monthLedger.length === 0 ? (
+                    <div className="small muted" style={{ marginTop: 8 }}>
+                      {t("summary.nothingLogged")}
+                    </div>
+                  ) : null}
 
-                  {pieMode === "category" ? (
+                  {pieMode !== "needwant" ? (
                     <div className="small muted" style={{ marginTop: 8 }}>
-                      Tip: tap a slice to drill into that category.
+                      {t(pieMode === "tag" ? "drill.tagTip" : "summary.drillTip")}
                     </div>
                   ) : null}
                 </div>
@@ -1638,6 +5500,314 @@ useEffect(() => {
           </div>
         )}
 
+        {/* ACTUALS */}
+        {activeTab === "actuals" && (
+          <div className="card">
+            <div className="card-body" style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+              <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                <div style={{ flex: 1 }}>
+                  <h2 className="h1">{t("tab.actuals")}</h2>
+                  <p className="sub">{t("actuals.sub")}</p>
+                </div>
+                <input
+                  className="input"
+                  type="month"
+                  value={ledgerMonth}
+                  onChange={(e) => e.target.value && setLedgerMonth(e.target.value)}
+                  style={{ width: "auto" }}
+                  aria-label={t("common.month")}
+                />
+              </div>
+
+              <div className="grid-3">
+                <div className="tile">
+                  <div className="label">{t("common.planned")}</div>
+                  <div className="big-number" style={{ cursor: "default" }}>{formatMoney(plannedMonthTotal)}</div>
+                </div>
+                <div className="tile">
+                  <div className="label">{t("common.actual")}</div>
+                  <div className="big-number" style={{ cursor: "default" }}>{formatMoney(actualMonthTotal)}</div>
+                </div>
+                <div className="tile">
+                  <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
+                    <div className="label">{t("actuals.variance")}</div>
+                    <Tip text={t("actuals.varianceTip")} />
+                  </div>
+                  <div
+                    className="big-number"
+                    style={{ cursor: "default", color: plannedMonthTotal - actualMonthTotal < 0 ? "#ef4444" : "#16a34a" }}
+                  >
+                    {formatMoney(plannedMonthTotal - actualMonthTotal)}
+                  </div>
+                </div>
+              </div>
+
+              <div className="note">
+                <div style={{ fontWeight: 850 }}>{t("actuals.log")}</div>
+                <div className="grid-2" style={{ marginTop: 10 }}>
+                  <div className="grid-2" style={{ gap: 10 }}>
+                    <div className="field">
+                      <div className="label">{t("common.date")}</div>
+                      <input
+                        className="input"
+                        type="date"
+                        value={ledgerDraft.date}
+                        onChange={(e) => setLedgerDraft((d) => ({ ...d, date: e.target.value }))}
+                      />
+                    </div>
+                    <div className="field">
+                      <div className="label">{t("common.amount")}</div>
+                      <input
+                        className="input"
+                        inputMode="decimal"
+                        value={ledgerDraft.amount}
+                        onChange={(e) => setLedgerDraft((d) => ({ ...d, amount: e.target.value }))}
+                        placeholder={t("common.eg", { example: "62.40" })}
+                      />
+                    </div>
+                  </div>
+                  <div className="field">
+                    <div className="label">{t("actuals.for")}</div>
+                    <select value={ledgerDraft.target} onChange={(e) => setLedgerDraft((d) => ({ ...d, target: e.target.value }))}>
+                      <option value="">{t("actuals.selectTarget")}</option>
+                      {items.length > 0 ? (
+                        <optgroup label={t("actuals.items")}>
+                          {items.map((i) => (
+                            <option key={i.id} value={`item:${i.id}`}>{i.name || t("item.unnamed")}</option>
+                          ))}
+                        </optgroup>
+                      ) : null}
+                      <optgroup label={t("actuals.categories")}>
+                        {categoryOptions(categories, ledgerDraft.target.replace(/^category:/, ""), t, "category:")}
+                      </optgroup>
+                    </select>
+                  </div>
+                </div>
+                <div className="row" style={{ marginTop: 10, alignItems: "flex-end", gap: 10 }}>
+                  <div className="field" style={{ flex: 1 }}>
+                    <div className="label">{t("actuals.note")}</div>
+                    <input
+                      className="input"
+                      value={ledgerDraft.note}
+                      onChange={(e) => setLedgerDraft((d) => ({ ...d, note: e.target.value }))}
+                    />
+                  </div>
+                  <button className="btn primary" onClick={addLedgerEntry}><Plus size={16} /> {t("actuals.logButton")}</button>
+                </div>
+                <div className="small muted" style={{ marginTop: 10 }}>
+                  {t("actuals.csvTip")}
+                </div>
+              </div>
+
+              <div className="grid-2">
+                <div>
+                  <div style={{ fontWeight: 850 }}>{t("actuals.plannedVsActual")}</div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 10 }}>
+                    {varianceRows.length === 0 ? <div className="tile muted">{t("actuals.emptyVariance")}</div> : null}
+                    {varianceRows.map((r) => {
+                      const over = r.variance < 0;
+                      const pct = r.planned > 0 ? clamp01(r.actual / r.planned) : r.actual > 0 ? 1 : 0;
+                      return (
+                        <div key={r.category} className="tile">
+                          <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
+                            <div style={{ fontWeight: 750 }}>{t.label("category", r.category)}</div>
+                            <span className={"badge " + (over ? "warn" : "good")}>
+                              {over
+                                ? t("actuals.over", { amount: formatMoney(-r.variance) })
+                                : t("actuals.left", { amount: formatMoney(r.variance) })}
+                            </span>
+                          </div>
+                          <div className="bar-wrap" style={{ marginTop: 8 }}>
+                            <div className="bar-fill" style={{ width: `${pct * 100}%` }} />
+                          </div>
+                          <div className="small muted" style={{ marginTop: 6 }}>
+                            {t("actuals.actual")} <b>{formatMoney(r.actual)}</b> {t("actuals.ofPlanned")} <b>{formatMoney(r.planned)}</b>
+                          </div>
+                          {r.items.some((x) => x.actual > 0) ? (
+                            <div className="small muted" style={{ marginTop: 6 }}>
+                              {r.items
+                                .filter((x) => x.actual > 0 || x.planned > 0)
+                                .map((x) => `${x.name}: ${formatMoney(x.actual)} / ${formatMoney(x.planned)}`)
+                                .join(" • ")}
+                            </div>
+                          ) : null}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                <div>
+                  <div style={{ fontWeight: 850 }}>{t("actuals.loggedIn", { month: formatMonthLabel(ledgerMonth, language) })}</div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 10 }}>
+                    {monthLedger.length === 0 ? <div className="tile muted">{t("actuals.emptyMonth")}</div> : null}
+                    {monthLedger.map((e) => (
+                      <div key={e.id} className="tile row" style={{ alignItems: "center", gap: 10 }}>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                          <div className="item-title">{itemsById.get(e.itemId)?.name ?? t.label("category", ledgerCategory(e, itemsById))}</div>
+                          <div className="small muted">
+                            {e.date}
+                            {e.note ? ` • ${e.note}` : ""}
+                          </div>
+                        </div>
+                        <b>{formatMoney(e.amount)}</b>
+                        <button className="btn ghost" onClick={() => removeLedgerEntry(e.id)} title={t("common.remove")}>
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* CALENDAR */}
+        {activeTab === "calendar" && (
+          <div className="card">
+            <div className="card-body" style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+              <div>
+                <h2 className="h1">{t("tab.calendar")}</h2>
+                <p className="sub">{t("calendar.sub")}</p>
+              </div>
+
+              {!hasDueDates ? <div className="tile muted">{t("calendar.empty")}</div> : null}
+
+              <div className="note">
+                <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                  <div className="row" style={{ alignItems: "center", gap: 8 }}>
+                    <button className="btn ghost" onClick={() => setCalendarMonth((m) => addMonthsToKey(m, -1))} aria-label={t("calendar.prevMonth")}>‹</button>
+                    <div style={{ fontWeight: 850, minWidth: 120, textAlign: "center" }}>{formatMonthLabel(calendarMonth, language)}</div>
+                    <button className="btn ghost" onClick={() => setCalendarMonth((m) => addMonthsToKey(m, 1))} aria-label={t("calendar.nextMonth")}>›</button>
+                    {calendarMonth !== currentMonth ? (
+                      <button className="btn ghost" onClick={() => setCalendarMonth(currentMonth)}>{t("calendar.today")}</button>
+                    ) : null}
+                  </div>
+                  <div className="row" style={{ gap: 8 }}>
+                    <Pill active={pieMode !== "needwant"} label={t("summary.byCategory")} onClick={() => setPieMode("category")} />
+                    <Pill active={pieMode === "needwant"} label={t("summary.needsVsWants")} onClick={() => setPieMode("needwant")} />
+                  </div>
+                </div>
+
+                <div style={{ overflowX: "auto", marginTop: 10 }}>
+                  <div style={{ display: "grid", gridTemplateColumns: "repeat(7, minmax(84px, 1fr)) minmax(72px, auto)", gap: 4, minWidth: 680 }}>
+                    {calendarGrid.weeks[0].map((day) => (
+                      <div key={day} className="small muted" style={{ textAlign: "center", fontWeight: 700 }}>
+                        {parseIsoDate(day).toLocaleDateString(language, { weekday: "short" })}
+                      </div>
+                    ))}
+                    <div className="small muted" style={{ textAlign: "right", fontWeight: 700 }}>{t("calendar.weekTotal")}</div>
+                    {calendarGrid.weeks.map((week) => {
+                      const weekBills = week
+                        .flatMap((day) => calendarGrid.byDay.get(day) ?? [])
+                        .filter((e) => e.kind === "bill")
+                        .reduce((s, e) => s + e.amount, 0);
+                      return (
+                        <React.Fragment key={week[0]}>
+                          {week.map((day) => (
+                            <div
+                              key={day}
+                              className="tile"
+                              style={{
+                                padding: 6,
+                                minHeight: 72,
+                                opacity: day.slice(0, 7) === calendarMonth ? 1 : 0.45,
+                                outline: day === isoDate() ? `2px solid ${BRAND_GREEN}` : "none",
+                              }}
+                            >
+                              <div className="small" style={{ fontWeight: 750 }}>{Number(day.slice(8))}</div>
+                              {(calendarGrid.byDay.get(day) ?? []).map((e) => (
+                                <div
+                                  key={`${e.kind}-${e.id}`}
+                                  className="small"
+                                  title={`${e.name} ${formatMoney(e.amount)}`}
+                                  style={{
+                                    marginTop: 2,
+                                    padding: "1px 4px",
+                                    borderRadius: 6,
+                                    overflow: "hidden",
+                                    textOverflow: "ellipsis",
+                                    whiteSpace: "nowrap",
+                                    color: "#fff",
+                                    background:
+                                      e.kind === "pay" ? "#16a34a" : spendingColor(pieMode === "needwant" ? e.needWant : e.category, pieMode === "needwant" ? "needwant" : "category", categories),
+                                  }}
+                                >
+                                  {e.kind === "pay" ? "+" : ""}
+                                  {formatMoney(e.amount)} {e.name}
+                                </div>
+                              ))}
+                            </div>
+                          ))}
+                          <div className="small" style={{ textAlign: "right", alignSelf: "center", fontWeight: 750 }}>
+                            {weekBills > 0 ? formatMoney(weekBills) : "—"}
+                          </div>
+                        </React.Fragment>
+                      );
+                    })}
+                  </div>
+                </div>
+              </div>
+
+              <div className="note">
+                <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                  <div style={{ fontWeight: 850 }}>{t("calendar.next30")}</div>
+                  <label className="row small" style={{ alignItems: "center", gap: 8 }}>
+                    {t("calendar.startingCash")}
+                    <input
+                      className="input"
+                      inputMode="decimal"
+                      value={calendarCash}
+                      placeholder={String(Math.round(cashOnHand))}
+                      onChange={(e) => setCalendarCash(e.target.value)}
+                      style={{ width: 120 }}
+                    />
+                  </label>
+                </div>
+                <div className="small muted" style={{ marginTop: 6 }}>{t("calendar.startingCashHint")}</div>
+                <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 10 }}>
+                  {upcoming.length === 0 ? <div className="muted small">{t("calendar.nothingUpcoming")}</div> : null}
+                  {upcoming.map((e) => (
+                    <div key={`${e.date}-${e.kind}-${e.id}`} className="row small" style={{ alignItems: "center", justifyContent: "space-between", gap: 10 }}>
+                      <div className="row" style={{ alignItems: "center", gap: 8 }}>
+                        <span
+                          style={{
+                            width: 10,
+                            height: 10,
+                            borderRadius: 999,
+                            background: e.kind === "pay" ? "#16a34a" : spendingColor(pieMode === "needwant" ? e.needWant : e.category, pieMode === "needwant" ? "needwant" : "category", categories),
+                          }}
+                        />
+                        <span className="muted" style={{ minWidth: 90 }}>
+                          {parseIsoDate(e.date).toLocaleDateString(language, { weekday: "short", month: "short", day: "numeric" })}
+                        </span>
+                        <span>{e.name}</span>
+                      </div>
+                      <div className="row" style={{ gap: 12 }}>
+                        <b style={{ color: e.kind === "pay" ? "#16a34a" : undefined }}>
+                          {e.kind === "pay" ? "+" : "−"}
+                          {formatMoney(e.amount)}
+                        </b>
+                        <span style={{ minWidth: 90, textAlign: "right", color: e.balance < 0 ? "#ef4444" : undefined }}>
+                          {formatMoney(e.balance)}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {upcoming.some((e) => e.balance < 0) ? (
+                  <div className="small" style={{ marginTop: 8, color: "#ef4444" }}>
+                    {t("calendar.shortfall", {
+                      date: parseIsoDate(upcoming.find((e) => e.balance < 0).date).toLocaleDateString(language, { month: "short", day: "numeric" }),
+                    })}
+                  </div>
+                ) : null}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* SAVINGS GOALS */}
         {activeTab === "goals" && (
           <div className="card">
@@ -1645,33 +5815,33 @@ useEffect(() => {
               <div>
                 <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between", gap: 12 }}>
                   <div>
-                    <h2 className="h1">Savings</h2>
-                    <p className="sub">Progress should feel clear: what you have now — and how your monthly saving changes the future.</p>
+                    <h2 className="h1">{t("tab.goals")}</h2>
+                    <p className="sub">{t("goals.sub")}</p>
                   </div>
-                  <Tip text="Solid = what you have now. Pattern = what your current $/mo can reach by your end date (or next 12 months)." />
+                  <Tip text={t("goals.tip")} />
                 </div>
               </div>
 
               <div className="note">
                 <div className="grid-2">
                   <div className="field">
-                    <div className="label">Name</div>
+                    <div className="label">{t("common.name")}</div>
                     <input
                       className="input"
                       value={goalDraft.name}
                       onChange={(e) => setGoalDraft((d) => ({ ...d, name: e.target.value }))}
-                      placeholder="Emergency fund"
+                      placeholder={t("goals.namePlaceholder")}
                     />
                   </div>
                   <div className="grid-2" style={{ gap: 10 }}>
                     <div className="field">
-                      <div className="label">Category</div>
+                      <div className="label">{t("common.category")}</div>
                       <select value={goalDraft.category} onChange={(e) => setGoalDraft((d) => ({ ...d, category: e.target.value }))}>
-                        {GOAL_PRESETS.map((g) => <option key={g}>{g}</option>)}
+                        {GOAL_PRESETS.map((g) => <option key={g} value={g}>{t.label("goalPreset", g)}</option>)}
                       </select>
                     </div>
                     <div className="field">
-                      <div className="label">Target</div>
+                      <div className="label">{t("goals.target")}</div>
                       <input className="input" inputMode="decimal" value={goalDraft.target} onChange={(e) => setGoalDraft((d) => ({ ...d, target: e.target.value }))} />
                     </div>
                   </div>
@@ -1680,33 +5850,105 @@ useEffect(() => {
                 <div className="grid-2" style={{ marginTop: 10 }}>
                   <div className="grid-2" style={{ gap: 10 }}>
                     <div className="field">
-                      <div className="label">Current</div>
+                      <div className="label">{t("goals.current")}</div>
                       <input className="input" inputMode="decimal" value={goalDraft.current} onChange={(e) => setGoalDraft((d) => ({ ...d, current: e.target.value }))} />
                     </div>
                     <div className="field">
-                      <div className="label">$ / month</div>
+                      <div className="label">{t("goals.perMonth")}</div>
                       <input className="input" inputMode="decimal" value={goalDraft.monthly} onChange={(e) => setGoalDraft((d) => ({ ...d, monthly: e.target.value }))} />
                     </div>
                   </div>
                   <div className="row" style={{ alignItems: "flex-end", gap: 10 }}>
                     <div className="field" style={{ flex: 1 }}>
-                      <div className="label">End date (optional)</div>
+                      <div className="label">{t("goals.endDateOptional")}</div>
                       <input className="input" type="date" value={goalDraft.endDate} onChange={(e) => setGoalDraft((d) => ({ ...d, endDate: e.target.value }))} />
                     </div>
-                    <button className="btn primary" onClick={addGoal}><Plus size={16} /> Add goal</button>
+                    <button className="btn primary" onClick={addGoal}><Plus size={16} /> {t("goals.add")}</button>
                   </div>
                 </div>
 
                 <div className="small muted" style={{ marginTop: 10 }}>
-                  Tip: setting an end date enables “on track” guidance. Without it, we preview the next 12 months.
+                  {t("goals.endDateTip")}
+                </div>
+              </div>
+
+              {goals.length > 0 ? (
+                <div className="note">
+                  <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                    <div style={{ fontWeight: 850 }}>{t("goals.allocate.title")}</div>
+                    <div className="row" style={{ gap: 8, flexWrap: "wrap" }}>
+                      {GOAL_ALLOCATION_MODES.map((m) => (
+                        <button
+                          key={m}
+                          type="button"
+                          className={"pill " + (goalAllocationMode === m ? "active" : "")}
+                          onClick={() => setGoalAllocationMode(m)}
+                        >
+                          {t(`goals.allocate.mode.${m}`)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="small muted" style={{ marginTop: 6 }}>
+                    {t(`goals.allocate.modeHint.${goalAllocationMode}`)}
+                  </div>
+
+                  <div className="small" style={{ marginTop: 10 }}>
+                    {t("goals.allocate.summary", { planned: formatMoney(goalsMonthlyTotal), leftover: formatMoney(leftoverMonthly) })}{" "}
+                    {goalsMonthlyTotal > leftoverMonthly + 0.5 ? (
+                      <b style={{ color: "#ef4444" }}>{t("goals.allocate.over", { amount: formatMoney(goalsMonthlyTotal - leftoverMonthly) })}</b>
+                    ) : goalsMonthlyTotal < leftoverMonthly - 0.5 ? (
+                      <b>{t("goals.allocate.under", { amount: formatMoney(leftoverMonthly - goalsMonthlyTotal) })}</b>
+                    ) : (
+                      <b style={{ color: "#16a34a" }}>{t("goals.allocate.exact")}</b>
+                    )}
+                  </div>
+
+                  <div style={{ overflowX: "auto", marginTop: 10 }}>
+                    <table className="small" style={{ width: "100%", borderCollapse: "collapse" }}>
+                      <thead>
+                        <tr style={{ textAlign: "right" }}>
+                          <th style={{ textAlign: "left" }}>{t("goals.allocate.col.goal")}</th>
+                          <th>{t("goals.allocate.col.now")}</th>
+                          <th>{t("goals.allocate.col.suggested")}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {goals.map((g, i) => (
+                          <tr key={g.id} style={{ textAlign: "right" }}>
+                            <td style={{ textAlign: "left" }}>{i + 1}. {g.name}</td>
+                            <td>{formatMoney(safeNum(g.monthly))}</td>
+                            <td>
+                              <b>{formatMoney(suggestedGoalMonthly.get(g.id) ?? 0)}</b>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="row" style={{ marginTop: 10, alignItems: "center", justifyContent: "space-between", gap: 10 }}>
+                    <div className="small muted">
+                      {suggestedUnallocated >= 1
+                        ? t("goals.allocate.spare", { amount: formatMoney(suggestedUnallocated) })
+                        : t("goals.allocate.allUsed")}
+                    </div>
+                    <button
+                      className="btn primary"
+                      onClick={applySuggestedGoalMonthly}
+                      disabled={goals.every((g) => safeNum(g.monthly) === (suggestedGoalMonthly.get(g.id) ?? 0))}
+                    >
+                      {t("goals.allocate.apply")}
+                    </button>
+                  </div>
                 </div>
-              </div>
+              ) : null}
 
               {goals.length === 0 ? (
-                <div className="tile muted">No goals yet. Add one to see progress.</div>
+                <div className="tile muted">{t("goals.empty")}</div>
               ) : (
                 <div className="grid-3">
-                  {goals.map((g) => {
+                  {goals.map((g, gIdx) => {
                     const gp = goalProgress.find((x) => x.id === g.id);
                     const monthsLeft = gp?.mLeft;
 
@@ -1716,9 +5958,9 @@ useEffect(() => {
                       const monthly = safeNum(g.monthly);
                       if (target <= 0) return "";
                       const remaining = Math.max(0, target - current);
-                      if (monthly <= 0) return "Add a $/mo to estimate timing.";
+                      if (monthly <= 0) return t("goals.etaNeedsMonthly");
                       const m = Math.ceil(remaining / monthly);
-                      return `At this pace, you’ll reach this in ~${m} months.`;
+                      return t("goals.eta", { months: t("common.months", { count: m }) });
                     };
 
                     return (
@@ -1745,11 +5987,11 @@ useEffect(() => {
                       >
     <BucketTile
       title={g.name}
-      subtitle={`Category: ${g.category}`}
+      subtitle={t("goals.categoryLine", { category: t.label("goalPreset", g.category) })}
       currentPct={gp?.pct ?? 0}
       projectedPct={gp?.projectedPct ?? 0}
       status={gp?.status ?? null}
-      footer={monthsLeft !== null ? `${monthsLeft} months left` : etaText()}
+      footer={monthsLeft !== null ? t("goals.monthsLeft", { count: monthsLeft }) : etaText()}
       onClick={() =>
         setExpandedGoalId((id) => (id === g.id ? null : g.id))
       }
@@ -1759,7 +6001,7 @@ useEffect(() => {
       <div className="note">
         <div className="grid-2">
           <div className="field">
-            <div className="label">Target</div>
+            <div className="label">{t("goals.target")}</div>
             <input
               className="input"
               inputMode="decimal"
@@ -1771,21 +6013,16 @@ useEffect(() => {
           </div>
 
           <div className="field">
-            <div className="label">Current</div>
-            <input
-              className="input"
-              inputMode="decimal"
-              value={g.current}
-              onChange={(e) =>
-                updateGoal(g.id, { current: safeNum(e.target.value) })
-              }
-            />
+            <div className="label">{t("goals.current")}</div>
+            <div className="input" style={{ display: "flex", alignItems: "center" }} title={t("goals.log.currentFromLog")}>
+              {formatMoney(safeNum(g.current))}
+            </div>
           </div>
         </div>
 
         <div className="grid-2" style={{ marginTop: 10 }}>
           <div className="field">
-            <div className="label">$ / month</div>
+            <div className="label">{t("goals.perMonth")}</div>
             <input
               className="input"
               inputMode="decimal"
@@ -1797,7 +6034,7 @@ useEffect(() => {
           </div>
 
           <div className="field">
-            <div className="label">End date</div>
+            <div className="label">{t("goals.endDate")}</div>
             <input
               className="input"
               type="date"
@@ -1809,6 +6046,87 @@ useEffect(() => {
           </div>
         </div>
 
+        <div className="divider" />
+        <div className="label">{t("goals.log.title")}</div>
+        <div className="grid-2" style={{ gap: 8, marginTop: 6 }}>
+          <select
+            value={contributionDraft.kind}
+            onChange={(e) => setContributionDraft((d) => ({ ...d, kind: e.target.value }))}
+          >
+            <option value="contribution">{t("goals.log.contribution")}</option>
+            <option value="withdrawal">{t("goals.log.withdrawal")}</option>
+          </select>
+          <input
+            className="input"
+            type="date"
+            value={contributionDraft.date}
+            onChange={(e) => setContributionDraft((d) => ({ ...d, date: e.target.value }))}
+          />
+          <input
+            className="input"
+            inputMode="decimal"
+            value={contributionDraft.amount}
+            placeholder={t("goals.log.amount")}
+            onChange={(e) => setContributionDraft((d) => ({ ...d, amount: e.target.value }))}
+          />
+          <input
+            className="input"
+            value={contributionDraft.note}
+            placeholder={t("goals.log.notePlaceholder")}
+            onChange={(e) => setContributionDraft((d) => ({ ...d, note: e.target.value }))}
+          />
+        </div>
+        <div className="row" style={{ marginTop: 8, justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          <div className="small muted">
+            {gp?.pace != null
+              ? t("goals.log.pace", { amount: formatMoney(gp.pace) })
+              : t("goals.log.noPace")}
+          </div>
+          <button className="btn outline" onClick={() => addContribution(g.id)}>
+            <Plus size={16} /> {t("goals.log.add")}
+          </button>
+        </div>
+
+        {(g.contributions ?? []).length > 0 ? (
+          <>
+            <div style={{ height: 160, marginTop: 10 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={goalProgressSeries(g, new Date())}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="t" tickFormatter={(v) => formatMonthLabel(v, language)} />
+                  <YAxis tickFormatter={formatMoneyAxis} width={48} />
+                  <ReTooltip
+                    formatter={(v, name) => [formatMoney(Number(v)), t(`goals.log.series.${name}`)]}
+                    labelFormatter={(v) => formatMonthLabel(v, language)}
+                    contentStyle={{ background: "rgba(15,23,42,0.92)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12 }}
+                    itemStyle={{ color: "rgba(255,255,255,0.92)" }}
+                    labelStyle={{ color: "rgba(255,255,255,0.72)" }}
+                  />
+                  <Line type="stepAfter" dataKey="saved" stroke="#16a34a" strokeWidth={3} dot={false} connectNulls={false} />
+                  <Line type="linear" dataKey="pace" stroke="#94a3b8" strokeDasharray="5 5" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 8, maxHeight: 180, overflowY: "auto" }}>
+              {[...g.contributions].reverse().map((c) => (
+                <div key={c.id} className="row small" style={{ alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+                  <div>
+                    {c.date}
+                    {" • "}
+                    {c.opening ? t("goals.log.opening") : c.note || (c.amount < 0 ? t("goals.log.withdrawal") : t("goals.log.contribution"))}
+                  </div>
+                  <div className="row" style={{ alignItems: "center", gap: 6 }}>
+                    <b style={{ color: c.amount < 0 ? "#ef4444" : undefined }}>{formatMoney(c.amount)}</b>
+                    <button className="btn ghost" onClick={() => removeContribution(g.id, c.id)} title={t("common.remove")}>
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : null}
+
         <div
           className="row"
           style={{ marginTop: 10, justifyContent: "flex-end" }}
@@ -1820,8 +6138,8 @@ useEffect(() => {
                 className="btn ghost"
                 onClick={() => gIdx > 0 && moveGoal(g.id, goals[gIdx - 1].id)}
                 disabled={gIdx === 0}
-                title="Move up"
-                aria-label="Move goal up"
+                title={t("common.moveUp")}
+                aria-label={t("goals.moveUp")}
                 style={{ minWidth: 36 }}
               >
                 ↑
@@ -1833,8 +6151,8 @@ useEffect(() => {
                   gIdx < goals.length - 1 && moveGoal(g.id, goals[gIdx + 1].id)
                 }
                 disabled={gIdx === goals.length - 1}
-                title="Move down"
-                aria-label="Move goal down"
+                title={t("common.moveDown")}
+                aria-label={t("goals.moveDown")}
                 style={{ minWidth: 36 }}
               >
                 ↓
@@ -1844,8 +6162,8 @@ useEffect(() => {
           <button
             className="btn xbtn"
             onClick={() => removeGoal(g.id)}
-            title="Delete"
-            aria-label="Delete goal"
+            title={t("common.delete")}
+            aria-label={t("goals.delete")}
           >
             ×
           </button>
@@ -1867,83 +6185,183 @@ useEffect(() => {
           <div className="card">
             <div className="card-body" style={{ display: "flex", flexDirection: "column", gap: 16 }}>
               <div>
-                <h2 className="h1">Net Worth</h2>
-                <p className="sub">Add assets and liabilities—net worth updates automatically. (Account linking comes later.)</p>
+                <h2 className="h1">{t("tab.networth")}</h2>
+                <p className="sub">{t("networth.sub")}</p>
               </div>
 
               <div className="grid-2">
                 <div className="note">
-                  <div style={{ fontWeight: 850 }}>Assets (includes investments)</div>
+                  <div style={{ fontWeight: 850 }}>{t("networth.assetsTitle")}</div>
                   <div className="divider" />
                   <div className="grid-2" style={{ gap: 10 }}>
                     <div className="field">
-                      <div className="label">Name</div>
-                      <input className="input" value={assetDraft.name} onChange={(e) => setAssetDraft({ ...assetDraft, name: e.target.value })} placeholder="Home, 401k, Brokerage" />
+                      <div className="label">{t("common.name")}</div>
+                      <input className="input" value={assetDraft.name} onChange={(e) => setAssetDraft({ ...assetDraft, name: e.target.value })} placeholder={t("networth.assetPlaceholder")} />
                     </div>
                     <div className="field">
-                      <div className="label">Value</div>
-                      <input className="input" inputMode="decimal" value={assetDraft.value} onChange={(e) => setAssetDraft({ ...assetDraft, value: e.target.value })} placeholder="e.g., 250000" />
+                      <div className="label">{t("networth.value")}</div>
+                      <div className="row" style={{ gap: 8 }}>
+                        <input className="input" inputMode="decimal" value={assetDraft.value} onChange={(e) => setAssetDraft({ ...assetDraft, value: e.target.value })} placeholder={t("common.eg", { example: "250000" })} />
+                        <CurrencySelect value={assetDraft.currency} base={currency.base} onChange={(code) => setAssetDraft({ ...assetDraft, currency: code ?? "" })} />
+                      </div>
                     </div>
                   </div>
                   <div className="row" style={{ marginTop: 10, gap: 10 }}>
                     <div className="field" style={{ flex: 1 }}>
-                      <div className="label">Type</div>
+                      <div className="label">{t("networth.type")}</div>
                       <select value={assetDraft.type} onChange={(e) => setAssetDraft({ ...assetDraft, type: e.target.value })}>
-                        <option>Investment</option>
-                        <option>Real Estate</option>
-                        <option>Cash</option>
-                        <option>Vehicle</option>
-                        <option>Other</option>
+                        {ASSET_TYPES.map((type) => (
+                          <option key={type} value={type}>{t.label("assetType", type)}</option>
+                        ))}
                       </select>
                     </div>
-                    <button className="btn primary" onClick={addAsset}><Plus size={16} /> Add</button>
+                    <button className="btn primary" onClick={addAsset}><Plus size={16} /> {t("common.add")}</button>
                   </div>
 
                   <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 12 }}>
-                    {assets.length === 0 ? <div className="muted small">No assets yet.</div> : null}
+                    {assets.length === 0 ? <div className="muted small">{t("networth.noAssets")}</div> : null}
                     {assets.map((a) => (
                       <div key={a.id} className="tile">
                         <div className="grid-2" style={{ gap: 10 }}>
                           <input className="input" value={a.name} onChange={(e) => updateAsset(a.id, "name", e.target.value)} />
                           <div className="row" style={{ alignItems: "center", gap: 10 }}>
-                            <input className="input" inputMode="decimal" value={String(a.value)} onChange={(e) => updateAsset(a.id, "value", safeNum(e.target.value))} style={{ flex: 1 }} />
-                            <button className="btn ghost" onClick={() => removeAsset(a.id)} title="Remove"><Trash2 size={16} /></button>
+                            <input
+                              className="input"
+                              inputMode="decimal"
+                              value={String(a.value)}
+                              readOnly={a.holdings?.length > 0}
+                              title={a.holdings?.length ? t("holdings.valueFromHoldings") : undefined}
+                              onChange={(e) => updateAsset(a.id, "value", safeNum(e.target.value))}
+                              style={{ flex: 1 }}
+                            />
+                            <CurrencySelect value={a.currency} base={currency.base} onChange={(code) => updateAsset(a.id, "currency", code)} />
+                            <button className="btn ghost" onClick={() => removeAsset(a.id)} title={t("common.remove")}><Trash2 size={16} /></button>
                           </div>
                         </div>
-                        <div className="small muted" style={{ marginTop: 6 }}>{a.type}</div>
+                        <div className="row small muted" style={{ marginTop: 6, alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+                          <div>
+                            {t.label("assetType", a.type)}
+                            {a.holdings?.length ? ` • ${t("holdings.valueFromHoldings")}` : ""}
+                            {a.currency && a.currency !== currency.base ? ` • ≈ ${formatMoney(toBase(a.value, a.currency, currency))}` : ""}
+                          </div>
+                          {a.type === "Investment" || a.holdings?.length ? (
+                            <button
+                              type="button"
+                              className="btn ghost"
+                              onClick={() => setHoldingsAssetId(holdingsAssetId === a.id ? null : a.id)}
+                              aria-expanded={holdingsAssetId === a.id}
+                            >
+                              {t("holdings.toggle", { count: a.holdings?.length ?? 0 })}
+                            </button>
+                          ) : null}
+                        </div>
+                        {holdingsAssetId === a.id ? (
+                          <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+                            {(a.holdings ?? []).map((h) => (
+                              <div key={h.id} className="grid-3" style={{ gap: 8, alignItems: "flex-end" }}>
+                                <div className="field">
+                                  <div className="label">{t("holdings.name")}</div>
+                                  <input
+                                    className="input"
+                                    value={h.name}
+                                    placeholder={t("holdings.namePlaceholder")}
+                                    onChange={(e) => updateHolding(a.id, h.id, { name: e.target.value })}
+                                  />
+                                </div>
+                                <div className="field">
+                                  <div className="label">{t("holdings.assetClass")}</div>
+                                  <div className="row" style={{ gap: 6 }}>
+                                    <select value={h.assetClass} onChange={(e) => updateHolding(a.id, h.id, { assetClass: e.target.value })}>
+                                      {ASSET_CLASSES.map((c) => (
+                                        <option key={c} value={c}>{t.label("assetClass", c)}</option>
+                                      ))}
+                                    </select>
+                                    <select value={h.region} onChange={(e) => updateHolding(a.id, h.id, { region: e.target.value })}>
+                                      {REGIONS.map((r) => (
+                                        <option key={r} value={r}>{t.label("region", r)}</option>
+                                      ))}
+                                    </select>
+                                  </div>
+                                </div>
+                                <div className="row" style={{ gap: 6, alignItems: "flex-end" }}>
+                                  <div className="field" style={{ flex: 1 }}>
+                                    <div className="label">{t("holdings.quantity")}</div>
+                                    <NumberInput value={safeNum(h.quantity)} onChange={(n) => updateHolding(a.id, h.id, { quantity: n })} />
+                                  </div>
+                                  <div className="field" style={{ flex: 1 }}>
+                                    <div className="label">{t("holdings.price")}</div>
+                                    <NumberInput value={safeNum(h.price)} onChange={(n) => updateHolding(a.id, h.id, { price: n })} />
+                                  </div>
+                                  <button className="btn ghost" onClick={() => removeHolding(a.id, h.id)} title={t("common.remove")}><Trash2 size={16} /></button>
+                                </div>
+                              </div>
+                            ))}
+                            <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+                              <div className="small muted">
+                                {a.holdings?.length ? t("holdings.total", { amount: formatMoney(toBase(holdingsValue(a.holdings), a.currency, currency)) }) : t("holdings.empty")}
+                              </div>
+                              <button className="btn outline" onClick={() => addHolding(a.id)}><Plus size={16} /> {t("holdings.add")}</button>
+                            </div>
+                          </div>
+                        ) : null}
                       </div>
                     ))}
                   </div>
                 </div>
 
                 <div className="note">
-                  <div style={{ fontWeight: 850 }}>Liabilities</div>
+                  <div style={{ fontWeight: 850 }}>{t("networth.liabilities")}</div>
                   <div className="divider" />
                   <div className="grid-2" style={{ gap: 10 }}>
                     <div className="field">
-                      <div className="label">Name</div>
-                      <input className="input" value={liabDraft.name} onChange={(e) => setLiabDraft({ ...liabDraft, name: e.target.value })} placeholder="Mortgage, Student loan" />
+                      <div className="label">{t("common.name")}</div>
+                      <input className="input" value={liabDraft.name} onChange={(e) => setLiabDraft({ ...liabDraft, name: e.target.value })} placeholder={t("networth.liabilityPlaceholder")} />
                     </div>
                     <div className="field">
-                      <div className="label">Balance</div>
-                      <input className="input" inputMode="decimal" value={liabDraft.balance} onChange={(e) => setLiabDraft({ ...liabDraft, balance: e.target.value })} placeholder="e.g., 180000" />
+                      <div className="label">{t("networth.balance")}</div>
+                      <div className="row" style={{ gap: 8 }}>
+                        <input className="input" inputMode="decimal" value={liabDraft.balance} onChange={(e) => setLiabDraft({ ...liabDraft, balance: e.target.value })} placeholder={t("common.eg", { example: "180000" })} />
+                        <CurrencySelect value={liabDraft.currency} base={currency.base} onChange={(code) => setLiabDraft({ ...liabDraft, currency: code ?? "" })} />
+                      </div>
                     </div>
                   </div>
                   <div className="row" style={{ marginTop: 10, justifyContent: "flex-end" }}>
-                    <button className="btn primary" onClick={addLiability}><Plus size={16} /> Add</button>
+                    <button className="btn primary" onClick={addLiability}><Plus size={16} /> {t("common.add")}</button>
                   </div>
 
                   <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 12 }}>
-                    {liabilities.length === 0 ? <div className="muted small">No liabilities yet.</div> : null}
+                    {liabilities.length === 0 ? <div className="muted small">{t("networth.noLiabilities")}</div> : null}
                     {liabilities.map((l) => (
                       <div key={l.id} className="tile">
                         <div className="grid-2" style={{ gap: 10 }}>
                           <input className="input" value={l.name} onChange={(e) => updateLiability(l.id, "name", e.target.value)} />
                           <div className="row" style={{ alignItems: "center", gap: 10 }}>
                             <input className="input" inputMode="decimal" value={String(l.balance)} onChange={(e) => updateLiability(l.id, "balance", safeNum(e.target.value))} style={{ flex: 1 }} />
-                            <button className="btn ghost" onClick={() => removeLiability(l.id)} title="Remove"><Trash2 size={16} /></button>
+                            <CurrencySelect value={l.currency} base={currency.base} onChange={(code) => updateLiability(l.id, "currency", code)} />
+                            <button className="btn ghost" onClick={() => removeLiability(l.id)} title={t("common.remove")}><Trash2 size={16} /></button>
+                          </div>
+                        </div>
+                        <div className="grid-3" style={{ gap: 10, marginTop: 10 }}>
+                          <div className="field">
+                            <div className="label">{t("debt.apr")}</div>
+                            <NumberInput
+                              value={safeNum(l.rate)}
+                              format={(v) => String(Math.round(v * 100000) / 1000)}
+                              onChange={(n) => updateLiability(l.id, "rate", n / 100)}
+                            />
+                          </div>
+                          <div className="field">
+                            <div className="label">{t("debt.minPayment")}</div>
+                            <NumberInput value={safeNum(l.minPayment)} format={(v) => (v ? String(v) : "")} placeholder="0" onChange={(n) => updateLiability(l.id, "minPayment", n)} />
+                          </div>
+                          <div className="field">
+                            <div className="label">{t("debt.extraPayment")}</div>
+                            <NumberInput value={safeNum(l.extraPayment)} format={(v) => (v ? String(v) : "")} placeholder="0" onChange={(n) => updateLiability(l.id, "extraPayment", n)} />
                           </div>
                         </div>
+                        {l.currency && l.currency !== currency.base ? (
+                          <div className="small muted" style={{ marginTop: 6 }}>≈ {formatMoney(toBase(l.balance, l.currency, currency))}</div>
+                        ) : null}
                       </div>
                     ))}
                   </div>
@@ -1952,38 +6370,394 @@ useEffect(() => {
 
               <div className="grid-2">
                 <div className="tile">
-                  <div className="label">Assets</div>
+                  <div className="label">{t("networth.assets")}</div>
                   <div className="big-number" style={{ cursor: "default" }}>{formatMoney(totalAssets)}</div>
                 </div>
                 <div className="tile">
-                  <div className="label">Liabilities</div>
+                  <div className="label">{t("networth.liabilities")}</div>
                   <div className="big-number" style={{ cursor: "default" }}>{formatMoney(totalLiabilities)}</div>
                 </div>
               </div>
 
               <div className="tile">
-                <div className="label">Net worth</div>
+                <div className="label">{t("networth.netWorth")}</div>
                 <div className="big-number" style={{ cursor: "default", color: netWorth < 0 ? "#ef4444" : "#16a34a" }}>
                   {formatMoney(netWorth)}
                 </div>
               </div>
 
+              <div className="note">
+                <div style={{ fontWeight: 850 }}>{t("allocation.title")}</div>
+                <div className="small muted" style={{ marginTop: 6 }}>{t("allocation.hint")}</div>
+                {allocation.total <= 0 ? (
+                  <div className="muted small" style={{ marginTop: 10 }}>{t("allocation.empty")}</div>
+                ) : (
+                  <>
+                    <div style={{ overflowX: "auto", marginTop: 10 }}>
+                      <table className="small" style={{ width: "100%", borderCollapse: "collapse" }}>
+                        <thead>
+                          <tr style={{ textAlign: "right" }}>
+                            <th style={{ textAlign: "left" }}>{t("allocation.col.class")}</th>
+                            <th>{t("allocation.col.value")}</th>
+                            <th>{t("allocation.col.current")}</th>
+                            <th>{t("allocation.col.target")}</th>
+                            <th>{t("allocation.col.drift")}</th>
+                            <th>{t("allocation.col.rebalance")}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {rebalance.map((r) => (
+                            <tr key={r.assetClass} style={{ textAlign: "right" }}>
+                              <td style={{ textAlign: "left" }}>{t.label("assetClass", r.assetClass)}</td>
+                              <td>{formatMoney(r.value)}</td>
+                              <td>{formatPct(r.share, 1)}</td>
+                              <td>
+                                <NumberInput
+                                  value={r.target}
+                                  format={(v) => String(Math.round(v * 1000) / 10)}
+                                  onChange={(n) => setClassTarget(r.assetClass, n / 100)}
+                                  style={{ width: 70, textAlign: "right" }}
+                                  aria-label={t("allocation.targetFor", { name: t.label("assetClass", r.assetClass) })}
+                                />
+                              </td>
+                              <td style={{ color: Math.abs(r.drift) >= 0.05 ? "#ef4444" : undefined }}>
+                                {r.drift >= 0 ? "+" : ""}
+                                {formatPct(r.drift, 1)}
+                              </td>
+                              <td>
+                                {Math.abs(r.trade) < 1
+                                  ? "—"
+                                  : t(r.trade > 0 ? "allocation.buy" : "allocation.sell", { amount: formatMoney(Math.abs(r.trade)) })}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    {Math.abs(classTargetTotal - 1) > 0.001 ? (
+                      <div className="small" style={{ marginTop: 6, color: "#b45309" }}>
+                        {t("allocation.targetsOff", { total: formatPct(classTargetTotal, 0) })}
+                      </div>
+                    ) : null}
+
+                    <div className="row" style={{ marginTop: 12, alignItems: "center", justifyContent: "space-between", gap: 10 }}>
+                      <div className="small">
+                        {REGIONS.map((r) => `${t.label("region", r)} ${formatPct(allocation.byRegion[r] / allocation.total, 1)}`).join(" • ")}
+                      </div>
+                      <label className="row small" style={{ alignItems: "center", gap: 8 }}>
+                        {t("allocation.internationalTarget")}
+                        <NumberInput
+                          value={allocationTargets.international}
+                          format={(v) => String(Math.round(v * 1000) / 10)}
+                          onChange={(n) => setAllocationTargets((a) => ({ ...a, international: Math.min(1, n / 100) }))}
+                          style={{ width: 70, textAlign: "right" }}
+                        />
+                        %
+                      </label>
+                    </div>
+                    <div className="small muted" style={{ marginTop: 4 }}>
+                      {t("allocation.internationalDrift", {
+                        drift: `${allocation.byRegion.International / allocation.total - allocationTargets.international >= 0 ? "+" : ""}${formatPct(
+                          allocation.byRegion.International / allocation.total - allocationTargets.international,
+                          1
+                        )}`,
+                      })}
+                    </div>
+                  </>
+                )}
+                {allocation.unclassified > 0 ? (
+                  <div className="small muted" style={{ marginTop: 8 }}>
+                    {t("allocation.unclassified", { amount: formatMoney(allocation.unclassified) })}
+                  </div>
+                ) : null}
+              </div>
+
               <div className="note">
                 <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-                  <div style={{ fontWeight: 850 }}>Net worth over time</div>
-                  <div className="small muted">(Auto snapshots monthly. Account linking comes later.)</div>
+                  <div style={{ fontWeight: 850 }}>{t("networth.overTime")}</div>
+                  <div className="row" style={{ gap: 8 }}>
+                    {["total", "byType"].map((v) => (
+                      <button key={v} type="button" className={"pill " + (historyView === v ? "active" : "")} onClick={() => setHistoryView(v)}>
+                        {t(`networth.view.${v}`)}
+                      </button>
+                    ))}
+                  </div>
                 </div>
+                <div className="small muted" style={{ marginTop: 6 }}>{t("networth.overTimeHint")}</div>
                 <div style={{ height: 260, marginTop: 10 }}>
                   <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={netWorthHistory}>
+                    <ComposedChart data={historyChart}>
                       <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="t" />
-                      <YAxis tickFormatter={(v) => `$${Math.round(Number(v) / 1000)}k`} />
-                      <ReTooltip formatter={(v) => formatMoney(Number(v))} contentStyle={{ background: "rgba(15,23,42,0.92)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12 }} itemStyle={{ color: "rgba(255,255,255,0.92)" }} labelStyle={{ color: "rgba(255,255,255,0.72)" }} />
+                      <XAxis dataKey="t" tickFormatter={(v) => formatMonthLabel(v, language)} />
+                      <YAxis tickFormatter={formatMoneyAxis} />
+                      <ReTooltip
+                        formatter={(v, name) => [
+                          formatMoney(Number(v)),
+                          name === "value"
+                            ? t("networth.netWorth")
+                            : name === "liabilities"
+                              ? t("networth.liabilities")
+                              : t.label("assetType", name),
+                        ]}
+                        labelFormatter={(v) => formatMonthLabel(v, language)}
+                        contentStyle={{ background: "rgba(15,23,42,0.92)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12 }}
+                        itemStyle={{ color: "rgba(255,255,255,0.92)" }}
+                        labelStyle={{ color: "rgba(255,255,255,0.72)" }}
+                      />
+                      {historyView === "byType"
+                        ? ASSET_TYPES.map((type) => (
+                            <Area
+                              key={type}
+                              type="monotone"
+                              dataKey={type}
+                              stackId="assets"
+                              stroke={ASSET_TYPE_COLORS[type]}
+                              fill={ASSET_TYPE_COLORS[type]}
+                              fillOpacity={0.5}
+                            />
+                          ))
+                        : null}
+                      {historyView === "byType" ? (
+                        <Area type="monotone" dataKey="liabilities" stackId="debt" stroke="#ef4444" fill="#ef4444" fillOpacity={0.35} />
+                      ) : null}
                       <Line type="monotone" dataKey="value" strokeWidth={3} dot={false} />
-                    </LineChart>
+                    </ComposedChart>
                   </ResponsiveContainer>
                 </div>
+                {historyView === "byType" && netWorthHistory.some((x) => !x.byType) ? (
+                  <div className="small muted" style={{ marginTop: 6 }}>{t("networth.noBreakdownHint")}</div>
+                ) : null}
+              </div>
+
+              <div className="note">
+                <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
+                  <div style={{ fontWeight: 850 }}>{t("networth.history")}</div>
+                  <button className="btn outline" onClick={refreshCurrentSnapshot} disabled={activeScenarioId !== null}>
+                    {t("networth.updateThisMonth")}
+                  </button>
+                </div>
+                <div className="small muted" style={{ marginTop: 6 }}>{t("networth.historyHint")}</div>
+                <div className="grid-3" style={{ gap: 10, marginTop: 10, alignItems: "flex-end" }}>
+                  <div className="field">
+                    <div className="label">{t("networth.month")}</div>
+                    <input
+                      className="input"
+                      type="month"
+                      max={currentMonth}
+                      value={snapshotDraft.t}
+                      onChange={(e) => setSnapshotDraft({ ...snapshotDraft, t: e.target.value })}
+                    />
+                  </div>
+                  <div className="field">
+                    <div className="label">{t("networth.netWorth")}</div>
+                    <input
+                      className="input"
+                      inputMode="decimal"
+                      value={snapshotDraft.value}
+                      onChange={(e) => setSnapshotDraft({ ...snapshotDraft, value: e.target.value })}
+                      placeholder={t("common.eg", { example: "125000" })}
+                    />
+                  </div>
+                  <button className="btn primary" onClick={addSnapshot} disabled={!snapshotDraft.t}>
+                    <Plus size={16} /> {t("networth.addSnapshot")}
+                  </button>
+                </div>
+                {snapshotDraft.t && netWorthHistory.some((x) => x.t === snapshotDraft.t) ? (
+                  <div className="small" style={{ marginTop: 6, color: "#b45309" }}>{t("networth.replacesSnapshot")}</div>
+                ) : null}
+
+                <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 12, maxHeight: 420, overflowY: "auto" }}>
+                  {netWorthHistory.length === 0 ? <div className="muted small">{t("networth.noHistory")}</div> : null}
+                  {[...netWorthHistory].reverse().map((x) => {
+                    const open = editingSnapshot === x.t;
+                    return (
+                      <div key={x.t} className="tile">
+                        <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10 }}>
+                          <button type="button" className="item-main" onClick={() => setEditingSnapshot(open ? null : x.t)} aria-expanded={open}>
+                            <div className="item-title">{formatMonthLabel(x.t, language)}</div>
+                            <div className="small muted">
+                              {formatMoney(x.value)}
+                              {x.byType ? "" : ` • ${t("networth.totalOnly")}`}
+                            </div>
+                          </button>
+                          <button className="btn ghost" onClick={() => removeSnapshot(x.t)} title={t("common.remove")}><Trash2 size={16} /></button>
+                        </div>
+                        {open ? (
+                          x.byType ? (
+                            <div className="grid-3" style={{ gap: 10, marginTop: 10 }}>
+                              {ASSET_TYPES.map((type) => (
+                                <div key={type} className="field">
+                                  <div className="label">{t.label("assetType", type)}</div>
+                                  <input
+                                    className="input"
+                                    inputMode="decimal"
+                                    value={String(x.byType[type] ?? 0)}
+                                    onChange={(e) => updateSnapshot(x.t, { byType: { ...x.byType, [type]: safeNum(e.target.value) } })}
+                                  />
+                                </div>
+                              ))}
+                              <div className="field">
+                                <div className="label">{t("networth.liabilities")}</div>
+                                <input
+                                  className="input"
+                                  inputMode="decimal"
+                                  value={String(x.liabilities ?? 0)}
+                                  onChange={(e) => updateSnapshot(x.t, { liabilities: safeNum(e.target.value) })}
+                                />
+                              </div>
+                            </div>
+                          ) : (
+                            <div className="row" style={{ gap: 10, marginTop: 10, alignItems: "flex-end" }}>
+                              <div className="field" style={{ flex: 1 }}>
+                                <div className="label">{t("networth.netWorth")}</div>
+                                <input
+                                  className="input"
+                                  inputMode="decimal"
+                                  value={String(x.value)}
+                                  onChange={(e) => updateSnapshot(x.t, { value: safeNum(e.target.value) })}
+                                />
+                              </div>
+                              <button className="btn outline" onClick={() => addSnapshotBreakdown(x)}>{t("networth.addBreakdown")}</button>
+                            </div>
+                          )
+                        ) : null}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="note">
+                <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
+                  <div style={{ fontWeight: 850 }}>{t("debt.title")}</div>
+                  <div className="row" style={{ gap: 8 }}>
+                    {DEBT_STRATEGIES.map((st) => (
+                      <button key={st} type="button" className={"pill " + (payoffStrategy === st ? "active" : "")} onClick={() => setPayoffStrategy(st)}>
+                        {t(`debt.strategy.${st}`)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="small muted" style={{ marginTop: 6 }}>{t(`debt.strategyHint.${payoffStrategy}`)}</div>
+
+                {debts.length === 0 ? (
+                  <div className="muted small" style={{ marginTop: 10 }}>{t("debt.noDebts")}</div>
+                ) : debtPaymentsMonthly <= 0 ? (
+                  <div className="muted small" style={{ marginTop: 10 }}>{t("debt.noPayments")}</div>
+                ) : (
+                  <>
+                    <div className="grid-2" style={{ marginTop: 10 }}>
+                      {DEBT_STRATEGIES.map((st) => {
+                        const p = payoffPlans[st];
+                        return (
+                          <div key={st} className="tile" style={{ outline: payoffStrategy === st ? "2px solid rgba(99,102,241,0.6)" : "none" }}>
+                            <div className="label">{t(`debt.strategy.${st}`)}</div>
+                            <div className="big-number" style={{ cursor: "default" }}>
+                              {p.months === null
+                                ? t("debt.never")
+                                : formatMonthLabel(addMonthsToKey(currentMonth, p.months), language)}
+                            </div>
+                            <div className="small muted">
+                              {p.months === null ? t("debt.neverHint") : t("debt.months", { count: p.months })}
+                              {" • "}
+                              {t("debt.interest", { amount: formatMoney(p.totalInterest) })}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    {payoffPlans.avalanche.months !== null && payoffPlans.snowball.months !== null ? (
+                      <div className="small muted" style={{ marginTop: 8 }}>
+                        {payoffPlans.snowball.totalInterest - payoffPlans.avalanche.totalInterest >= 1
+                          ? t("debt.avalancheSaves", { amount: formatMoney(payoffPlans.snowball.totalInterest - payoffPlans.avalanche.totalInterest) })
+                          : t("debt.sameInterest")}
+                      </div>
+                    ) : null}
+
+                    <div style={{ height: 240, marginTop: 10 }}>
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={payoffChart}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="month" tickFormatter={(v) => t("debt.monthShort", { month: v })} />
+                          <YAxis tickFormatter={formatMoneyAxis} />
+                          <ReTooltip
+                            formatter={(v, name) => [formatMoney(Number(v)), t(`debt.strategy.${name}`)]}
+                            labelFormatter={(v) => t("debt.monthN", { month: v })}
+                            contentStyle={{ background: "rgba(15,23,42,0.92)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12 }}
+                            itemStyle={{ color: "rgba(255,255,255,0.92)" }}
+                            labelStyle={{ color: "rgba(255,255,255,0.72)" }}
+                          />
+                          <Line type="monotone" dataKey="avalanche" stroke="#6366f1" strokeWidth={payoffStrategy === "avalanche" ? 3 : 1.5} dot={false} />
+                          <Line type="monotone" dataKey="snowball" stroke="#f59e0b" strokeWidth={payoffStrategy === "snowball" ? 3 : 1.5} dot={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+
+                    <div className="label" style={{ marginTop: 12 }}>{t("debt.order")}</div>
+                    <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 6 }}>
+                      {payoffPlans[payoffStrategy].order.map((id, i) => {
+                        const d = debts.find((x) => x.id === id);
+                        const paid = payoffPlans[payoffStrategy].paidOffMonth.get(id);
+                        const open = payoffScheduleId === id;
+                        return (
+                          <div key={id} className="tile">
+                            <button
+                              type="button"
+                              className="item-main"
+                              onClick={() => setPayoffScheduleId(open ? null : id)}
+                              aria-expanded={open}
+                            >
+                              <div className="item-title">{i + 1}. {d.name}</div>
+                              <div className="small muted">
+                                {formatMoney(d.balance)} • {t("debt.aprValue", { rate: formatPct(d.rate) })} •{" "}
+                                {paid === undefined
+                                  ? t("debt.notPaidOff")
+                                  : t("debt.paidOffIn", { month: formatMonthLabel(addMonthsToKey(currentMonth, paid), language) })}
+                              </div>
+                            </button>
+                            {open ? (
+                              <div style={{ maxHeight: 260, overflowY: "auto", marginTop: 10 }}>
+                                <table className="small" style={{ width: "100%", borderCollapse: "collapse" }}>
+                                  <thead>
+                                    <tr style={{ textAlign: "right" }}>
+                                      <th style={{ textAlign: "left" }}>{t("debt.col.month")}</th>
+                                      <th>{t("debt.col.payment")}</th>
+                                      <th>{t("debt.col.interest")}</th>
+                                      <th>{t("debt.col.principal")}</th>
+                                      <th>{t("debt.col.balance")}</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {payoffPlans[payoffStrategy].schedules.get(id).map((r) => (
+                                      <tr key={r.month} style={{ textAlign: "right" }}>
+                                        <td style={{ textAlign: "left" }}>
+                                          {formatMonthLabel(addMonthsToKey(currentMonth, r.month), language)}
+                                        </td>
+                                        <td>{formatMoney(r.payment)}</td>
+                                        <td>{formatMoney(r.interest)}</td>
+                                        <td>{formatMoney(r.principal)}</td>
+                                        <td>{formatMoney(r.balance)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+                            ) : null}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </>
+                )}
+
+                <div className="small muted" style={{ marginTop: 10 }}>
+                  {t("debt.syncNote", { amount: formatMoney(debtPaymentsMonthly) })}
+                </div>
+                {otherDebtItemsMonthly > 0 ? (
+                  <div className="small" style={{ marginTop: 6, color: "#b45309" }}>
+                    {t("debt.duplicateWarning", { amount: formatMoney(otherDebtItemsMonthly) })}
+                  </div>
+                ) : null}
               </div>
             </div>
           </div>
@@ -1994,17 +6768,29 @@ useEffect(() => {
           <div className="card">
             <div className="card-body" style={{ display: "flex", flexDirection: "column", gap: 16 }}>
               <div>
-                <h2 className="h1">Retirement</h2>
-                <p className="sub">Sustain what matters — without needing perfection.</p>
+                <h2 className="h1">{t("tab.retirement")}</h2>
+                <p className="sub">{t("retirement.sub")}</p>
               </div>
 
+              {allocation.total > 0 ? (
+                <div className="small muted">
+                  {t("retirement.investedIn", {
+                    mix: rebalance
+                      .filter((r) => r.value > 0)
+                      .map((r) => `${formatPct(r.share, 0)} ${t.label("assetClass", r.assetClass).toLowerCase()}`)
+                      .join(", "),
+                  })}{" "}
+                  <button type="button" className="btn ghost" onClick={() => setActiveTab("networth")}>{t("retirement.seeAllocation")}</button>
+                </div>
+              ) : null}
+
               <div className="note">
                 <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between" }}>
                   <div style={{ flex: 1 }}>
-                    <div style={{ fontWeight: 850 }}>Retirement target</div>
-                    <div className="small muted" style={{ marginTop: 4 }}>Toggle whether to include temporary items.</div>
+                    <div style={{ fontWeight: 850 }}>{t("home.retirementTarget")}</div>
+                    <div className="small muted" style={{ marginTop: 4 }}>{t("retirement.targetHint")}</div>
                   </div>
-                  <Tip text="This is a simple, high-level target. We can add a timeline and inflation next." />
+                  <Tip text={t("retirement.targetTip")} />
                 </div>
 
                 <div className="row" style={{ gap: 8, marginTop: 12, flexWrap: "wrap" }}>
@@ -2013,14 +6799,14 @@ useEffect(() => {
                     className={"pill " + (retirementView === "ongoing" ? "active" : "")}
                     onClick={() => setRetirementView("ongoing")}
                   >
-                    Ongoing
+                    {t("retirementView.ongoing")}
                   </button>
                   <button
                     type="button"
                     className={"pill " + (retirementView === "all" ? "active" : "")}
                     onClick={() => setRetirementView("all")}
                   >
-                    Include Temporary
+                    {t("retirementView.all")}
                   </button>
                 </div>
 
@@ -2030,7 +6816,7 @@ useEffect(() => {
 
                 <div className="grid-2" style={{ marginTop: 14 }}>
                   <div className="field">
-                    <div className="label">Withdrawal rate</div>
+                    <div className="label">{t("retirement.withdrawalRate")}</div>
                     <div className="row" style={{ alignItems: "center", gap: 10 }}>
                       <input
                         type="range"
@@ -2052,18 +6838,342 @@ useEffect(() => {
                       <span className="small muted">%</span>
                     </div>
                     <div className="small muted" style={{ marginTop: 8 }}>
-                      Most people explore ~3%–5%. Higher rates lower the target but increase risk.
+                      {t("retirement.withdrawalHint")}
                     </div>
                   </div>
 
                   <div className="tile">
-                    <div className="small muted">Monthly spending (all)</div>
+                    <div className="small muted">{t("retirement.spendingAll")}</div>
                     <div style={{ fontWeight: 850, fontSize: 18, marginTop: 6 }}>{formatMoney(monthlyIkigaiAll)}</div>
-                    <div className="small muted" style={{ marginTop: 14 }}>Monthly spending (ongoing)</div>
+                    <div className="small muted" style={{ marginTop: 14 }}>{t("retirement.spendingOngoing")}</div>
                     <div style={{ fontWeight: 850, fontSize: 18, marginTop: 6 }}>{formatMoney(monthlyIkigaiOngoing)}</div>
                   </div>
                 </div>
               </div>
+
+              <div className="note">
+                <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between" }}>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ fontWeight: 850 }}>{t("retirement.timeline")}</div>
+                    <div className="small muted" style={{ marginTop: 4 }}>
+                      {t("retirement.timelineHint", { netWorth: formatMoney(netWorth), leftover: formatMoney(leftoverMonthly) })}
+                    </div>
+                  </div>
+                  <Tip text={t("retirement.timelineTip")} />
+                </div>
+
+                <div className="big-number" style={{ cursor: "default", marginTop: 10 }}>
+                  {retirementTarget <= 0
+                    ? "—"
+                    : fiEstimate === null
+                      ? t("retirement.fi.beyond")
+                      : fiEstimate.years === 0
+                        ? t("retirement.fi.there")
+                        : t("retirement.fi.years", {
+                            years: fiEstimate.years.toLocaleString(language, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+                          })}
+                  <small>
+                    {retirementTarget <= 0
+                      ? t("retirement.fi.noTarget")
+                      : fiEstimate === null
+                        ? t("retirement.fi.beyondHint")
+                        : fiEstimate.years === 0
+                          ? t("retirement.fi.thereHint")
+                          : fiEstimate.age !== null
+                            ? t("retirement.fi.aroundAge", { year: fiEstimate.year, age: fiEstimate.age })
+                            : t("retirement.fi.around", { year: fiEstimate.year })}
+                  </small>
+                </div>
+
+                <div className="grid-3" style={{ marginTop: 14 }}>
+                  <div className="field">
+                    <div className="label">{t("retirement.realReturn")}</div>
+                    <NumberInput
+                      value={retirementAssumptions.realReturn}
+                      format={(v) => (v * 100).toFixed(1)}
+                      onChange={(n) => setRetirementAssumptions((a) => ({ ...a, realReturn: n / 100 }))}
+                    />
+                  </div>
+                  <div className="field">
+                    <div className="label">{t("retirement.inflation")}</div>
+                    <NumberInput
+                      value={retirementAssumptions.inflation}
+                      format={(v) => (v * 100).toFixed(1)}
+                      onChange={(n) => setRetirementAssumptions((a) => ({ ...a, inflation: n / 100 }))}
+                    />
+                  </div>
+                  <div className="field">
+                    <div className="label">{t("retirement.showValuesIn")}</div>
+                    <div className="row" style={{ gap: 8 }}>
+                      <Pill active={timelineDollars === "today"} label={t("retirement.todayDollars")} onClick={() => setTimelineDollars("today")} />
+                      <Pill active={timelineDollars === "future"} label={t("retirement.futureDollars")} onClick={() => setTimelineDollars("future")} />
+                    </div>
+                  </div>
+                </div>
+
+                {retirementTarget > 0 ? (
+                  <div style={{ height: 260, marginTop: 14 }}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={timelineChart}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="label" minTickGap={24} />
+                        <YAxis tickFormatter={formatMoneyAxis} />
+                        <ReTooltip formatter={(v) => formatMoney(Number(v))} contentStyle={{ background: "rgba(15,23,42,0.92)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12 }} itemStyle={{ color: "rgba(255,255,255,0.92)" }} labelStyle={{ color: "rgba(255,255,255,0.72)" }} />
+                        <Line type="monotone" dataKey="portfolio" name={t("retirement.projectedPortfolio")} stroke={BRAND_BLUE} strokeWidth={3} dot={false} />
+                        <Line type="monotone" dataKey="target" name={t("goals.target")} stroke={BRAND_GREEN} strokeDasharray="6 4" strokeWidth={2} dot={false} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                ) : null}
+              </div>
+
+              <div className="note">
+                <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between" }}>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ fontWeight: 850 }}>{t("retirement.mc.title")}</div>
+                    <div className="small muted" style={{ marginTop: 4 }}>
+                      {t("retirement.mc.hint", {
+                        runs: MONTE_CARLO_RUNS.toLocaleString(language),
+                        spending: formatMoney(mcParams.annualSpending),
+                      })}
+                    </div>
+                  </div>
+                  <Tip text={t("retirement.mc.tip")} />
+                </div>
+
+                <div className="grid-3" style={{ marginTop: 14 }}>
+                  <div className="field">
+                    <div className="label">{t("retirement.mc.returns")}</div>
+                    <div className="row" style={{ gap: 8, flexWrap: "wrap" }}>
+                      <Pill
+                        active={retirementAssumptions.returnSource === "parametric"}
+                        label={t("retirement.mc.parametric")}
+                        onClick={() => setRetirementAssumptions((a) => ({ ...a, returnSource: "parametric" }))}
+                      />
+                      <Pill
+                        active={retirementAssumptions.returnSource === "historical"}
+                        label={t("retirement.mc.historical")}
+                        onClick={() => setRetirementAssumptions((a) => ({ ...a, returnSource: "historical" }))}
+                      />
+                    </div>
+                  </div>
+                  {retirementAssumptions.returnSource === "parametric" ? (
+                    <div className="field">
+                      <div className="label">{t("retirement.mc.volatility")}</div>
+                      <NumberInput
+                        value={retirementAssumptions.volatility}
+                        format={(v) => (v * 100).toFixed(1)}
+                        onChange={(n) => setRetirementAssumptions((a) => ({ ...a, volatility: Math.max(0, n / 100) }))}
+                      />
+                      <div className="small muted">{t("retirement.mc.meanHint")}</div>
+                    </div>
+                  ) : (
+                    <div className="small muted" style={{ alignSelf: "center" }}>
+                      {t("retirement.mc.historicalHint")}
+                    </div>
+                  )}
+                  <div className="field">
+                    <div className="label">{t("retirement.mc.years")}</div>
+                    <NumberInput
+                      inputMode="numeric"
+                      value={retirementAssumptions.horizonYears}
+                      onChange={(n) => setRetirementAssumptions((a) => ({ ...a, horizonYears: Math.min(80, Math.max(1, Math.round(n))) }))}
+                    />
+                  </div>
+                </div>
+
+                <div className="row" style={{ marginTop: 12, alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                  <div className="row" style={{ gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span className="small muted">{t("retirement.mc.startWith")}</span>
+                    <Pill
+                      active={mcStart === "target"}
+                      label={t("retirement.mc.startTarget", { amount: formatMoney(retirementTarget) })}
+                      onClick={() => setMcStart("target")}
+                    />
+                    <Pill
+                      active={mcStart === "networth"}
+                      label={t("retirement.mc.startNetWorth", { amount: formatMoney(netWorth) })}
+                      onClick={() => setMcStart("networth")}
+                    />
+                  </div>
+                  <button
+                    className="btn primary"
+                    onClick={runMonteCarlo}
+                    disabled={mcResult?.status === "running" || mcParams.annualSpending <= 0}
+                  >
+                    {mcResult?.status === "running" ? t("retirement.mc.running") : t("retirement.mc.run")}
+                  </button>
+                </div>
+
+                {mcResult?.status === "error" ? <div className="small" style={{ marginTop: 10 }}>{mcResult.error}.</div> : null}
+
+                {mcResult?.status === "done" ? (
+                  <>
+                    <div className="big-number" style={{ cursor: "default", marginTop: 12 }}>
+                      {formatPct(mcResult.successRate, 0)}
+                      <small>
+                        {t("retirement.mc.success", { runs: mcResult.runs.toLocaleString(language) })}
+                        {mcResult.key !== mcParamsKey ? ` ${t("retirement.mc.stale")}` : ""}
+                      </small>
+                    </div>
+                    <div style={{ height: 260, marginTop: 10 }}>
+                      <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={mcChart}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" tickFormatter={(v) => t("retirement.mc.yearTick", { n: v })} />
+                          <YAxis tickFormatter={formatMoneyAxis} />
+                          <ReTooltip
+                            formatter={(v) => (Array.isArray(v) ? `${formatMoney(v[0])} – ${formatMoney(v[1])}` : formatMoney(Number(v)))}
+                            labelFormatter={(v) => t("retirement.mc.year", { n: v })}
+                            contentStyle={{ background: "rgba(15,23,42,0.92)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12 }}
+                            itemStyle={{ color: "rgba(255,255,255,0.92)" }}
+                            labelStyle={{ color: "rgba(255,255,255,0.72)" }}
+                          />
+                          <Area type="monotone" dataKey="outer" name={t("retirement.mc.outer")} stroke="none" fill={BRAND_BLUE} fillOpacity={0.15} />
+                          <Area type="monotone" dataKey="inner" name={t("retirement.mc.inner")} stroke="none" fill={BRAND_BLUE} fillOpacity={0.3} />
+                          <Line type="monotone" dataKey="median" name={t("retirement.mc.median")} stroke={BRAND_GREEN} strokeWidth={3} dot={false} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </>
+                ) : null}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* SCENARIOS */}
+        {activeTab === "scenarios" && (
+          <div className="card">
+            <div className="card-body" style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+              <div className="row" style={{ alignItems: "flex-start", justifyContent: "space-between", gap: 12 }}>
+                <div>
+                  <h2 className="h1">{t("tab.scenarios")}</h2>
+                  <p className="sub">{t("scenarios.sub")}</p>
+                </div>
+                <Tip text={t("scenarios.tip")} />
+              </div>
+
+              <div className="note">
+                <div style={{ fontWeight: 850 }}>{t("scenarios.fork")}</div>
+                <div className="small muted" style={{ marginTop: 4 }}>
+                  {t("scenarios.forkHint", { name: activeScenario ? activeScenario.name : t("scenarios.main") })}
+                </div>
+                <div className="row" style={{ marginTop: 10, gap: 10, alignItems: "flex-end" }}>
+                  <div className="field" style={{ flex: 1 }}>
+                    <div className="label">{t("common.name")}</div>
+                    <input
+                      className="input"
+                      value={scenarioDraft}
+                      onChange={(e) => setScenarioDraft(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && forkScenario()}
+                      placeholder={t("common.eg", { example: t("scenarios.namePlaceholder") })}
+                    />
+                  </div>
+                  <button className="btn primary" onClick={forkScenario} disabled={!scenarioDraft.trim()}>
+                    <GitBranch size={16} /> {t("scenarios.forkButton")}
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                <div className="tile row" style={{ alignItems: "center", gap: 10 }}>
+                  <div style={{ flex: 1, fontWeight: 750 }}>{t("scenarios.main")}</div>
+                  {activeScenarioId === null ? (
+                    <span className="badge good">{t("scenarios.open")}</span>
+                  ) : (
+                    <button className="btn" onClick={() => openScenario(null)}>{t("scenarios.openButton")}</button>
+                  )}
+                </div>
+                {scenarios.map((sc) => (
+                  <div key={sc.id} className="tile row" style={{ alignItems: "center", gap: 10 }}>
+                    <input
+                      className="input"
+                      value={sc.name}
+                      onChange={(e) => renameScenario(sc.id, e.target.value)}
+                      aria-label={t("scenarios.rename")}
+                      style={{ flex: 1 }}
+                    />
+                    {sc.id === activeScenarioId ? (
+                      <span className="badge good">{t("scenarios.open")}</span>
+                    ) : (
+                      <button className="btn" onClick={() => openScenario(sc.id)}>{t("scenarios.openButton")}</button>
+                    )}
+                    <button className="btn ghost" onClick={() => removeScenario(sc.id)} title={t("scenarios.delete")}>
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+                {scenarios.length === 0 ? <div className="small muted">{t("scenarios.empty")}</div> : null}
+              </div>
+
+              {scenarios.length > 0 ? (
+                <div className="note">
+                  <div className="row" style={{ alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                    <div style={{ fontWeight: 850 }}>{t("scenarios.comparison")}</div>
+                    <div className="row" style={{ gap: 8 }}>
+                      <Pill active={retirementView === "ongoing"} label={t("retirementView.ongoing")} onClick={() => setRetirementView("ongoing")} />
+                      <Pill active={retirementView === "all"} label={t("retirementView.all")} onClick={() => setRetirementView("all")} />
+                    </div>
+                  </div>
+                  <div style={{ overflowX: "auto", marginTop: 10 }}>
+                    <table className="small" style={{ width: "100%", borderCollapse: "collapse" }}>
+                      <thead>
+                        <tr>
+                          <th />
+                          {scenarioComparison.map((c) => (
+                            <th key={c.id ?? "main"} style={{ textAlign: "right", padding: "6px 8px", whiteSpace: "nowrap" }}>
+                              {c.id === null ? t("scenarios.main") : c.name}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[
+                          ["savingsRate", (c) => formatPct(c.savingsRate, 1)],
+                          ["leftover", (c) => t("common.perMonth", { amount: formatMoney(c.leftover) })],
+                          ["spending", (c) => t("common.perMonth", { amount: formatMoney(c.spending) })],
+                          ["netWorth", (c) => formatMoney(c.netWorth)],
+                          ["retirementTarget", (c) => formatMoney(c.retirementTarget)],
+                          [
+                            "yearsToTarget",
+                            (c) =>
+                              c.retirementTarget <= 0
+                                ? "—"
+                                : c.yearsToTarget === null
+                                  ? t("retirement.fi.beyond")
+                                  : c.yearsToTarget === 0
+                                    ? t("retirement.fi.there")
+                                    : t("retirement.fi.years", {
+                                        years: c.yearsToTarget.toLocaleString(language, {
+                                          minimumFractionDigits: 1,
+                                          maximumFractionDigits: 1,
+                                        }),
+                                      }),
+                          ],
+                          [
+                            "goals",
+                            (c) =>
+                              c.goalsOnTrack + c.goalsBehind === 0
+                                ? "—"
+                                : t("scenarios.goalsOnTrack", { onTrack: c.goalsOnTrack, total: c.goalsOnTrack + c.goalsBehind }),
+                          ],
+                        ].map(([key, show]) => (
+                          <tr key={key} style={{ borderTop: "1px solid var(--border)" }}>
+                            <th style={{ textAlign: "left", padding: "6px 8px", fontWeight: 650 }}>{t(`scenarios.metric.${key}`)}</th>
+                            {scenarioComparison.map((c) => (
+                              <td key={c.id ?? "main"} style={{ textAlign: "right", padding: "6px 8px", whiteSpace: "nowrap" }}>
+                                {show(c)}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="small muted" style={{ marginTop: 8 }}>{t("scenarios.comparisonHint")}</div>
+                </div>
+              ) : null}
             </div>
           </div>
         )}
@@ -2072,24 +7182,17 @@ useEffect(() => {
         {activeTab === "about" && (
           <div className="card">
             <div className="card-body" style={{ display: "flex", flexDirection: "column", gap: 14, maxWidth: 820 }}>
-              <h2 className="h1">About</h2>
-              <p className="sub">
-                Ikigai is often translated as “a reason for being” — what gets you up in the morning.
-              </p>
+              <h2 className="h1">{t("tab.about")}</h2>
+              <p className="sub">{t("about.sub")}</p>
 
               <div className="note">
-                <div style={{ fontWeight: 850, marginBottom: 6 }}>What Ikigai means in this app</div>
-                <div className="small">
-                  Financial planning is rarely just about money. It’s about funding what matters to you.
-                  Ikigai doesn’t tell people what to do. It shows them what their life implies — and lets them decide.
-                </div>
+                <div style={{ fontWeight: 850, marginBottom: 6 }}>{t("about.meaning")}</div>
+                <div className="small">{t("about.meaningBody")}</div>
               </div>
 
               <div className="note">
-                <div style={{ fontWeight: 850, marginBottom: 6 }}>Tone and intent</div>
-                <div className="small">
-                  We aim for calm and reassuring — realistic but supportive. Life changes; budgets aren’t moral report cards.
-                </div>
+                <div style={{ fontWeight: 850, marginBottom: 6 }}>{t("about.tone")}</div>
+                <div className="small">{t("about.toneBody")}</div>
               </div>
             </div>
           </div>
@@ -2099,12 +7202,20 @@ useEffect(() => {
         {!onboardingDone && activeTab !== "home" ? (
           <div className="note" style={{ marginTop: 14 }}>
             <div className="row" style={{ alignItems: "center", justifyContent: "space-between" }}>
-              <div className="small muted">Still onboarding? You can finish anytime.</div>
-              <button className="btn" onClick={finishOnboarding}>Mark onboarding done</button>
+              <div className="small muted">{t("onboarding.still")}</div>
+              <button className="btn" onClick={finishOnboarding}>{t("onboarding.markDone")}</button>
             </div>
           </div>
         ) : null}
       </div>
+
+      {historyToast ? (
+        <div className="toast" role="status">
+          <span>{historyToast.message}</span>
+          <button className="btn ghost" onClick={() => stepHistory(historyToast.action)}>{t(`undo.${historyToast.action}`)}</button>
+        </div>
+      ) : null}
     </div>
+    </I18nContext.Provider>
   );
 }
\ No newline at end of file
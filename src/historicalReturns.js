@@ -0,0 +1,105 @@
+// Annual US market history used by the Monte Carlo "historical" mode.
+// stocks: S&P 500 total return (dividends reinvested), nominal.
+// inflation: US CPI-U, December to December.
+// Values are fractions (0.4381 = 43.81%) and meant for rough planning only.
+export const HISTORICAL_RETURNS = [
+  { year: 1928, stocks: 0.4381, inflation: -0.0097 },
+  { year: 1929, stocks: -0.083, inflation: 0.002 },
+  { year: 1930, stocks: -0.2512, inflation: -0.0603 },
+  { year: 1931, stocks: -0.4384, inflation: -0.0952 },
+  { year: 1932, stocks: -0.0864, inflation: -0.103 },
+  { year: 1933, stocks: 0.4998, inflation: 0.0051 },
+  { year: 1934, stocks: -0.0119, inflation: 0.0203 },
+  { year: 1935, stocks: 0.4674, inflation: 0.0299 },
+  { year: 1936, stocks: 0.3194, inflation: 0.0121 },
+  { year: 1937, stocks: -0.3534, inflation: 0.031 },
+  { year: 1938, stocks: 0.2928, inflation: -0.0278 },
+  { year: 1939, stocks: -0.011, inflation: -0.0048 },
+  { year: 1940, stocks: -0.1067, inflation: 0.0096 },
+  { year: 1941, stocks: -0.1277, inflation: 0.0972 },
+  { year: 1942, stocks: 0.1917, inflation: 0.0929 },
+  { year: 1943, stocks: 0.2506, inflation: 0.0316 },
+  { year: 1944, stocks: 0.1903, inflation: 0.0211 },
+  { year: 1945, stocks: 0.3582, inflation: 0.0225 },
+  { year: 1946, stocks: -0.0843, inflation: 0.1813 },
+  { year: 1947, stocks: 0.052, inflation: 0.0884 },
+  { year: 1948, stocks: 0.057, inflation: 0.0299 },
+  { year: 1949, stocks: 0.183, inflation: -0.0207 },
+  { year: 1950, stocks: 0.3081, inflation: 0.0593 },
+  { year: 1951, stocks: 0.2368, inflation: 0.06 },
+  { year: 1952, stocks: 0.1815, inflation: 0.0075 },
+  { year: 1953, stocks: -0.0121, inflation: 0.0075 },
+  { year: 1954, stocks: 0.5256, inflation: -0.0074 },
+  { year: 1955, stocks: 0.326, inflation: 0.0037 },
+  { year: 1956, stocks: 0.0744, inflation: 0.0299 },
+  { year: 1957, stocks: -0.1046, inflation: 0.029 },
+  { year: 1958, stocks: 0.4372, inflation: 0.0176 },
+  { year: 1959, stocks: 0.1206, inflation: 0.0173 },
+  { year: 1960, stocks: 0.0034, inflation: 0.0136 },
+  { year: 1961, stocks: 0.2664, inflation: 0.0067 },
+  { year: 1962, stocks: -0.0881, inflation: 0.0133 },
+  { year: 1963, stocks: 0.2261, inflation: 0.0164 },
+  { year: 1964, stocks: 0.1642, inflation: 0.0097 },
+  { year: 1965, stocks: 0.124, inflation: 0.0192 },
+  { year: 1966, stocks: -0.0997, inflation: 0.0346 },
+  { year: 1967, stocks: 0.238, inflation: 0.0304 },
+  { year: 1968, stocks: 0.1081, inflation: 0.0472 },
+  { year: 1969, stocks: -0.0824, inflation: 0.062 },
+  { year: 1970, stocks: 0.0356, inflation: 0.0557 },
+  { year: 1971, stocks: 0.1422, inflation: 0.0327 },
+  { year: 1972, stocks: 0.1876, inflation: 0.0341 },
+  { year: 1973, stocks: -0.1431, inflation: 0.0871 },
+  { year: 1974, stocks: -0.259, inflation: 0.1234 },
+  { year: 1975, stocks: 0.37, inflation: 0.0694 },
+  { year: 1976, stocks: 0.2383, inflation: 0.0486 },
+  { year: 1977, stocks: -0.0698, inflation: 0.067 },
+  { year: 1978, stocks: 0.0651, inflation: 0.0902 },
+  { year: 1979, stocks: 0.1852, inflation: 0.1329 },
+  { year: 1980, stocks: 0.3174, inflation: 0.1252 },
+  { year: 1981, stocks: -0.047, inflation: 0.0892 },
+  { year: 1982, stocks: 0.2042, inflation: 0.0383 },
+  { year: 1983, stocks: 0.2234, inflation: 0.0379 },
+  { year: 1984, stocks: 0.0615, inflation: 0.0395 },
+  { year: 1985, stocks: 0.3124, inflation: 0.038 },
+  { year: 1986, stocks: 0.1849, inflation: 0.011 },
+  { year: 1987, stocks: 0.0581, inflation: 0.0443 },
+  { year: 1988, stocks: 0.1654, inflation: 0.0442 },
+  { year: 1989, stocks: 0.3148, inflation: 0.0465 },
+  { year: 1990, stocks: -0.0306, inflation: 0.0611 },
+  { year: 1991, stocks: 0.3023, inflation: 0.0306 },
+  { year: 1992, stocks: 0.0749, inflation: 0.029 },
+  { year: 1993, stocks: 0.0997, inflation: 0.0275 },
+  { year: 1994, stocks: 0.0133, inflation: 0.0267 },
+  { year: 1995, stocks: 0.372, inflation: 0.0254 },
+  { year: 1996, stocks: 0.2268, inflation: 0.0332 },
+  { year: 1997, stocks: 0.331, inflation: 0.017 },
+  { year: 1998, stocks: 0.2834, inflation: 0.0161 },
+  { year: 1999, stocks: 0.2089, inflation: 0.0268 },
+  { year: 2000, stocks: -0.0903, inflation: 0.0339 },
+  { year: 2001, stocks: -0.1185, inflation: 0.0155 },
+  { year: 2002, stocks: -0.2197, inflation: 0.0238 },
+  { year: 2003, stocks: 0.2836, inflation: 0.0188 },
+  { year: 2004, stocks: 0.1074, inflation: 0.0326 },
+  { year: 2005, stocks: 0.0483, inflation: 0.0342 },
+  { year: 2006, stocks: 0.1561, inflation: 0.0254 },
+  { year: 2007, stocks: 0.0548, inflation: 0.0408 },
+  { year: 2008, stocks: -0.3655, inflation: 0.0009 },
+  { year: 2009, stocks: 0.2594, inflation: 0.0272 },
+  { year: 2010, stocks: 0.1482, inflation: 0.015 },
+  { year: 2011, stocks: 0.021, inflation: 0.0296 },
+  { year: 2012, stocks: 0.1589, inflation: 0.0174 },
+  { year: 2013, stocks: 0.3215, inflation: 0.015 },
+  { year: 2014, stocks: 0.1352, inflation: 0.0076 },
+  { year: 2015, stocks: 0.0138, inflation: 0.0073 },
+  { year: 2016, stocks: 0.1177, inflation: 0.0207 },
+  { year: 2017, stocks: 0.2161, inflation: 0.0211 },
+  { year: 2018, stocks: -0.0423, inflation: 0.0191 },
+  { year: 2019, stocks: 0.3121, inflation: 0.0229 },
+  { year: 2020, stocks: 0.1802, inflation: 0.0136 },
+  { year: 2021, stocks: 0.2847, inflation: 0.0704 },
+  { year: 2022, stocks: -0.1801, inflation: 0.0645 },
+  { year: 2023, stocks: 0.2606, inflation: 0.0335 },
+];
+
+// Inflation-adjusted stock returns, one per year
+export const HISTORICAL_REAL_RETURNS = HISTORICAL_RETURNS.map((r) => (1 + r.stocks) / (1 + r.inflation) - 1);
@@ -0,0 +1,49 @@
+import { createContext, useContext } from "react";
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+// Message catalogs are flat { "area.key": "Text with {vars}" } maps. English is the
+// fallback for anything a translation is missing. Stored data keeps English keys
+// (category names, goal presets, asset types); only the display text is translated.
+const CATALOGS = { en, es };
+
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "es", label: "Español" },
+];
+
+export function detectLanguage() {
+  const nav = typeof navigator !== "undefined" ? navigator.language || "" : "";
+  const code = nav.slice(0, 2).toLowerCase();
+  return code in CATALOGS ? code : "en";
+}
+
+// t("key", { count, ...vars }); with a numeric count, "key_one" / "key_other" are tried first
+export function createTranslator(language) {
+  const table = CATALOGS[language] ?? en;
+  function lookup(key) {
+    return table[key] ?? en[key];
+  }
+  function t(key, vars) {
+    let msg;
+    if (vars && typeof vars.count === "number") {
+      const rule = new Intl.PluralRules(language).select(vars.count);
+      msg = lookup(`${key}_${rule}`) ?? lookup(`${key}_other`);
+    }
+    msg = msg ?? lookup(key) ?? key;
+    if (!vars) return msg;
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  }
+  // Lists are stored as "a|b|c"
+  t.list = (key) => (lookup(key) ?? "").split("|").filter(Boolean);
+  // Translate a stored key (category, preset...) and fall back to the key itself
+  t.label = (ns, key) => lookup(`${ns}.${key}`) ?? key;
+  t.language = language;
+  return t;
+}
+
+export const I18nContext = createContext(createTranslator("en"));
+
+export function useT() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,713 @@
+// English is the source catalog; other languages fall back to it key by key.
+// Keys ending in _one/_other are plural forms picked with Intl.PluralRules.
+export default {
+  "common.eg": "e.g., {example}",
+  "examples.Housing": "Rent|Mortgage|HOA|Maintenance",
+  "examples.Car / Transportation": "Gas|Car payment|Insurance|Parking",
+  "examples.Food & Drink": "Groceries|Dining out|Coffee",
+  "examples.Utilities": "Electric|Internet|Phone",
+  "examples.Insurance": "Health insurance|Car insurance|Home insurance",
+  "examples.Health & Fitness": "Gym|Therapy|Supplements",
+  "examples.Subscriptions": "Netflix|Spotify|iCloud",
+  "examples.Travel & Vacation": "Flights|Hotels|Weekend trips",
+  "examples.Pet": "Pet food|Vet|Grooming",
+  "examples.default": "Groceries|Gas|Gym|Coffee",
+  "grade.great": "Great",
+  "grade.good": "Good",
+  "grade.ok": "OK",
+  "grade.needsImprovement": "Needs improvement",
+  "category.Housing": "Housing",
+  "category.Car / Transportation": "Car / Transportation",
+  "category.Food & Drink": "Food & Drink",
+  "category.Utilities": "Utilities",
+  "category.Insurance": "Insurance",
+  "category.Health & Fitness": "Health & Fitness",
+  "category.Personal Care": "Personal Care",
+  "category.Entertainment": "Entertainment",
+  "category.Household": "Household",
+  "category.Gifts": "Gifts",
+  "category.Clothing": "Clothing",
+  "category.Subscriptions": "Subscriptions",
+  "category.Travel & Vacation": "Travel & Vacation",
+  "category.Taxes": "Taxes",
+  "category.Education": "Education",
+  "category.Donations": "Donations",
+  "category.Debt payments": "Debt payments",
+  "category.Fees": "Fees",
+  "category.Pet": "Pet",
+  "category.Other": "Other",
+  "goalPreset.Emergency": "Emergency",
+  "goalPreset.Vacation": "Vacation",
+  "goalPreset.Occasion": "Occasion",
+  "goalPreset.Home down payment": "Home down payment",
+  "goalPreset.Car down payment": "Car down payment",
+  "goalPreset.Education": "Education",
+  "goalPreset.Other": "Other",
+  "assetType.Investment": "Investment",
+  "assetType.Real Estate": "Real Estate",
+  "assetType.Cash": "Cash",
+  "assetType.Vehicle": "Vehicle",
+  "assetType.Other": "Other",
+  "backup.list.incomeSources_one": "{count} income source",
+  "backup.list.incomeSources_other": "{count} income sources",
+  "backup.list.items_one": "{count} item",
+  "backup.list.items_other": "{count} items",
+  "backup.list.goals_one": "{count} goal",
+  "backup.list.goals_other": "{count} goals",
+  "backup.list.assets_one": "{count} asset",
+  "backup.list.assets_other": "{count} assets",
+  "backup.list.liabilities_one": "{count} liability",
+  "backup.list.liabilities_other": "{count} liabilities",
+  "backup.list.netWorthHistory_one": "{count} net worth snapshot",
+  "backup.list.netWorthHistory_other": "{count} net worth snapshots",
+  "backup.list.categoryRules_one": "{count} categorization rule",
+  "backup.list.categoryRules_other": "{count} categorization rules",
+  "backup.list.ledger_one": "{count} ledger entry",
+  "backup.list.ledger_other": "{count} ledger entries",
+  "common.info": "Info",
+  "currency.label": "Currency",
+  "needWant.need": "Need",
+  "needWant.want": "Want",
+  "goals.onTrack": "On track",
+  "goals.behind": "Behind",
+  "csv.noTransactions": "That file has no transactions",
+  "csv.unreadable": "That file could not be read",
+  "csv.title": "Import from a bank CSV",
+  "csv.intro": "We read the file in your browser, sort each transaction with your rules, and suggest monthly amounts.",
+  "common.close": "Close",
+  "csv.chooseAnother": "Choose another file",
+  "csv.choose": "Choose CSV file",
+  "csv.rows_one": "{count} row",
+  "csv.rows_other": "{count} rows",
+  "csv.columns": "Columns",
+  "csv.columnsTip": "We guessed these from the header row. Fix any that look wrong — the preview updates instantly.",
+  "csv.column.date": "Date",
+  "csv.column.description": "Description",
+  "csv.column.amount": "Amount",
+  "csv.columnN": "Column {n}",
+  "csv.dateFormat": "Date format",
+  "csv.dateFormat.ymd": "Year-Month-Day",
+  "csv.dateFormat.mdy": "Month/Day/Year",
+  "csv.dateFormat.dmy": "Day/Month/Year",
+  "csv.spendingSign": "Spending shows as",
+  "csv.spendingSign.negative": "Negative amounts (−42.10)",
+  "csv.spendingSign.positive": "Positive amounts (42.10)",
+  "csv.summary": "{transactions} across {months}.",
+  "csv.transactions_one": "{count} spending transaction",
+  "csv.transactions_other": "{count} spending transactions",
+  "common.months_one": "{count} month",
+  "common.months_other": "{count} months",
+  "csv.rules": "Rules",
+  "csv.rulesTip": "If the description contains the text, the transaction goes to that category. The first matching rule wins; anything unmatched goes to Other.",
+  "csv.contains": "Contains…",
+  "csv.removeRule": "Remove rule",
+  "csv.addRule": "Add rule",
+  "csv.suggested": "Suggested spending items",
+  "csv.suggestedHint": "Monthly averages from this file. Untick anything you don’t want.",
+  "csv.updateFrom": "Update from {amount}",
+  "csv.new": "New",
+  "common.perMonth": "{amount}/mo",
+  "csv.logActualsTitle": "Record these transactions as actual spending",
+  "csv.logActuals": "Log {count} as actuals",
+  "csv.apply_one": "Apply {count} item",
+  "csv.apply_other": "Apply {count} items",
+  "needWant.unlinked": "Not linked to an item",
+  "retirement.mc.crashed": "The simulation stopped unexpectedly",
+  "income.other": "Other income",
+  "header.openMenu": "Open menu",
+  "header.goHome": "Go to Home",
+  "header.toggleTheme": "Toggle theme",
+  "lost.title": "Lost in navigation",
+  "lost.body": "Resetting you back to Home.",
+  "nav.primary": "Primary",
+  "tab.home": "Home",
+  "tab.ikigai": "Your Ikigai",
+  "tab.actuals": "Actuals",
+  "tab.goals": "Savings",
+  "tab.networth": "Net Worth",
+  "tab.retirement": "Retirement",
+  "tab.about": "About",
+  "drawer.menu": "Menu",
+  "drawer.closeMenu": "Close menu",
+  "drawer.navigate": "Navigate",
+  "drawer.backup": "Backup",
+  "drawer.exportBackup": "Export backup (.json)",
+  "drawer.importBackup": "Import backup…",
+  "drawer.backupHint": "Your plan only lives in this browser. Export a copy before switching devices.",
+  "drawer.baseCurrency": "Base currency",
+  "drawer.numberFormat": "Number format",
+  "drawer.exchangeRates": "Exchange rates",
+  "drawer.rate": "rate",
+  "drawer.missingRates": "Add a rate for {codes}. Until then those amounts count 1:1.",
+  "drawer.currencyHint": "Pick a different currency on any income source, asset or liability to hold it in that currency.",
+  "drawer.appearance": "Appearance",
+  "drawer.lightMode": "Light mode",
+  "drawer.darkMode": "Dark mode",
+  "drawer.language": "Language",
+  "loadError.title": "We couldn’t load your saved plan",
+  "loadError.body": "{error}. A copy was kept in this browser under “{key}”, so nothing is lost. Changes made now won’t be saved.",
+  "common.dismiss": "Dismiss",
+  "import.title": "Import “{file}”",
+  "import.failed": "{error}. Nothing was changed.",
+  "import.exportedAt": "Exported {date}.",
+  "import.explain": "Replace swaps your plan for the file. Merge keeps what you have and adds the file’s entries (the file wins on duplicates).",
+  "import.replace": "Replace",
+  "import.merge": "Merge",
+  "import.replaceSummary": "{current} will be replaced with {incoming}.",
+  "import.nothing": "Nothing",
+  "import.emptyPlan": "an empty plan",
+  "import.mergeRow": "{list}: {added} new, {updated} updated",
+  "import.nothingNew": "Nothing new in this file.",
+  "common.cancel": "Cancel",
+  "backup.name.incomeSources": "Income sources",
+  "backup.name.items": "Items",
+  "backup.name.goals": "Goals",
+  "backup.name.assets": "Assets",
+  "backup.name.liabilities": "Liabilities",
+  "backup.name.netWorthHistory": "Net worth snapshots",
+  "backup.name.categoryRules": "Categorization rules",
+  "backup.name.ledger": "Ledger entries",
+  "onboarding.intro": "Everyone’s life has tradeoffs. Let’s start with where you are right now.",
+  "onboarding.skip": "Skip for now",
+  "onboarding.step": "Step {n} of {total}",
+  "onboarding.you": "You",
+  "profile.age": "Age",
+  "profile.location": "Location",
+  "profile.locationPlaceholder": "Los Angeles, CA, USA",
+  "profile.relationship": "Relationship",
+  "common.select": "Select",
+  "relationship.Single": "Single",
+  "relationship.Partnered": "Partnered",
+  "relationship.Married": "Married",
+  "profile.kids": "Kids",
+  "profile.pets": "Pets",
+  "onboarding.youTip": "Your stage of life shapes what ‘enough’ looks like. Nothing here is permanent.",
+  "common.continue": "Continue",
+  "onboarding.income": "What supports your life",
+  "onboarding.incomeHint": "Add your income sources — take-home or gross salary, however often you’re paid.",
+  "income.source": "Source",
+  "common.monthly": "Monthly",
+  "income.add": "Add income source",
+  "income.totalMonthly": "Total monthly:",
+  "income.suggestions": "Dividend income|Interest income|Side hustle|Bonus|Rental income",
+  "onboarding.incomeReassure": "This doesn’t need to be perfect. You can refine it anytime.",
+  "common.back": "Back",
+  "onboarding.today": "What matters today",
+  "onboarding.todayHint": "Start with a few things that feel important.",
+  "onboarding.tapToAdd": "Tap to add",
+  "onboarding.ahead": "Looking ahead",
+  "onboarding.aheadHint": "Some parts of life are worth planning for.",
+  "onboarding.addGoal": "Add a savings goal",
+  "common.remove": "Remove",
+  "onboarding.seeing": "Planning doesn’t mean committing — it means seeing.",
+  "onboarding.shape": "Your Ikigai is taking shape.",
+  "onboarding.shapeHint": "You can change any of this as life changes.",
+  "home.sub": "A calm snapshot of your life right now.",
+  "home.editBasics": "Edit basics",
+  "home.spending": "Spending",
+  "home.spendingTip": "Tap the number to switch Monthly ↔ Annual.",
+  "common.toggleMonthlyAnnual": "Toggle monthly/annual",
+  "common.annual": "Annual",
+  "home.savingsRate": "Savings rate",
+  "home.savingsRateTip": "Savings rate = (Income − Spending) ÷ Income.",
+  "home.leftover": "Leftover money",
+  "home.leftoverTip": "Formula: monthly income − monthly spending.",
+  "home.retirementTarget": "Retirement target",
+  "home.retirementTargetTip": "Assumes withdrawal rate {rate}. Toggle whether to include temporary spending.",
+  "retirementView.ongoing": "Ongoing",
+  "retirementView.all": "Include Temporary",
+  "home.note": "You’re seeing what your life implies — and you get to decide what changes, if any.",
+  "ikigai.sub": "Some parts of life are essential. Others bring meaning. Most are a mix.",
+  "ikigai.importCsv": "Import bank CSV",
+  "quickAdd.title": "Quick Add",
+  "quickAdd.simple": "Simple",
+  "quickAdd.guided": "Guided",
+  "quickAdd.hint": "Add one item at a time. Everything updates instantly.",
+  "quickAdd.tip": "Examples: Groceries, Gas, Gym, Coffee, Rent, Pet food, Streaming.",
+  "quickAdd.guidedStep": "Guided add • Step {n} of {total}",
+  "quickAdd.chooseCategory": "Choose a category",
+  "quickAdd.examples": "Examples:",
+  "quickAdd.nameIt": "Name the expense",
+  "quickAdd.nameHint": "Pick one of the examples above, or type your own.",
+  "common.next": "Next",
+  "needWant.label": "Need / Want",
+  "item.temporary": "Temporary",
+  "item.startsOptional": "Starts (optional)",
+  "item.endsOptional": "Ends (optional)",
+  "item.ends": "Ends",
+  "quickAdd.details": "Details",
+  "common.add": "Add",
+  "common.name": "Name",
+  "common.category": "Category",
+  "ikigai.list": "What you currently spend on",
+  "ikigai.listTip": "This is a mirror, not a grade. You can change anything.",
+  "common.moveUp": "Move up",
+  "common.moveDown": "Move down",
+  "item.delete": "Delete item",
+  "common.delete": "Delete",
+  "common.month": "Month",
+  "item.unnamed": "(Unnamed item)",
+  "common.clear": "Clear",
+  "ikigai.empty": "No items yet. Add a few to bring your Ikigai to life.",
+  "item.startsOn": "Starts {month}",
+  "item.endsOn": "Ends {month}",
+  "item.endedOn": "Ended {month}",
+  "needWant.toggle": "Toggle need/want",
+  "ikigai.ended": "Ended ({count})",
+  "ikigai.endedHint": "Temporary items past their end date. They no longer count toward totals.",
+  "common.hide": "Hide",
+  "common.show": "Show",
+  "ikigai.restoreTitle": "Clear the end date so this counts again",
+  "ikigai.restore": "Restore",
+  "summary.title": "Summary",
+  "summary.sub": "A simple story of where your money goes.",
+  "summary.byCategory": "By category",
+  "summary.needsVsWants": "Needs vs. Wants",
+  "common.planned": "Planned",
+  "common.actual": "Actual",
+  "summary.actualFor": "Actual for {month}:",
+  "summary.monthlyTotal": "Monthly total:",
+  "summary.nothingLogged": "Nothing logged for this month yet. Add spending on the Actuals tab.",
+  "summary.drillTip": "Tip: tap a slice to drill into that category, then its sub-categories and items.",
+  "actuals.sub": "Your plan, next to what really happened. Differences are information, not failure.",
+  "actuals.variance": "Variance",
+  "actuals.varianceTip": "Planned − actual. Positive means you spent less than planned this month.",
+  "actuals.log": "Log spending",
+  "common.date": "Date",
+  "common.amount": "Amount",
+  "actuals.for": "For",
+  "actuals.selectTarget": "Select an item or category",
+  "actuals.items": "Items",
+  "actuals.categories": "Categories",
+  "actuals.note": "Note (optional)",
+  "actuals.logButton": "Log",
+  "actuals.csvTip": "Tip: on Your Ikigai, “Import bank CSV” can log a whole statement at once.",
+  "actuals.plannedVsActual": "Planned vs. actual",
+  "actuals.emptyVariance": "No spending planned or logged yet.",
+  "actuals.over": "{amount} over",
+  "actuals.left": "{amount} left",
+  "actuals.actual": "Actual",
+  "actuals.ofPlanned": "of planned",
+  "actuals.loggedIn": "Logged in {month}",
+  "actuals.emptyMonth": "Nothing logged this month.",
+  "goals.sub": "Progress should feel clear: what you have now — and how your monthly saving changes the future.",
+  "goals.tip": "Solid = what you have now. Pattern = what your current monthly saving can reach by your end date (or next 12 months).",
+  "goals.namePlaceholder": "Emergency fund",
+  "goals.target": "Target",
+  "goals.current": "Current",
+  "goals.perMonth": "Per month",
+  "goals.endDateOptional": "End date (optional)",
+  "goals.add": "Add goal",
+  "goals.endDateTip": "Tip: setting an end date enables “on track” guidance. Without it, we preview the next 12 months.",
+  "goals.empty": "No goals yet. Add one to see progress.",
+  "goals.etaNeedsMonthly": "Add a monthly amount to estimate timing.",
+  "goals.eta": "At this pace, you’ll reach this in ~{months}.",
+  "goals.categoryLine": "Category: {category}",
+  "goals.monthsLeft_one": "{count} month left",
+  "goals.monthsLeft_other": "{count} months left",
+  "goals.endDate": "End date",
+  "goals.moveUp": "Move goal up",
+  "goals.moveDown": "Move goal down",
+  "goals.delete": "Delete goal",
+  "networth.sub": "Add assets and liabilities—net worth updates automatically. (Account linking comes later.)",
+  "networth.assetsTitle": "Assets (includes investments)",
+  "networth.assetPlaceholder": "Home, 401k, Brokerage",
+  "networth.value": "Value",
+  "networth.type": "Type",
+  "networth.noAssets": "No assets yet.",
+  "networth.liabilities": "Liabilities",
+  "networth.liabilityPlaceholder": "Mortgage, Student loan",
+  "networth.balance": "Balance",
+  "networth.noLiabilities": "No liabilities yet.",
+  "networth.assets": "Assets",
+  "networth.netWorth": "Net worth",
+  "networth.overTime": "Net worth over time",
+  "networth.overTimeHint": "Snapshots are taken automatically the first time you open the app each month.",
+  "retirement.sub": "Sustain what matters — without needing perfection.",
+  "retirement.targetHint": "Toggle whether to include temporary items.",
+  "retirement.targetTip": "Annual spending ÷ withdrawal rate. The timeline below estimates when you could get there.",
+  "retirement.withdrawalRate": "Withdrawal rate",
+  "retirement.withdrawalHint": "Most people explore ~3%–5%. Higher rates lower the target but increase risk.",
+  "retirement.spendingAll": "Monthly spending (all)",
+  "retirement.spendingOngoing": "Monthly spending (ongoing)",
+  "retirement.timeline": "Timeline",
+  "retirement.timelineHint": "Starts from your net worth ({netWorth}) and adds your leftover money ({leftover}/mo) every month.",
+  "retirement.timelineTip": "Real return is growth after inflation. We project in today’s dollars; switch to future dollars to see both lines grow with inflation. Net worth includes things like your home, so treat this as optimistic if much of it isn’t invested.",
+  "retirement.fi.beyond": "60+ years",
+  "retirement.fi.there": "You’re there",
+  "retirement.fi.years": "~{years} years",
+  "retirement.fi.noTarget": "Add spending on Your Ikigai to set a target.",
+  "retirement.fi.beyondHint": "Not within 60 years at this pace. Small changes to spending or savings add up.",
+  "retirement.fi.thereHint": "Your net worth already covers this target.",
+  "retirement.fi.aroundAge": "Around {year}, at age {age}.",
+  "retirement.fi.around": "Around {year}.",
+  "retirement.realReturn": "Expected real return (%/yr)",
+  "retirement.inflation": "Inflation (%/yr)",
+  "retirement.showValuesIn": "Show values in",
+  "retirement.todayDollars": "Today’s $",
+  "retirement.futureDollars": "Future $",
+  "retirement.projectedPortfolio": "Projected portfolio",
+  "retirement.mc.title": "Stress test",
+  "retirement.mc.hint": "Runs {runs} possible markets through retirement, spending {spending}/yr in today’s dollars.",
+  "retirement.mc.tip": "A single withdrawal rate hides bad luck early in retirement. This shows how often the money lasts across many random return sequences. Historical mode replays real US stock years (1928–2023) in random order.",
+  "retirement.mc.returns": "Returns",
+  "retirement.mc.parametric": "Average + volatility",
+  "retirement.mc.historical": "Historical",
+  "retirement.mc.volatility": "Volatility (%/yr)",
+  "retirement.mc.meanHint": "Mean uses the real return above.",
+  "retirement.mc.historicalHint": "Samples inflation-adjusted S&P 500 years. That’s an all-stock portfolio, so it swings more than a mix.",
+  "retirement.mc.years": "Years in retirement",
+  "retirement.mc.startWith": "Start with",
+  "retirement.mc.startTarget": "Target ({amount})",
+  "retirement.mc.startNetWorth": "Net worth ({amount})",
+  "retirement.mc.running": "Running…",
+  "retirement.mc.run": "Run simulation",
+  "retirement.mc.success": "of {runs} simulated retirements never ran out of money.",
+  "retirement.mc.stale": "Your inputs changed since this run — run it again to update.",
+  "retirement.mc.yearTick": "Y{n}",
+  "retirement.mc.year": "Year {n}",
+  "retirement.mc.outer": "10th–90th percentile",
+  "retirement.mc.inner": "25th–75th percentile",
+  "retirement.mc.median": "Median",
+  "about.sub": "Ikigai is often translated as “a reason for being” — what gets you up in the morning.",
+  "about.meaning": "What Ikigai means in this app",
+  "about.meaningBody": "Financial planning is rarely just about money. It’s about funding what matters to you. Ikigai doesn’t tell people what to do. It shows them what their life implies — and lets them decide.",
+  "about.tone": "Tone and intent",
+  "about.toneBody": "We aim for calm and reassuring — realistic but supportive. Life changes; budgets aren’t moral report cards.",
+  "onboarding.still": "Still onboarding? You can finish anytime.",
+  "onboarding.markDone": "Mark onboarding done",
+  "backup.list.scenarios_one": "{count} scenario",
+  "backup.list.scenarios_other": "{count} scenarios",
+  "backup.name.scenarios": "Scenarios",
+  "tab.scenarios": "Scenarios",
+  "scenarios.sub": "Try a change on a copy of your plan. Your real plan stays exactly as it is.",
+  "scenarios.tip": "Each scenario has its own income, spending, goals, assets and liabilities. Open one and every tab shows it until you go back to your plan.",
+  "scenarios.fork": "New scenario",
+  "scenarios.forkHint": "Starts as a copy of “{name}” and opens right away.",
+  "scenarios.namePlaceholder": "Move to Denver",
+  "scenarios.forkButton": "Fork",
+  "scenarios.main": "My plan",
+  "scenarios.open": "Open",
+  "scenarios.openButton": "Open",
+  "scenarios.rename": "Scenario name",
+  "scenarios.delete": "Delete scenario",
+  "scenarios.empty": "No scenarios yet. Fork your plan to try “Second kid” or “Sell the car” without touching it.",
+  "scenarios.comparison": "Side by side",
+  "scenarios.metric.savingsRate": "Savings rate",
+  "scenarios.metric.leftover": "Leftover",
+  "scenarios.metric.spending": "Spending",
+  "scenarios.metric.netWorth": "Net worth",
+  "scenarios.metric.retirementTarget": "Retirement target",
+  "scenarios.metric.yearsToTarget": "Time to target",
+  "scenarios.metric.goals": "Goals on track",
+  "scenarios.goalsOnTrack": "{onTrack} of {total}",
+  "scenarios.comparisonHint": "Uses your withdrawal rate and expected return from the Retirement tab. Goals without an end date aren’t counted.",
+  "scenarios.banner": "You’re looking at the “{name}” scenario",
+  "scenarios.bannerHint": "Edits here only change this scenario. Your real plan is kept safe.",
+  "scenarios.compare": "Compare",
+  "scenarios.backToPlan": "Back to my plan",
+  "debt.title": "Debt payoff",
+  "debt.strategy.avalanche": "Avalanche",
+  "debt.strategy.snowball": "Snowball",
+  "debt.strategyHint.avalanche": "Extra money goes to the highest interest rate first — the least interest overall.",
+  "debt.strategyHint.snowball": "Extra money goes to the smallest balance first — quick wins that keep you going.",
+  "debt.noDebts": "Add a liability with a balance to plan its payoff.",
+  "debt.noPayments": "Enter a minimum or extra monthly payment on your liabilities to see a payoff plan.",
+  "debt.never": "Never",
+  "debt.neverHint": "Payments don't cover the interest",
+  "debt.months_one": "{count} month",
+  "debt.months_other": "{count} months",
+  "debt.interest": "{amount} interest",
+  "debt.avalancheSaves": "Avalanche saves {amount} in interest over snowball.",
+  "debt.sameInterest": "Both strategies cost about the same interest.",
+  "debt.monthShort": "M{month}",
+  "debt.monthN": "Month {month}",
+  "debt.order": "Payoff order",
+  "debt.aprValue": "{rate} APR",
+  "debt.notPaidOff": "not paid off",
+  "debt.paidOffIn": "paid off {month}",
+  "debt.col.month": "Month",
+  "debt.col.payment": "Payment",
+  "debt.col.interest": "Interest",
+  "debt.col.principal": "Principal",
+  "debt.col.balance": "Balance",
+  "debt.syncNote": "Your debt payments ({amount}/mo) are kept in sync with the Debt payments item in your plan.",
+  "debt.duplicateWarning": "You also have {amount}/mo of other Debt payments items — remove them if they duplicate these liabilities.",
+  "debt.apr": "APR %",
+  "debt.minPayment": "Minimum / mo",
+  "debt.extraPayment": "Extra / mo",
+  "debt.synced": "synced from your debts",
+  "debt.syncedHint": "This amount follows the minimum and extra payments on your liabilities.",
+  "debt.openPlanner": "Open debt planner",
+  "networth.view.total": "Total",
+  "networth.view.byType": "By type",
+  "networth.noBreakdownHint": "Months recorded before breakdowns existed, or entered as a total only, show just the net worth line.",
+  "networth.history": "History",
+  "networth.historyHint": "Backfill past months, correct a snapshot, or refresh this month after updating your balances.",
+  "networth.updateThisMonth": "Update this month",
+  "networth.month": "Month",
+  "networth.addSnapshot": "Add snapshot",
+  "networth.replacesSnapshot": "This replaces the snapshot already saved for that month.",
+  "networth.noHistory": "No snapshots yet.",
+  "networth.totalOnly": "total only",
+  "networth.addBreakdown": "Add breakdown",
+  "assetClass.Stocks": "Stocks",
+  "assetClass.Bonds": "Bonds",
+  "assetClass.Cash": "Cash",
+  "assetClass.Real Estate": "Real estate",
+  "region.Domestic": "Domestic",
+  "region.International": "International",
+  "holdings.toggle_one": "Holdings ({count})",
+  "holdings.toggle_other": "Holdings ({count})",
+  "holdings.valueFromHoldings": "value from holdings",
+  "holdings.name": "Ticker or name",
+  "holdings.namePlaceholder": "VTI, Bond fund",
+  "holdings.assetClass": "Class / region",
+  "holdings.quantity": "Quantity",
+  "holdings.price": "Price",
+  "holdings.total": "Holdings total {amount}",
+  "holdings.empty": "No holdings — the value you entered is used.",
+  "holdings.add": "Add holding",
+  "allocation.title": "Allocation",
+  "allocation.hint": "What your investment holdings are in, against your targets. Prices are entered by hand.",
+  "allocation.empty": "Add holdings to an investment asset to see its allocation.",
+  "allocation.col.class": "Class",
+  "allocation.col.value": "Value",
+  "allocation.col.current": "Current",
+  "allocation.col.target": "Target %",
+  "allocation.col.drift": "Drift",
+  "allocation.col.rebalance": "To rebalance",
+  "allocation.targetFor": "Target for {name}",
+  "allocation.buy": "buy {amount}",
+  "allocation.sell": "sell {amount}",
+  "allocation.targetsOff": "Targets add up to {total} — they should total 100%.",
+  "allocation.internationalTarget": "International target",
+  "allocation.internationalDrift": "International drift {drift}",
+  "allocation.unclassified": "{amount} in investment assets has no holdings and isn't included.",
+  "retirement.investedIn": "Your portfolio: {mix}.",
+  "retirement.seeAllocation": "See allocation",
+  "goals.allocate.title": "Split your leftover",
+  "goals.allocate.mode.ordered": "Fill in order",
+  "goals.allocate.mode.proportional": "Proportional",
+  "goals.allocate.mode.deadlines": "Deadlines first",
+  "goals.allocate.modeHint.ordered": "Top goal first: each goal gets what it needs before the next one gets anything. Drag goals to reorder.",
+  "goals.allocate.modeHint.proportional": "Every goal gets a share in proportion to how much it still needs.",
+  "goals.allocate.modeHint.deadlines": "Goals with an end date get the pace they need, soonest first; the rest follows your order.",
+  "goals.allocate.summary": "Planned {planned}/mo of {leftover}/mo leftover.",
+  "goals.allocate.over": "Over by {amount}/mo",
+  "goals.allocate.under": "{amount}/mo unassigned",
+  "goals.allocate.exact": "Fully assigned",
+  "goals.allocate.col.goal": "Goal",
+  "goals.allocate.col.now": "Now",
+  "goals.allocate.col.suggested": "Suggested",
+  "goals.allocate.spare": "{amount}/mo left once every goal is funded.",
+  "goals.allocate.allUsed": "The whole leftover is put to work.",
+  "goals.allocate.apply": "Use suggested amounts",
+  "goals.log.title": "Contributions",
+  "goals.log.currentFromLog": "The sum of the contributions and withdrawals below",
+  "goals.log.contribution": "Contribution",
+  "goals.log.withdrawal": "Withdrawal",
+  "goals.log.amount": "Amount",
+  "goals.log.notePlaceholder": "Note (optional)",
+  "goals.log.add": "Log it",
+  "goals.log.pace": "You've been putting in about {amount}/mo lately.",
+  "goals.log.noPace": "Log contributions to track your real pace; until then your planned monthly is used.",
+  "goals.log.opening": "Starting balance",
+  "goals.log.series.saved": "Saved",
+  "goals.log.series.pace": "Needed pace",
+  "income.amount": "Amount",
+  "income.basis": "This amount is",
+  "income.basis.net": "Take-home (after tax)",
+  "income.basis.gross": "Gross (before tax)",
+  "income.frequency": "Paid",
+  "income.frequency.hourly": "Hourly",
+  "income.frequency.weekly": "Weekly",
+  "income.frequency.biweekly": "Every two weeks",
+  "income.frequency.semimonthly": "Twice a month",
+  "income.frequency.monthly": "Monthly",
+  "income.frequency.annual": "Yearly",
+  "income.frequency.bonus": "One-off bonus",
+  "income.hoursPerWeek": "Hours / week",
+  "income.retirementDeduction": "Pre-tax pension / 401k (per year)",
+  "income.hsaDeduction": "Pre-tax HSA / other (per year)",
+  "income.takeHome": "≈ {amount}/mo take-home",
+  "tax.title": "Take-home estimate",
+  "tax.region": "Tax rules",
+  "tax.region.none": "No tax (enter take-home)",
+  "tax.region.us": "United States (federal + FICA)",
+  "tax.region.uk": "United Kingdom (income tax + NI)",
+  "tax.region.es": "Spain (IRPF + social security)",
+  "tax.filing": "Filing status",
+  "tax.filing.single": "Single",
+  "tax.filing.joint": "Married filing jointly",
+  "tax.extraRate": "State / local tax %",
+  "tax.gross": "Gross per year",
+  "tax.pretax": "Pre-tax deductions",
+  "tax.incomeTax": "Income tax",
+  "tax.payrollTax": "Payroll tax / social security",
+  "tax.localTax": "State / local tax",
+  "tax.net": "Take-home per year",
+  "tax.perMonth": "{amount}/mo",
+  "tax.disclaimer": "A rough offline estimate from 2025 tables: no credits or itemized deductions. Your payslip is the final word.",
+  "billing.label": "Billed",
+  "billing.amount": "Amount",
+  "billing.weekly": "Weekly",
+  "billing.biweekly": "Every two weeks",
+  "billing.monthly": "Monthly",
+  "billing.quarterly": "Quarterly",
+  "billing.semiannual": "Twice a year",
+  "billing.annual": "Yearly",
+  "billing.custom": "Every few months",
+  "billing.every": "every",
+  "billing.months": "months",
+  "billing.perMonth": "= {amount}/mo",
+  "billing.billed": "{amount} {frequency}",
+  "quickAdd.howOften": "How often do you pay it?",
+  "quickAdd.howOftenHint": "Enter bills the way they arrive — we’ll spread them over the months.",
+  "quickAdd.cost.weekly": "How much is it each week?",
+  "quickAdd.cost.biweekly": "How much is it every two weeks?",
+  "quickAdd.cost.monthly": "How much is it each month?",
+  "quickAdd.cost.quarterly": "How much is each quarterly bill?",
+  "quickAdd.cost.semiannual": "How much is each half-yearly bill?",
+  "quickAdd.cost.annual": "How much is it per year?",
+  "quickAdd.cost.custom": "How much is each bill?",
+  "tab.calendar": "Calendar",
+  "calendar.sub": "When bills are due and when pay lands — so timing never catches you out.",
+  "calendar.empty": "Add a next due date to your spending items (Your Ikigai) and a next pay date to your income (Home → Edit basics) to fill the calendar.",
+  "calendar.nextDue": "Next due date",
+  "calendar.nextPay": "Next pay date",
+  "calendar.prevMonth": "Previous month",
+  "calendar.nextMonth": "Next month",
+  "calendar.today": "Today",
+  "calendar.weekTotal": "Bills / week",
+  "calendar.next30": "Next 30 days",
+  "calendar.startingCash": "Cash today",
+  "calendar.startingCashHint": "Starts from your Cash assets unless you type today’s balance. Paychecks add, bills subtract.",
+  "calendar.nothingUpcoming": "Nothing due or paid in the next 30 days.",
+  "calendar.shortfall": "Your cash runs short on {date} — move a bill or keep a buffer.",
+  "household.title": "Household",
+  "household.sub": "Plan together: give each income and cost an owner, or leave it shared and split it fairly.",
+  "household.enable": "Plan as a household",
+  "household.suggest": "You live with a partner — household mode splits shared costs between you.",
+  "household.you": "You",
+  "household.partner": "Partner",
+  "household.memberN": "Member {n}",
+  "household.unnamed": "Unnamed",
+  "household.addMember": "Add member",
+  "household.removeMember": "Remove member",
+  "household.owner": "Belongs to",
+  "household.shared": "Shared",
+  "household.splitLabel": "Split shared costs",
+  "household.split.even": "Evenly",
+  "household.split.custom": "Custom %",
+  "household.split.income": "By income",
+  "household.splitHint.even": "Everyone pays the same share.",
+  "household.splitHint.custom": "Shares are scaled to add up to 100%.",
+  "household.splitHint.income": "Each member pays in proportion to their own income; shared income is split the same way.",
+  "household.customTotal": "Adds up to {pct}",
+  "household.sharedTotal": "Shared costs: {amount}/mo · shared income: {income}/mo",
+  "household.col.member": "Member",
+  "household.col.share": "Share",
+  "household.col.income": "Income",
+  "household.col.personal": "Personal",
+  "household.col.owed": "Owes to shared",
+  "household.col.leftover": "Leftover",
+  "household.col.savingsRate": "Savings rate",
+  "lock.section": "Passphrase lock",
+  "lock.hint": "Encrypt everything saved on this device so it can't be read without your passphrase — handy on shared computers.",
+  "lock.title": "Locked",
+  "lock.sub": "Your plan is encrypted on this device. Enter your passphrase to open it.",
+  "lock.passphrase": "Passphrase",
+  "lock.unlock": "Unlock",
+  "lock.unlocking": "Unlocking…",
+  "lock.wrong": "That passphrase didn't unlock your data.",
+  "lock.forgot": "Forgot your passphrase?",
+  "lock.eraseWarning": "There's no way to recover encrypted data without the passphrase. You can erase it and start over, or restore a backup afterwards.",
+  "lock.erase": "Erase and start over",
+  "lock.now": "Lock now",
+  "lock.autoLock": "Lock automatically",
+  "lock.afterMinutes_one": "After {count} minute idle",
+  "lock.afterMinutes_other": "After {count} minutes idle",
+  "lock.never": "Never",
+  "lock.set": "Set a passphrase",
+  "lock.change": "Change passphrase",
+  "lock.remove": "Turn off lock",
+  "lock.current": "Current passphrase",
+  "lock.new": "New passphrase",
+  "lock.confirm": "Repeat new passphrase",
+  "lock.noRecovery": "If you forget it, your data can't be recovered. Export a backup first.",
+  "lock.tooShort_one": "Use at least {count} character.",
+  "lock.tooShort_other": "Use at least {count} characters.",
+  "lock.mismatch": "The passphrases don't match.",
+  "lock.submit.set": "Turn on lock",
+  "lock.submit.change": "Change and re-encrypt",
+  "lock.submit.remove": "Turn off and decrypt",
+  "update.title": "New version available",
+  "update.body": "Reload to get the latest Ikigai. Your plan stays as it is.",
+  "update.reload": "Reload",
+  "update.later": "Later",
+  "undo.undo": "Undo",
+  "undo.redo": "Redo",
+  "undo.undoShortcut": "Undo (Ctrl/⌘+Z)",
+  "undo.redoShortcut": "Redo (Ctrl/⌘+Shift+Z)",
+  "undo.undone": "Undone: {what}",
+  "undo.redone": "Redone: {what}",
+  "undo.edit": "last edit",
+  "undo.deleted": "deleted “{name}”",
+  "undo.deletedContribution": "deleted a contribution",
+  "undo.moved": "moved “{name}”",
+  "category.Childcare": "Childcare",
+  "category.Eldercare": "Eldercare",
+  "examples.Childcare": "Daycare|Babysitter|After-school club|Nanny",
+  "examples.Eldercare": "Home care|Care home|Medication|Day centre",
+  "categories.title": "Categories",
+  "categories.manage": "Manage categories",
+  "categories.hint": "Rename, recolor, hide, reorder or merge. Renaming or merging updates every item, actual and import rule that uses the category.",
+  "categories.colorFor": "Color for {name}",
+  "categories.examples": "Examples shown when adding (comma-separated)",
+  "categories.usage_one": "{count} item",
+  "categories.usage_other": "{count} items",
+  "categories.moveUp": "Move up",
+  "categories.moveDown": "Move down",
+  "categories.hide": "Hide",
+  "categories.show": "Show",
+  "categories.mergeInto": "Merge into…",
+  "categories.remove": "Remove category",
+  "categories.newPlaceholder": "New category, e.g. Hobbies",
+  "categories.add": "Add category",
+  "categories.exists": "That category already exists",
+  "ikigai.allCategories": "All categories",
+  "undo.renamed": "renamed “{name}”",
+  "undo.merged": "merged “{name}” into “{into}”",
+  "backup.list.categories_one": "{count} category",
+  "backup.list.categories_other": "{count} categories",
+  "ikigai.showing": "Showing:",
+  "item.subcategory": "Sub-category (optional)",
+  "item.subcategoryPlaceholder": "e.g. Groceries",
+  "item.tags": "Tags",
+  "item.tagsPlaceholder": "#kids #school",
+  "summary.byTag": "By tag",
+  "drill.unsorted": "No sub-category",
+  "drill.noTags": "Tag items (like #kids) to see what they cost across every category.",
+  "drill.tagTotal_one": "Everything tagged {tag}: {amount} ({count} item)",
+  "drill.tagTotal_other": "Everything tagged {tag}: {amount} ({count} items)",
+  "drill.tagTip": "Tip: tap a tag to list its items. An item with several tags counts toward each, so slices can add up to more than the total.",
+  "drawer.pivotPrompt": "To switch to {code} and keep your exchange rates, enter what 1 {code} is worth in {base}.",
+  "drawer.switchBase": "Switch to {code}",
+  "stateError.unreadable": "Saved data could not be read",
+  "stateError.notObject": "The data isn’t a saved plan",
+  "stateError.newerVersion": "It was saved by a newer version of the app (v{version})",
+  "stateError.notList": "“{name}” should be a list",
+  "stateError.entryNotObject": "“{name}” entry {entry} is not an object",
+  "stateError.noDate": "“{name}” entry {entry} has no valid date",
+  "stateError.noMonth": "“{name}” entry {entry} has no valid month",
+  "stateError.badBreakdown": "“{name}” entry {entry} has an invalid breakdown",
+  "stateError.badRule": "“{name}” entry {entry} needs a match and a category",
+  "stateError.notJson": "This file isn’t valid JSON",
+  "stateError.unreadableFile": "This file could not be read",
+  "stateError.notBackup": "This file isn’t an Ikigai backup",
+  "drawer.browserDefault": "Browser default",
+  "income.bonusTakeHome": "≈ {amount} take-home once, on the pay date. It isn’t counted as monthly income.",
+  "newer.title": "Your plan was saved by a newer version",
+  "newer.body": "Another tab or window runs a newer Ikigai. Changes made here aren’t saved, so reload to keep working.",
+};
@@ -0,0 +1,711 @@
+export default {
+  "common.eg": "p. ej., {example}",
+  "examples.Housing": "Alquiler|Hipoteca|Comunidad|Mantenimiento",
+  "examples.Car / Transportation": "Gasolina|Cuota del coche|Seguro|Aparcamiento",
+  "examples.Food & Drink": "Supermercado|Restaurantes|Café",
+  "examples.Utilities": "Luz|Internet|Teléfono",
+  "examples.Insurance": "Seguro médico|Seguro del coche|Seguro del hogar",
+  "examples.Health & Fitness": "Gimnasio|Terapia|Suplementos",
+  "examples.Subscriptions": "Netflix|Spotify|iCloud",
+  "examples.Travel & Vacation": "Vuelos|Hoteles|Escapadas",
+  "examples.Pet": "Comida para mascotas|Veterinario|Peluquería",
+  "examples.default": "Supermercado|Gasolina|Gimnasio|Café",
+  "grade.great": "Excelente",
+  "grade.good": "Bien",
+  "grade.ok": "Aceptable",
+  "grade.needsImprovement": "Puede mejorar",
+  "category.Housing": "Vivienda",
+  "category.Car / Transportation": "Coche / Transporte",
+  "category.Food & Drink": "Comida y bebida",
+  "category.Utilities": "Suministros",
+  "category.Insurance": "Seguros",
+  "category.Health & Fitness": "Salud y deporte",
+  "category.Personal Care": "Cuidado personal",
+  "category.Entertainment": "Ocio",
+  "category.Household": "Hogar",
+  "category.Gifts": "Regalos",
+  "category.Clothing": "Ropa",
+  "category.Subscriptions": "Suscripciones",
+  "category.Travel & Vacation": "Viajes y vacaciones",
+  "category.Taxes": "Impuestos",
+  "category.Education": "Educación",
+  "category.Donations": "Donaciones",
+  "category.Debt payments": "Pago de deudas",
+  "category.Fees": "Comisiones",
+  "category.Pet": "Mascotas",
+  "category.Other": "Otros",
+  "goalPreset.Emergency": "Emergencias",
+  "goalPreset.Vacation": "Vacaciones",
+  "goalPreset.Occasion": "Ocasión especial",
+  "goalPreset.Home down payment": "Entrada de la vivienda",
+  "goalPreset.Car down payment": "Entrada del coche",
+  "goalPreset.Education": "Educación",
+  "goalPreset.Other": "Otros",
+  "assetType.Investment": "Inversión",
+  "assetType.Real Estate": "Inmueble",
+  "assetType.Cash": "Efectivo",
+  "assetType.Vehicle": "Vehículo",
+  "assetType.Other": "Otros",
+  "backup.list.incomeSources_one": "{count} fuente de ingresos",
+  "backup.list.incomeSources_other": "{count} fuentes de ingresos",
+  "backup.list.items_one": "{count} gasto",
+  "backup.list.items_other": "{count} gastos",
+  "backup.list.goals_one": "{count} meta",
+  "backup.list.goals_other": "{count} metas",
+  "backup.list.assets_one": "{count} activo",
+  "backup.list.assets_other": "{count} activos",
+  "backup.list.liabilities_one": "{count} deuda",
+  "backup.list.liabilities_other": "{count} deudas",
+  "backup.list.netWorthHistory_one": "{count} registro de patrimonio",
+  "backup.list.netWorthHistory_other": "{count} registros de patrimonio",
+  "backup.list.categoryRules_one": "{count} regla de categorización",
+  "backup.list.categoryRules_other": "{count} reglas de categorización",
+  "backup.list.ledger_one": "{count} movimiento",
+  "backup.list.ledger_other": "{count} movimientos",
+  "common.info": "Información",
+  "currency.label": "Moneda",
+  "needWant.need": "Necesidad",
+  "needWant.want": "Deseo",
+  "goals.onTrack": "En camino",
+  "goals.behind": "Atrasada",
+  "csv.noTransactions": "Ese archivo no tiene movimientos",
+  "csv.unreadable": "No se pudo leer ese archivo",
+  "csv.title": "Importar un CSV del banco",
+  "csv.intro": "Leemos el archivo en tu navegador, clasificamos cada movimiento con tus reglas y sugerimos importes mensuales.",
+  "common.close": "Cerrar",
+  "csv.chooseAnother": "Elegir otro archivo",
+  "csv.choose": "Elegir archivo CSV",
+  "csv.rows_one": "{count} fila",
+  "csv.rows_other": "{count} filas",
+  "csv.columns": "Columnas",
+  "csv.columnsTip": "Las hemos deducido de la fila de encabezado. Corrige las que no encajen: la vista previa se actualiza al instante.",
+  "csv.column.date": "Fecha",
+  "csv.column.description": "Descripción",
+  "csv.column.amount": "Importe",
+  "csv.columnN": "Columna {n}",
+  "csv.dateFormat": "Formato de fecha",
+  "csv.dateFormat.ymd": "Año-Mes-Día",
+  "csv.dateFormat.mdy": "Mes/Día/Año",
+  "csv.dateFormat.dmy": "Día/Mes/Año",
+  "csv.spendingSign": "Los gastos aparecen como",
+  "csv.spendingSign.negative": "Importes negativos (−42,10)",
+  "csv.spendingSign.positive": "Importes positivos (42,10)",
+  "csv.summary": "{transactions} en {months}.",
+  "csv.transactions_one": "{count} movimiento de gasto",
+  "csv.transactions_other": "{count} movimientos de gasto",
+  "common.months_one": "{count} mes",
+  "common.months_other": "{count} meses",
+  "csv.rules": "Reglas",
+  "csv.rulesTip": "Si la descripción contiene el texto, el movimiento va a esa categoría. Gana la primera regla que coincida; lo que no coincida va a Otros.",
+  "csv.contains": "Contiene…",
+  "csv.removeRule": "Quitar regla",
+  "csv.addRule": "Añadir regla",
+  "csv.suggested": "Gastos sugeridos",
+  "csv.suggestedHint": "Medias mensuales de este archivo. Desmarca lo que no quieras.",
+  "csv.updateFrom": "Actualizar desde {amount}",
+  "csv.new": "Nuevo",
+  "common.perMonth": "{amount}/mes",
+  "csv.logActualsTitle": "Registrar estos movimientos como gasto real",
+  "csv.logActuals": "Registrar {count} como reales",
+  "csv.apply_one": "Aplicar {count} gasto",
+  "csv.apply_other": "Aplicar {count} gastos",
+  "needWant.unlinked": "Sin gasto asociado",
+  "retirement.mc.crashed": "La simulación se detuvo inesperadamente",
+  "income.other": "Otros ingresos",
+  "header.openMenu": "Abrir menú",
+  "header.goHome": "Ir a Inicio",
+  "header.toggleTheme": "Cambiar tema",
+  "lost.title": "Te has perdido",
+  "lost.body": "Te llevamos de vuelta a Inicio.",
+  "nav.primary": "Principal",
+  "tab.home": "Inicio",
+  "tab.ikigai": "Tu Ikigai",
+  "tab.actuals": "Real",
+  "tab.goals": "Ahorro",
+  "tab.networth": "Patrimonio",
+  "tab.retirement": "Jubilación",
+  "tab.about": "Acerca de",
+  "drawer.menu": "Menú",
+  "drawer.closeMenu": "Cerrar menú",
+  "drawer.navigate": "Navegar",
+  "drawer.backup": "Copia de seguridad",
+  "drawer.exportBackup": "Exportar copia (.json)",
+  "drawer.importBackup": "Importar copia…",
+  "drawer.backupHint": "Tu plan solo vive en este navegador. Exporta una copia antes de cambiar de dispositivo.",
+  "drawer.baseCurrency": "Moneda base",
+  "drawer.numberFormat": "Formato de números",
+  "drawer.exchangeRates": "Tipos de cambio",
+  "drawer.rate": "tipo",
+  "drawer.missingRates": "Añade un tipo para {codes}. Mientras tanto, esos importes cuentan 1:1.",
+  "drawer.currencyHint": "Elige otra moneda en cualquier fuente de ingresos, activo o deuda para llevarla en esa moneda.",
+  "drawer.appearance": "Apariencia",
+  "drawer.lightMode": "Modo claro",
+  "drawer.darkMode": "Modo oscuro",
+  "drawer.language": "Idioma",
+  "loadError.title": "No pudimos cargar tu plan guardado",
+  "loadError.body": "{error}. Se guardó una copia en este navegador como “{key}”, así que no se ha perdido nada. Los cambios que hagas ahora no se guardarán.",
+  "common.dismiss": "Descartar",
+  "import.title": "Importar “{file}”",
+  "import.failed": "{error}. No se ha cambiado nada.",
+  "import.exportedAt": "Exportado el {date}.",
+  "import.explain": "Reemplazar cambia tu plan por el del archivo. Combinar conserva lo que tienes y añade las entradas del archivo (el archivo gana en los duplicados).",
+  "import.replace": "Reemplazar",
+  "import.merge": "Combinar",
+  "import.replaceSummary": "{current} se sustituirá por {incoming}.",
+  "import.nothing": "Nada",
+  "import.emptyPlan": "un plan vacío",
+  "import.mergeRow": "{list}: {added} nuevos, {updated} actualizados",
+  "import.nothingNew": "No hay nada nuevo en este archivo.",
+  "common.cancel": "Cancelar",
+  "backup.name.incomeSources": "Fuentes de ingresos",
+  "backup.name.items": "Gastos",
+  "backup.name.goals": "Metas",
+  "backup.name.assets": "Activos",
+  "backup.name.liabilities": "Deudas",
+  "backup.name.netWorthHistory": "Registros de patrimonio",
+  "backup.name.categoryRules": "Reglas de categorización",
+  "backup.name.ledger": "Movimientos",
+  "onboarding.intro": "Toda vida tiene sus concesiones. Empecemos por dónde estás ahora.",
+  "onboarding.skip": "Omitir por ahora",
+  "onboarding.step": "Paso {n} de {total}",
+  "onboarding.you": "Tú",
+  "profile.age": "Edad",
+  "profile.location": "Ubicación",
+  "profile.locationPlaceholder": "Madrid, España",
+  "profile.relationship": "Situación sentimental",
+  "common.select": "Seleccionar",
+  "relationship.Single": "Soltero/a",
+  "relationship.Partnered": "En pareja",
+  "relationship.Married": "Casado/a",
+  "profile.kids": "Hijos",
+  "profile.pets": "Mascotas",
+  "onboarding.youTip": "Tu etapa vital define qué es ‘suficiente’. Nada de esto es permanente.",
+  "common.continue": "Continuar",
+  "onboarding.income": "Qué sostiene tu vida",
+  "onboarding.incomeHint": "Añade tus fuentes de ingresos: neto o salario bruto, cada cuánto lo cobres.",
+  "income.source": "Fuente",
+  "common.monthly": "Mensual",
+  "income.add": "Añadir fuente de ingresos",
+  "income.totalMonthly": "Total mensual:",
+  "income.suggestions": "Dividendos|Intereses|Trabajo extra|Bonus|Alquileres",
+  "onboarding.incomeReassure": "No tiene que ser perfecto. Puedes ajustarlo cuando quieras.",
+  "common.back": "Atrás",
+  "onboarding.today": "Qué importa hoy",
+  "onboarding.todayHint": "Empieza con algunas cosas que te parezcan importantes.",
+  "onboarding.tapToAdd": "Toca para añadir",
+  "onboarding.ahead": "Mirando al futuro",
+  "onboarding.aheadHint": "Hay partes de la vida que merece la pena planificar.",
+  "onboarding.addGoal": "Añadir una meta de ahorro",
+  "common.remove": "Quitar",
+  "onboarding.seeing": "Planificar no es comprometerse: es ver.",
+  "onboarding.shape": "Tu Ikigai va tomando forma.",
+  "onboarding.shapeHint": "Puedes cambiar todo esto a medida que cambie tu vida.",
+  "home.sub": "Una foto tranquila de tu vida ahora mismo.",
+  "home.editBasics": "Editar datos básicos",
+  "home.spending": "Gasto",
+  "home.spendingTip": "Toca el número para alternar Mensual ↔ Anual.",
+  "common.toggleMonthlyAnnual": "Alternar mensual/anual",
+  "common.annual": "Anual",
+  "home.savingsRate": "Tasa de ahorro",
+  "home.savingsRateTip": "Tasa de ahorro = (Ingresos − Gasto) ÷ Ingresos.",
+  "home.leftover": "Dinero sobrante",
+  "home.leftoverTip": "Fórmula: ingresos mensuales − gasto mensual.",
+  "home.retirementTarget": "Objetivo de jubilación",
+  "home.retirementTargetTip": "Supone una tasa de retirada del {rate}. Elige si incluir el gasto temporal.",
+  "retirementView.ongoing": "Recurrente",
+  "retirementView.all": "Incluir temporales",
+  "home.note": "Estás viendo lo que implica tu vida, y tú decides qué cambiar, si es que quieres cambiar algo.",
+  "ikigai.sub": "Algunas partes de la vida son esenciales. Otras le dan sentido. La mayoría son una mezcla.",
+  "ikigai.importCsv": "Importar CSV del banco",
+  "quickAdd.title": "Añadir rápido",
+  "quickAdd.simple": "Sencillo",
+  "quickAdd.guided": "Guiado",
+  "quickAdd.hint": "Añade un gasto cada vez. Todo se actualiza al instante.",
+  "quickAdd.tip": "Ejemplos: Supermercado, Gasolina, Gimnasio, Café, Alquiler, Comida para mascotas, Streaming.",
+  "quickAdd.guidedStep": "Añadir guiado • Paso {n} de {total}",
+  "quickAdd.chooseCategory": "Elige una categoría",
+  "quickAdd.examples": "Ejemplos:",
+  "quickAdd.nameIt": "Ponle nombre al gasto",
+  "quickAdd.nameHint": "Elige uno de los ejemplos de arriba o escribe el tuyo.",
+  "common.next": "Siguiente",
+  "needWant.label": "Necesidad / Deseo",
+  "item.temporary": "Temporal",
+  "item.startsOptional": "Empieza (opcional)",
+  "item.endsOptional": "Termina (opcional)",
+  "item.ends": "Termina",
+  "quickAdd.details": "Detalles",
+  "common.add": "Añadir",
+  "common.name": "Nombre",
+  "common.category": "Categoría",
+  "ikigai.list": "En qué gastas ahora",
+  "ikigai.listTip": "Esto es un espejo, no una nota. Puedes cambiar lo que quieras.",
+  "common.moveUp": "Subir",
+  "common.moveDown": "Bajar",
+  "item.delete": "Eliminar gasto",
+  "common.delete": "Eliminar",
+  "common.month": "Mes",
+  "item.unnamed": "(Gasto sin nombre)",
+  "common.clear": "Quitar filtro",
+  "ikigai.empty": "Aún no hay gastos. Añade algunos para dar vida a tu Ikigai.",
+  "item.startsOn": "Empieza en {month}",
+  "item.endsOn": "Termina en {month}",
+  "item.endedOn": "Terminó en {month}",
+  "needWant.toggle": "Alternar necesidad/deseo",
+  "ikigai.ended": "Terminados ({count})",
+  "ikigai.endedHint": "Gastos temporales que ya pasaron su fecha de fin. Ya no cuentan en los totales.",
+  "common.hide": "Ocultar",
+  "common.show": "Mostrar",
+  "ikigai.restoreTitle": "Quita la fecha de fin para que vuelva a contar",
+  "ikigai.restore": "Restaurar",
+  "summary.title": "Resumen",
+  "summary.sub": "Una historia sencilla de adónde va tu dinero.",
+  "summary.byCategory": "Por categoría",
+  "summary.needsVsWants": "Necesidades vs. deseos",
+  "common.planned": "Previsto",
+  "common.actual": "Real",
+  "summary.actualFor": "Real de {month}:",
+  "summary.monthlyTotal": "Total mensual:",
+  "summary.nothingLogged": "Aún no hay nada registrado este mes. Añade gastos en la pestaña Real.",
+  "summary.drillTip": "Consejo: toca una porción para ver esa categoría, luego sus subcategorías y partidas.",
+  "actuals.sub": "Tu plan, junto a lo que pasó de verdad. Las diferencias son información, no fracasos.",
+  "actuals.variance": "Diferencia",
+  "actuals.varianceTip": "Previsto − real. Un valor positivo significa que gastaste menos de lo previsto este mes.",
+  "actuals.log": "Registrar gasto",
+  "common.date": "Fecha",
+  "common.amount": "Importe",
+  "actuals.for": "Para",
+  "actuals.selectTarget": "Elige un gasto o una categoría",
+  "actuals.items": "Gastos",
+  "actuals.categories": "Categorías",
+  "actuals.note": "Nota (opcional)",
+  "actuals.logButton": "Registrar",
+  "actuals.csvTip": "Consejo: en Tu Ikigai, “Importar CSV del banco” registra un extracto entero de una vez.",
+  "actuals.plannedVsActual": "Previsto vs. real",
+  "actuals.emptyVariance": "Aún no hay gastos previstos ni registrados.",
+  "actuals.over": "{amount} de más",
+  "actuals.left": "quedan {amount}",
+  "actuals.actual": "Real",
+  "actuals.ofPlanned": "de un previsto de",
+  "actuals.loggedIn": "Registrado en {month}",
+  "actuals.emptyMonth": "No hay nada registrado este mes.",
+  "goals.sub": "El progreso debe verse claro: lo que tienes ahora y cómo tu ahorro mensual cambia el futuro.",
+  "goals.tip": "Sólido = lo que tienes ahora. Trama = lo que tu ahorro mensual actual puede alcanzar en tu fecha de fin (o en los próximos 12 meses).",
+  "goals.namePlaceholder": "Fondo de emergencia",
+  "goals.target": "Objetivo",
+  "goals.current": "Actual",
+  "goals.perMonth": "Al mes",
+  "goals.endDateOptional": "Fecha de fin (opcional)",
+  "goals.add": "Añadir meta",
+  "goals.endDateTip": "Consejo: con una fecha de fin te decimos si vas “en camino”. Sin ella, mostramos los próximos 12 meses.",
+  "goals.empty": "Aún no hay metas. Añade una para ver tu progreso.",
+  "goals.etaNeedsMonthly": "Añade un importe mensual para estimar el plazo.",
+  "goals.eta": "A este ritmo, lo alcanzarás en ~{months}.",
+  "goals.categoryLine": "Categoría: {category}",
+  "goals.monthsLeft_one": "Queda {count} mes",
+  "goals.monthsLeft_other": "Quedan {count} meses",
+  "goals.endDate": "Fecha de fin",
+  "goals.moveUp": "Subir meta",
+  "goals.moveDown": "Bajar meta",
+  "goals.delete": "Eliminar meta",
+  "networth.sub": "Añade activos y deudas: el patrimonio se actualiza solo. (La conexión con cuentas llegará más adelante.)",
+  "networth.assetsTitle": "Activos (incluye inversiones)",
+  "networth.assetPlaceholder": "Vivienda, plan de pensiones, bróker",
+  "networth.value": "Valor",
+  "networth.type": "Tipo",
+  "networth.noAssets": "Aún no hay activos.",
+  "networth.liabilities": "Deudas",
+  "networth.liabilityPlaceholder": "Hipoteca, préstamo de estudios",
+  "networth.balance": "Saldo",
+  "networth.noLiabilities": "Aún no hay deudas.",
+  "networth.assets": "Activos",
+  "networth.netWorth": "Patrimonio neto",
+  "networth.overTime": "Patrimonio a lo largo del tiempo",
+  "networth.overTimeHint": "Se guarda una instantánea automáticamente la primera vez que abres la app cada mes.",
+  "retirement.sub": "Sostener lo que importa, sin necesidad de perfección.",
+  "retirement.targetHint": "Elige si incluir los gastos temporales.",
+  "retirement.targetTip": "Gasto anual ÷ tasa de retirada. La línea temporal de abajo estima cuándo podrías llegar.",
+  "retirement.withdrawalRate": "Tasa de retirada",
+  "retirement.withdrawalHint": "La mayoría explora entre un ~3 % y un 5 %. Tasas más altas bajan el objetivo pero aumentan el riesgo.",
+  "retirement.spendingAll": "Gasto mensual (todo)",
+  "retirement.spendingOngoing": "Gasto mensual (recurrente)",
+  "retirement.timeline": "Línea temporal",
+  "retirement.timelineHint": "Parte de tu patrimonio ({netWorth}) y suma tu dinero sobrante ({leftover}/mes) cada mes.",
+  "retirement.timelineTip": "La rentabilidad real es el crecimiento descontada la inflación. Proyectamos en dinero de hoy; cambia a dinero futuro para ver ambas líneas crecer con la inflación. El patrimonio incluye cosas como tu vivienda, así que tómalo como optimista si buena parte no está invertida.",
+  "retirement.fi.beyond": "Más de 60 años",
+  "retirement.fi.there": "Ya has llegado",
+  "retirement.fi.years": "~{years} años",
+  "retirement.fi.noTarget": "Añade gastos en Tu Ikigai para fijar un objetivo.",
+  "retirement.fi.beyondHint": "No en los próximos 60 años a este ritmo. Pequeños cambios en gasto o ahorro suman.",
+  "retirement.fi.thereHint": "Tu patrimonio ya cubre este objetivo.",
+  "retirement.fi.aroundAge": "Hacia {year}, a los {age} años.",
+  "retirement.fi.around": "Hacia {year}.",
+  "retirement.realReturn": "Rentabilidad real esperada (%/año)",
+  "retirement.inflation": "Inflación (%/año)",
+  "retirement.showValuesIn": "Mostrar valores en",
+  "retirement.todayDollars": "Dinero de hoy",
+  "retirement.futureDollars": "Dinero futuro",
+  "retirement.projectedPortfolio": "Cartera proyectada",
+  "retirement.mc.title": "Prueba de estrés",
+  "retirement.mc.hint": "Pasa {runs} mercados posibles por tu jubilación, gastando {spending}/año en dinero de hoy.",
+  "retirement.mc.tip": "Una única tasa de retirada oculta la mala suerte al principio de la jubilación. Esto muestra con qué frecuencia el dinero dura a lo largo de muchas secuencias aleatorias de rentabilidades. El modo histórico reproduce años reales de la bolsa de EE. UU. (1928–2023) en orden aleatorio.",
+  "retirement.mc.returns": "Rentabilidades",
+  "retirement.mc.parametric": "Media + volatilidad",
+  "retirement.mc.historical": "Histórico",
+  "retirement.mc.volatility": "Volatilidad (%/año)",
+  "retirement.mc.meanHint": "La media usa la rentabilidad real de arriba.",
+  "retirement.mc.historicalHint": "Toma años del S&P 500 ajustados por inflación. Es una cartera 100 % en acciones, así que oscila más que una mixta.",
+  "retirement.mc.years": "Años de jubilación",
+  "retirement.mc.startWith": "Empezar con",
+  "retirement.mc.startTarget": "Objetivo ({amount})",
+  "retirement.mc.startNetWorth": "Patrimonio ({amount})",
+  "retirement.mc.running": "Simulando…",
+  "retirement.mc.run": "Ejecutar simulación",
+  "retirement.mc.success": "de {runs} jubilaciones simuladas nunca se quedaron sin dinero.",
+  "retirement.mc.stale": "Tus datos cambiaron desde esta simulación: vuelve a ejecutarla para actualizarla.",
+  "retirement.mc.yearTick": "A{n}",
+  "retirement.mc.year": "Año {n}",
+  "retirement.mc.outer": "Percentil 10–90",
+  "retirement.mc.inner": "Percentil 25–75",
+  "retirement.mc.median": "Mediana",
+  "about.sub": "Ikigai suele traducirse como “una razón de ser”: lo que te hace levantarte por la mañana.",
+  "about.meaning": "Qué significa Ikigai en esta app",
+  "about.meaningBody": "La planificación financiera rara vez trata solo de dinero. Trata de financiar lo que te importa. Ikigai no le dice a nadie qué hacer. Muestra lo que implica su vida y deja que decida.",
+  "about.tone": "Tono e intención",
+  "about.toneBody": "Buscamos transmitir calma y confianza: realistas pero comprensivos. La vida cambia; un presupuesto no es un boletín de notas moral.",
+  "onboarding.still": "¿Sigues con la configuración inicial? Puedes terminarla cuando quieras.",
+  "onboarding.markDone": "Marcar configuración como terminada",
+  "backup.list.scenarios_one": "{count} escenario",
+  "backup.list.scenarios_other": "{count} escenarios",
+  "backup.name.scenarios": "Escenarios",
+  "tab.scenarios": "Escenarios",
+  "scenarios.sub": "Prueba un cambio en una copia de tu plan. Tu plan real se queda tal cual.",
+  "scenarios.tip": "Cada escenario tiene sus propios ingresos, gastos, metas, activos y deudas. Abre uno y todas las pestañas lo mostrarán hasta que vuelvas a tu plan.",
+  "scenarios.fork": "Nuevo escenario",
+  "scenarios.forkHint": "Empieza como una copia de “{name}” y se abre al momento.",
+  "scenarios.namePlaceholder": "Mudarse a Valencia",
+  "scenarios.forkButton": "Crear copia",
+  "scenarios.main": "Mi plan",
+  "scenarios.open": "Abierto",
+  "scenarios.openButton": "Abrir",
+  "scenarios.rename": "Nombre del escenario",
+  "scenarios.delete": "Eliminar escenario",
+  "scenarios.empty": "Aún no hay escenarios. Copia tu plan para probar “Segundo hijo” o “Vender el coche” sin tocarlo.",
+  "scenarios.comparison": "Comparativa",
+  "scenarios.metric.savingsRate": "Tasa de ahorro",
+  "scenarios.metric.leftover": "Sobrante",
+  "scenarios.metric.spending": "Gasto",
+  "scenarios.metric.netWorth": "Patrimonio neto",
+  "scenarios.metric.retirementTarget": "Objetivo de jubilación",
+  "scenarios.metric.yearsToTarget": "Tiempo hasta el objetivo",
+  "scenarios.metric.goals": "Metas en camino",
+  "scenarios.goalsOnTrack": "{onTrack} de {total}",
+  "scenarios.comparisonHint": "Usa tu tasa de retirada y la rentabilidad esperada de la pestaña Jubilación. Las metas sin fecha de fin no cuentan.",
+  "scenarios.banner": "Estás viendo el escenario “{name}”",
+  "scenarios.bannerHint": "Los cambios aquí solo afectan a este escenario. Tu plan real está a salvo.",
+  "scenarios.compare": "Comparar",
+  "scenarios.backToPlan": "Volver a mi plan",
+  "debt.title": "Pago de deudas",
+  "debt.strategy.avalanche": "Avalancha",
+  "debt.strategy.snowball": "Bola de nieve",
+  "debt.strategyHint.avalanche": "El dinero extra va primero a la tasa de interés más alta: el menor interés total.",
+  "debt.strategyHint.snowball": "El dinero extra va primero al saldo más pequeño: victorias rápidas que te motivan.",
+  "debt.noDebts": "Añade una deuda con saldo para planificar su pago.",
+  "debt.noPayments": "Indica un pago mínimo o extra mensual en tus deudas para ver un plan de pago.",
+  "debt.never": "Nunca",
+  "debt.neverHint": "Los pagos no cubren los intereses",
+  "debt.months_one": "{count} mes",
+  "debt.months_other": "{count} meses",
+  "debt.interest": "{amount} de intereses",
+  "debt.avalancheSaves": "La avalancha ahorra {amount} en intereses frente a la bola de nieve.",
+  "debt.sameInterest": "Ambas estrategias cuestan aproximadamente los mismos intereses.",
+  "debt.monthShort": "M{month}",
+  "debt.monthN": "Mes {month}",
+  "debt.order": "Orden de pago",
+  "debt.aprValue": "TAE {rate}",
+  "debt.notPaidOff": "sin liquidar",
+  "debt.paidOffIn": "liquidada en {month}",
+  "debt.col.month": "Mes",
+  "debt.col.payment": "Pago",
+  "debt.col.interest": "Intereses",
+  "debt.col.principal": "Capital",
+  "debt.col.balance": "Saldo",
+  "debt.syncNote": "Tus pagos de deudas ({amount}/mes) se sincronizan con la partida Pago de deudas de tu plan.",
+  "debt.duplicateWarning": "También tienes {amount}/mes en otras partidas de Pago de deudas; elimínalas si duplican estas deudas.",
+  "debt.apr": "TAE %",
+  "debt.minPayment": "Mínimo / mes",
+  "debt.extraPayment": "Extra / mes",
+  "debt.synced": "sincronizado con tus deudas",
+  "debt.syncedHint": "Este importe sigue los pagos mínimos y extra de tus deudas.",
+  "debt.openPlanner": "Abrir plan de deudas",
+  "networth.view.total": "Total",
+  "networth.view.byType": "Por tipo",
+  "networth.noBreakdownHint": "Los meses guardados antes de existir el desglose, o introducidos solo como total, muestran solo la línea de patrimonio.",
+  "networth.history": "Historial",
+  "networth.historyHint": "Completa meses pasados, corrige una instantánea o actualiza este mes tras cambiar tus saldos.",
+  "networth.updateThisMonth": "Actualizar este mes",
+  "networth.month": "Mes",
+  "networth.addSnapshot": "Añadir instantánea",
+  "networth.replacesSnapshot": "Esto sustituye la instantánea ya guardada para ese mes.",
+  "networth.noHistory": "Aún no hay instantáneas.",
+  "networth.totalOnly": "solo total",
+  "networth.addBreakdown": "Añadir desglose",
+  "assetClass.Stocks": "Acciones",
+  "assetClass.Bonds": "Bonos",
+  "assetClass.Cash": "Efectivo",
+  "assetClass.Real Estate": "Inmobiliario",
+  "region.Domestic": "Nacional",
+  "region.International": "Internacional",
+  "holdings.toggle_one": "Posiciones ({count})",
+  "holdings.toggle_other": "Posiciones ({count})",
+  "holdings.valueFromHoldings": "valor según posiciones",
+  "holdings.name": "Ticker o nombre",
+  "holdings.namePlaceholder": "VTI, Fondo de bonos",
+  "holdings.assetClass": "Clase / región",
+  "holdings.quantity": "Cantidad",
+  "holdings.price": "Precio",
+  "holdings.total": "Total de posiciones {amount}",
+  "holdings.empty": "Sin posiciones: se usa el valor que introdujiste.",
+  "holdings.add": "Añadir posición",
+  "allocation.title": "Distribución de activos",
+  "allocation.hint": "En qué están tus inversiones, frente a tus objetivos. Los precios se introducen a mano.",
+  "allocation.empty": "Añade posiciones a un activo de inversión para ver su distribución.",
+  "allocation.col.class": "Clase",
+  "allocation.col.value": "Valor",
+  "allocation.col.current": "Actual",
+  "allocation.col.target": "Objetivo %",
+  "allocation.col.drift": "Desviación",
+  "allocation.col.rebalance": "Para reequilibrar",
+  "allocation.targetFor": "Objetivo para {name}",
+  "allocation.buy": "comprar {amount}",
+  "allocation.sell": "vender {amount}",
+  "allocation.targetsOff": "Los objetivos suman {total}; deberían sumar 100 %.",
+  "allocation.internationalTarget": "Objetivo internacional",
+  "allocation.internationalDrift": "Desviación internacional {drift}",
+  "allocation.unclassified": "{amount} en activos de inversión no tiene posiciones y no se incluye.",
+  "retirement.investedIn": "Tu cartera: {mix}.",
+  "retirement.seeAllocation": "Ver distribución",
+  "goals.allocate.title": "Reparte lo que te sobra",
+  "goals.allocate.mode.ordered": "Llenar en orden",
+  "goals.allocate.mode.proportional": "Proporcional",
+  "goals.allocate.mode.deadlines": "Fechas primero",
+  "goals.allocate.modeHint.ordered": "Primero la meta de arriba: cada meta recibe lo que necesita antes de que la siguiente reciba nada. Arrastra las metas para reordenarlas.",
+  "goals.allocate.modeHint.proportional": "Cada meta recibe una parte proporcional a lo que aún le falta.",
+  "goals.allocate.modeHint.deadlines": "Las metas con fecha reciben el ritmo que necesitan, la más próxima primero; el resto sigue tu orden.",
+  "goals.allocate.summary": "Previsto {planned}/mes de {leftover}/mes disponibles.",
+  "goals.allocate.over": "Te pasas en {amount}/mes",
+  "goals.allocate.under": "{amount}/mes sin asignar",
+  "goals.allocate.exact": "Todo asignado",
+  "goals.allocate.col.goal": "Meta",
+  "goals.allocate.col.now": "Ahora",
+  "goals.allocate.col.suggested": "Sugerido",
+  "goals.allocate.spare": "Sobran {amount}/mes con todas las metas cubiertas.",
+  "goals.allocate.allUsed": "Todo lo que sobra queda asignado.",
+  "goals.allocate.apply": "Usar importes sugeridos",
+  "goals.log.title": "Aportaciones",
+  "goals.log.currentFromLog": "La suma de las aportaciones y retiradas de abajo",
+  "goals.log.contribution": "Aportación",
+  "goals.log.withdrawal": "Retirada",
+  "goals.log.amount": "Importe",
+  "goals.log.notePlaceholder": "Nota (opcional)",
+  "goals.log.add": "Registrar",
+  "goals.log.pace": "Últimamente aportas unos {amount}/mes.",
+  "goals.log.noPace": "Registra aportaciones para seguir tu ritmo real; mientras tanto se usa tu importe mensual previsto.",
+  "goals.log.opening": "Saldo inicial",
+  "goals.log.series.saved": "Ahorrado",
+  "goals.log.series.pace": "Ritmo necesario",
+  "income.amount": "Importe",
+  "income.basis": "Este importe es",
+  "income.basis.net": "Neto (después de impuestos)",
+  "income.basis.gross": "Bruto (antes de impuestos)",
+  "income.frequency": "Se cobra",
+  "income.frequency.hourly": "Por hora",
+  "income.frequency.weekly": "Semanal",
+  "income.frequency.biweekly": "Cada dos semanas",
+  "income.frequency.semimonthly": "Dos veces al mes",
+  "income.frequency.monthly": "Mensual",
+  "income.frequency.annual": "Anual",
+  "income.frequency.bonus": "Bonus puntual",
+  "income.hoursPerWeek": "Horas / semana",
+  "income.retirementDeduction": "Plan de pensiones antes de impuestos (al año)",
+  "income.hsaDeduction": "Otras deducciones antes de impuestos (al año)",
+  "income.takeHome": "≈ {amount}/mes netos",
+  "tax.title": "Estimación del neto",
+  "tax.region": "Normativa fiscal",
+  "tax.region.none": "Sin impuestos (introduce el neto)",
+  "tax.region.us": "Estados Unidos (federal + FICA)",
+  "tax.region.uk": "Reino Unido (impuesto sobre la renta + NI)",
+  "tax.region.es": "España (IRPF + Seguridad Social)",
+  "tax.filing": "Tipo de declaración",
+  "tax.filing.single": "Individual",
+  "tax.filing.joint": "Conjunta",
+  "tax.extraRate": "Impuesto autonómico / local %",
+  "tax.gross": "Bruto anual",
+  "tax.pretax": "Deducciones antes de impuestos",
+  "tax.incomeTax": "Impuesto sobre la renta",
+  "tax.payrollTax": "Cotizaciones sociales",
+  "tax.localTax": "Impuesto autonómico / local",
+  "tax.net": "Neto anual",
+  "tax.perMonth": "{amount}/mes",
+  "tax.disclaimer": "Una estimación aproximada sin conexión con las tablas de 2025: sin deducciones ni bonificaciones personales. Tu nómina manda.",
+  "billing.label": "Se paga",
+  "billing.amount": "Importe",
+  "billing.weekly": "Semanal",
+  "billing.biweekly": "Cada dos semanas",
+  "billing.monthly": "Mensual",
+  "billing.quarterly": "Trimestral",
+  "billing.semiannual": "Semestral",
+  "billing.annual": "Anual",
+  "billing.custom": "Cada varios meses",
+  "billing.every": "cada",
+  "billing.months": "meses",
+  "billing.perMonth": "= {amount}/mes",
+  "billing.billed": "{amount} {frequency}",
+  "quickAdd.howOften": "¿Cada cuánto lo pagas?",
+  "quickAdd.howOftenHint": "Introduce los recibos tal como llegan: los repartimos entre los meses.",
+  "quickAdd.cost.weekly": "¿Cuánto es cada semana?",
+  "quickAdd.cost.biweekly": "¿Cuánto es cada dos semanas?",
+  "quickAdd.cost.monthly": "¿Cuánto es cada mes?",
+  "quickAdd.cost.quarterly": "¿Cuánto es cada recibo trimestral?",
+  "quickAdd.cost.semiannual": "¿Cuánto es cada recibo semestral?",
+  "quickAdd.cost.annual": "¿Cuánto es al año?",
+  "quickAdd.cost.custom": "¿Cuánto es cada recibo?",
+  "tab.calendar": "Calendario",
+  "calendar.sub": "Cuándo vencen los recibos y cuándo llega la nómina, para que el calendario no te pille.",
+  "calendar.empty": "Añade una próxima fecha de pago a tus gastos (Tu Ikigai) y una próxima fecha de cobro a tus ingresos (Inicio → Editar datos básicos) para llenar el calendario.",
+  "calendar.nextDue": "Próximo vencimiento",
+  "calendar.nextPay": "Próximo cobro",
+  "calendar.prevMonth": "Mes anterior",
+  "calendar.nextMonth": "Mes siguiente",
+  "calendar.today": "Hoy",
+  "calendar.weekTotal": "Recibos / semana",
+  "calendar.next30": "Próximos 30 días",
+  "calendar.startingCash": "Efectivo hoy",
+  "calendar.startingCashHint": "Parte de tus activos en efectivo salvo que indiques el saldo de hoy. Las nóminas suman y los recibos restan.",
+  "calendar.nothingUpcoming": "Nada que pagar ni cobrar en los próximos 30 días.",
+  "calendar.shortfall": "Te quedas sin efectivo el {date}: mueve un recibo o guarda un colchón.",
+  "household.title": "Hogar",
+  "household.sub": "Planificad juntos: asigna cada ingreso y gasto a alguien, o déjalo compartido y repártelo de forma justa.",
+  "household.enable": "Planificar como hogar",
+  "household.suggest": "Vives en pareja: el modo hogar reparte los gastos compartidos entre vosotros.",
+  "household.you": "Tú",
+  "household.partner": "Pareja",
+  "household.memberN": "Miembro {n}",
+  "household.unnamed": "Sin nombre",
+  "household.addMember": "Añadir miembro",
+  "household.removeMember": "Quitar miembro",
+  "household.owner": "Pertenece a",
+  "household.shared": "Compartido",
+  "household.splitLabel": "Reparto de gastos compartidos",
+  "household.split.even": "A partes iguales",
+  "household.split.custom": "% personalizado",
+  "household.split.income": "Según ingresos",
+  "household.splitHint.even": "Todos pagan la misma parte.",
+  "household.splitHint.custom": "Las partes se ajustan para sumar 100%.",
+  "household.splitHint.income": "Cada miembro paga en proporción a sus propios ingresos; los ingresos compartidos se reparten igual.",
+  "household.customTotal": "Suma {pct}",
+  "household.sharedTotal": "Gastos compartidos: {amount}/mes · ingresos compartidos: {income}/mes",
+  "household.col.member": "Miembro",
+  "household.col.share": "Parte",
+  "household.col.income": "Ingresos",
+  "household.col.personal": "Personal",
+  "household.col.owed": "Aporta a lo común",
+  "household.col.leftover": "Sobrante",
+  "household.col.savingsRate": "Tasa de ahorro",
+  "lock.section": "Bloqueo con contraseña",
+  "lock.hint": "Cifra todo lo guardado en este dispositivo para que no se pueda leer sin tu contraseña; útil en ordenadores compartidos.",
+  "lock.title": "Bloqueado",
+  "lock.sub": "Tu plan está cifrado en este dispositivo. Introduce tu contraseña para abrirlo.",
+  "lock.passphrase": "Contraseña",
+  "lock.unlock": "Desbloquear",
+  "lock.unlocking": "Desbloqueando…",
+  "lock.wrong": "Esa contraseña no desbloquea tus datos.",
+  "lock.forgot": "¿Olvidaste tu contraseña?",
+  "lock.eraseWarning": "No hay forma de recuperar los datos cifrados sin la contraseña. Puedes borrarlos y empezar de cero, o restaurar una copia después.",
+  "lock.erase": "Borrar y empezar de cero",
+  "lock.now": "Bloquear ahora",
+  "lock.autoLock": "Bloquear automáticamente",
+  "lock.afterMinutes_one": "Tras {count} minuto inactivo",
+  "lock.afterMinutes_other": "Tras {count} minutos inactivo",
+  "lock.never": "Nunca",
+  "lock.set": "Poner contraseña",
+  "lock.change": "Cambiar contraseña",
+  "lock.remove": "Quitar bloqueo",
+  "lock.current": "Contraseña actual",
+  "lock.new": "Nueva contraseña",
+  "lock.confirm": "Repite la nueva contraseña",
+  "lock.noRecovery": "Si la olvidas, no podrás recuperar tus datos. Exporta una copia antes.",
+  "lock.tooShort_one": "Usa al menos {count} carácter.",
+  "lock.tooShort_other": "Usa al menos {count} caracteres.",
+  "lock.mismatch": "Las contraseñas no coinciden.",
+  "lock.submit.set": "Activar bloqueo",
+  "lock.submit.change": "Cambiar y volver a cifrar",
+  "lock.submit.remove": "Quitar y descifrar",
+  "update.title": "Nueva versión disponible",
+  "update.body": "Recarga para tener el último Ikigai. Tu plan se queda como está.",
+  "update.reload": "Recargar",
+  "update.later": "Más tarde",
+  "undo.undo": "Deshacer",
+  "undo.redo": "Rehacer",
+  "undo.undoShortcut": "Deshacer (Ctrl/⌘+Z)",
+  "undo.redoShortcut": "Rehacer (Ctrl/⌘+Mayús+Z)",
+  "undo.undone": "Deshecho: {what}",
+  "undo.redone": "Rehecho: {what}",
+  "undo.edit": "última edición",
+  "undo.deleted": "eliminado «{name}»",
+  "undo.deletedContribution": "eliminada una aportación",
+  "undo.moved": "movido «{name}»",
+  "category.Childcare": "Cuidado infantil",
+  "category.Eldercare": "Cuidado de mayores",
+  "examples.Childcare": "Guardería|Canguro|Extraescolares|Niñera",
+  "examples.Eldercare": "Cuidador a domicilio|Residencia|Medicamentos|Centro de día",
+  "categories.title": "Categorías",
+  "categories.manage": "Gestionar categorías",
+  "categories.hint": "Renombra, cambia el color, oculta, reordena o fusiona. Renombrar o fusionar actualiza cada gasto, registro y regla de importación que use la categoría.",
+  "categories.colorFor": "Color de {name}",
+  "categories.examples": "Ejemplos al añadir (separados por comas)",
+  "categories.usage_one": "{count} gasto",
+  "categories.usage_other": "{count} gastos",
+  "categories.moveUp": "Subir",
+  "categories.moveDown": "Bajar",
+  "categories.hide": "Ocultar",
+  "categories.show": "Mostrar",
+  "categories.mergeInto": "Fusionar con…",
+  "categories.remove": "Quitar categoría",
+  "categories.newPlaceholder": "Nueva categoría, p. ej. Aficiones",
+  "categories.add": "Añadir categoría",
+  "categories.exists": "Esa categoría ya existe",
+  "ikigai.allCategories": "Todas las categorías",
+  "undo.renamed": "renombrado «{name}»",
+  "undo.merged": "fusionado «{name}» con «{into}»",
+  "backup.list.categories_one": "{count} categoría",
+  "backup.list.categories_other": "{count} categorías",
+  "ikigai.showing": "Mostrando:",
+  "item.subcategory": "Subcategoría (opcional)",
+  "item.subcategoryPlaceholder": "p. ej. Supermercado",
+  "item.tags": "Etiquetas",
+  "item.tagsPlaceholder": "#niños #colegio",
+  "summary.byTag": "Por etiqueta",
+  "drill.unsorted": "Sin subcategoría",
+  "drill.noTags": "Etiqueta partidas (como #niños) para ver lo que cuestan en todas las categorías.",
+  "drill.tagTotal_one": "Todo lo etiquetado {tag}: {amount} ({count} partida)",
+  "drill.tagTotal_other": "Todo lo etiquetado {tag}: {amount} ({count} partidas)",
+  "drill.tagTip": "Consejo: toca una etiqueta para ver sus partidas. Una partida con varias etiquetas cuenta en cada una, así que las porciones pueden sumar más que el total.",
+  "drawer.pivotPrompt": "Para cambiar a {code} y conservar tus tipos de cambio, indica cuánto vale 1 {code} en {base}.",
+  "drawer.switchBase": "Cambiar a {code}",
+  "stateError.unreadable": "No se pudieron leer los datos guardados",
+  "stateError.notObject": "Los datos no son un plan guardado",
+  "stateError.newerVersion": "Se guardó con una versión más reciente de la app (v{version})",
+  "stateError.notList": "“{name}” debería ser una lista",
+  "stateError.entryNotObject": "La entrada {entry} de “{name}” no es un objeto",
+  "stateError.noDate": "La entrada {entry} de “{name}” no tiene una fecha válida",
+  "stateError.noMonth": "La entrada {entry} de “{name}” no tiene un mes válido",
+  "stateError.badBreakdown": "La entrada {entry} de “{name}” tiene un desglose no válido",
+  "stateError.badRule": "La entrada {entry} de “{name}” necesita un texto y una categoría",
+  "stateError.notJson": "Este archivo no es JSON válido",
+  "stateError.unreadableFile": "No se pudo leer este archivo",
+  "stateError.notBackup": "Este archivo no es una copia de seguridad de Ikigai",
+  "drawer.browserDefault": "Predeterminado del navegador",
+  "income.bonusTakeHome": "≈ {amount} netos una sola vez, en la fecha de cobro. No cuenta como ingreso mensual.",
+  "newer.title": "Tu plan se guardó con una versión más reciente",
+  "newer.body": "Otra pestaña o ventana usa un Ikigai más reciente. Los cambios que hagas aquí no se guardan, así que recarga para seguir.",
+};
@@ -0,0 +1,71 @@
+import { HISTORICAL_REAL_RETURNS } from "./historicalReturns.js";
+
+// Retirement Monte Carlo, run off the main thread.
+// Everything is in today's dollars: the portfolio earns a real return each year and
+// pays out the same real spending at the start of the year. A run fails the first
+// year the portfolio can't cover that year's spending.
+
+const PERCENTILES = [0.1, 0.25, 0.5, 0.75, 0.9];
+
+// Standard normal via Box–Muller
+function normal() {
+  let u = 0;
+  while (u === 0) u = Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function sampleReturn(source, mean, volatility) {
+  if (source === "historical") {
+    return HISTORICAL_REAL_RETURNS[Math.floor(Math.random() * HISTORICAL_REAL_RETURNS.length)];
+  }
+  // Floor at -100%: a portfolio can't lose more than everything
+  return Math.max(-1, mean + volatility * normal());
+}
+
+function percentile(sorted, p) {
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function simulate({ start, annualSpending, years, runs, source, mean, volatility }) {
+  // balances[y][run] = balance at the end of year y (y = 0 is the starting point)
+  const balances = Array.from({ length: years + 1 }, () => new Float64Array(runs));
+  let successes = 0;
+  for (let r = 0; r < runs; r++) {
+    let balance = start;
+    let failed = false;
+    balances[0][r] = balance;
+    for (let y = 1; y <= years; y++) {
+      if (!failed) {
+        balance -= annualSpending;
+        if (balance < 0) {
+          failed = true;
+          balance = 0;
+        } else {
+          balance *= 1 + sampleReturn(source, mean, volatility);
+        }
+      }
+      balances[y][r] = balance;
+    }
+    if (!failed) successes += 1;
+  }
+
+  const bands = balances.map((col, year) => {
+    const sorted = Array.from(col).sort((a, b) => a - b);
+    const [p10, p25, p50, p75, p90] = PERCENTILES.map((p) => percentile(sorted, p));
+    return { year, p10, p25, p50, p75, p90 };
+  });
+  return { successRate: runs > 0 ? successes / runs : 0, bands, runs };
+}
+
+self.onmessage = (e) => {
+  const { id, params } = e.data;
+  try {
+    self.postMessage({ id, result: simulate(params) });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || "Simulation failed" });
+  }
+};
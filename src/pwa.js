@@ -0,0 +1,31 @@
+// Registers the service worker that vite.config.js builds. onUpdate(apply) is called when
+// a new version has installed and is waiting; apply() hands over to it and reloads.
+export async function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  let reg;
+  try {
+    reg = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  } catch {
+    return;
+  }
+  // The very first install takes over silently; only a replacement is an update
+  const hadController = !!navigator.serviceWorker.controller;
+  const prompt = (worker) => onUpdate(() => worker.postMessage("SKIP_WAITING"));
+  if (reg.waiting && hadController) prompt(reg.waiting);
+  reg.addEventListener("updatefound", () => {
+    const worker = reg.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) prompt(worker);
+    });
+  });
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+  // Long-lived tabs (an installed app) look for a new version whenever they come back
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") reg.update().catch(() => {});
+  });
+}
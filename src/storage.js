@@ -0,0 +1,302 @@
+// Where the plan is saved. IndexedDB keeps the long lists in their own stores (items,
+// goals, assets, liabilities, history) so a save only touches the records that changed;
+// everything else is one "settings" record. Writes are debounced, and every other open
+// tab hears about a save over a BroadcastChannel and reloads from the database.
+// A passphrase-locked plan is stored as one sealed record instead of per-entity rows.
+// Without IndexedDB (some private modes) it falls back to the old single localStorage string.
+//
+// read() resolves to null (nothing saved), { blob } (the versioned state, not yet
+// migrated), { envelope } (locked) or { unreadable } (a localStorage string that isn't JSON).
+// Results carried over from localStorage are flagged legacy until the first save lands.
+//
+// Every save carries its schema version (a sealed record too). A tab never writes over data
+// with a newer version than its own, so an older tab or cached build can't undo a migration.
+
+import { isVault, seal } from "./vault.js";
+
+// The pre-IndexedDB blob; read once, then removed after the first save to the database
+export const STORAGE_KEY = "ikigai_v042_state";
+
+const DB_NAME = "ikigai";
+const DB_VERSION = 1;
+const LIST_STORES = {
+  items: "items",
+  goals: "goals",
+  assets: "assets",
+  liabilities: "liabilities",
+  netWorthHistory: "history",
+};
+const STORES = ["meta", ...Object.values(LIST_STORES)];
+const WRITE_DELAY = 300;
+
+const keyOf = (field, x) => (field === "netWorthHistory" ? x.t : x.id);
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+// The schema version of a read() result or a pending write; 0 when it has none
+const versionOf = (x) => Number(x?.blob?.version ?? x?.envelope?.version) || 0;
+
+// Saving would overwrite data a newer version of the app wrote
+export class NewerDataError extends Error {
+  constructor(version) {
+    super(`Saved data is from a newer version (v${version})`);
+    this.version = version;
+  }
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+function readLocal() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return { unreadable: raw };
+  }
+  return isVault(parsed) ? { envelope: parsed } : { blob: parsed };
+}
+
+const localBackend = {
+  async read() {
+    return readLocal();
+  },
+  async write(next) {
+    const held = versionOf(readLocal());
+    if (held > versionOf(next)) throw new NewerDataError(held);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next.envelope ?? next.blob));
+    return true;
+  },
+  async clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  },
+};
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const name of STORES) req.result.createObjectStore(name, { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbBackend(db) {
+  let legacy = false;
+  return {
+    async read() {
+      const tx = db.transaction(STORES, "readonly");
+      const meta = tx.objectStore("meta");
+      const reads = [meta.get("version"), meta.get("settings"), meta.get("vault")].map(request);
+      const lists = Object.entries(LIST_STORES).map(([field, name]) =>
+        request(tx.objectStore(name).getAll()).then((rows) => [field, rows.sort((a, b) => a.index - b.index).map((r) => r.value)])
+      );
+      const [version, settings, vault] = await Promise.all(reads);
+      const entries = await Promise.all(lists);
+      if (vault) return { envelope: vault.value };
+      if (version) return { blob: { ...settings?.value, ...Object.fromEntries(entries), version: version.value } };
+      // Nothing here yet: carry over whatever localStorage had
+      let local = null;
+      try {
+        local = readLocal();
+      } catch {
+        // storage unavailable
+      }
+      legacy = !!local;
+      return local && { ...local, legacy: true };
+    },
+    // prev is what the database holds now (or null if unknown); only changed records are written
+    async write(next, prev) {
+      const tx = db.transaction(STORES, "readwrite");
+      const meta = tx.objectStore("meta");
+      // Checked inside the transaction, so no other tab can write in between
+      const held = Number((await request(meta.get("version")))?.value) || 0;
+      if (held > versionOf(next)) {
+        tx.abort();
+        throw new NewerDataError(held);
+      }
+      let changed = false;
+      if (next.envelope) {
+        meta.put({ key: "vault", value: next.envelope });
+        meta.put({ key: "version", value: next.envelope.version });
+        meta.delete("settings");
+        for (const name of Object.values(LIST_STORES)) tx.objectStore(name).clear();
+        changed = true;
+      } else {
+        const old = prev?.blob ?? null;
+        const { version, ...rest } = next.blob;
+        const settings = Object.fromEntries(Object.entries(rest).filter(([k]) => !(k in LIST_STORES)));
+        if (!old) meta.delete("vault");
+        if (!old || old.version !== version) {
+          meta.put({ key: "version", value: version });
+          changed = true;
+        }
+        if (!old || Object.keys(settings).some((k) => !same(settings[k], old[k]))) {
+          meta.put({ key: "settings", value: settings });
+          changed = true;
+        }
+        for (const [field, name] of Object.entries(LIST_STORES)) {
+          const store = tx.objectStore(name);
+          const list = next.blob[field] ?? [];
+          const before = old?.[field];
+          if (list === before) continue;
+          if (!Array.isArray(before)) store.clear();
+          const was = new Map((Array.isArray(before) ? before : []).map((value, index) => [keyOf(field, value), { value, index }]));
+          list.forEach((value, index) => {
+            const key = keyOf(field, value);
+            const prevRow = was.get(key);
+            was.delete(key);
+            if (prevRow && prevRow.index === index && same(prevRow.value, value)) return;
+            store.put({ key, index, value });
+            changed = true;
+          });
+          for (const key of was.keys()) {
+            store.delete(key);
+            changed = true;
+          }
+        }
+      }
+      await committed(tx);
+      if (legacy) {
+        legacy = false;
+        try {
+          localStorage.removeItem(STORAGE_KEY);
+        } catch {
+          // ignore
+        }
+      }
+      return changed;
+    },
+    async clear() {
+      const tx = db.transaction(STORES, "readwrite");
+      for (const name of STORES) tx.objectStore(name).clear();
+      await committed(tx);
+      legacy = false;
+      try {
+        localStorage.removeItem(STORAGE_KEY);
+      } catch {
+        // ignore
+      }
+    },
+  };
+}
+
+export function createStorage() {
+  const backend =
+    typeof indexedDB === "undefined"
+      ? Promise.resolve(localBackend)
+      : openDb().then(idbBackend, () => localBackend);
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("ikigai") : null;
+  const listeners = new Set();
+
+  let stored = null; // what the backend holds, as last read or written
+  let newest = 0; // the highest schema version seen in storage
+  let lastText = null; // the state this tab last wrote or adopted, serialized
+  let lastLock = null;
+  let pending = null;
+  let timer = null;
+  // Reads and writes run one at a time, in order
+  let queue = Promise.resolve();
+  const enqueue = (job) => (queue = queue.then(job, job));
+
+  const read = () =>
+    enqueue(async () => {
+      stored = null;
+      const b = await backend;
+      const result = await b.read();
+      newest = Math.max(newest, versionOf(result));
+      if (result?.blob && !result.legacy && b !== localBackend) stored = result;
+      return result;
+    });
+
+  function flush() {
+    clearTimeout(timer);
+    const job = pending;
+    pending = null;
+    if (!job) return queue.catch(() => {});
+    return enqueue(async () => {
+      const text = JSON.stringify(job.blob);
+      if (text === lastText && job.lock === lastLock) return;
+      if (versionOf(job) < newest) return;
+      const next = job.lock ? { envelope: { ...(await seal(text, job.lock)), version: job.blob.version } } : { blob: job.blob };
+      try {
+        const changed = await (await backend).write(next, stored);
+        stored = next.envelope ? null : next;
+        lastText = text;
+        lastLock = job.lock;
+        if (changed) channel?.postMessage("saved");
+      } catch (err) {
+        // Storage full or unavailable: keep what's on screen and try again on the next edit.
+        // Newer data: stop saving and let the page know through a fresh read.
+        if (err instanceof NewerDataError) {
+          newest = Math.max(newest, err.version);
+          setTimeout(notify);
+        }
+      }
+    });
+  }
+
+  async function notify() {
+    let result;
+    try {
+      result = await read();
+    } catch {
+      return;
+    }
+    for (const fn of listeners) fn(result);
+  }
+  if (channel) channel.onmessage = notify;
+  if (typeof window !== "undefined") {
+    // The fallback has no channel, but localStorage fires its own event in other tabs
+    window.addEventListener("storage", (e) => {
+      if (e.key === STORAGE_KEY) backend.then((b) => b === localBackend && notify());
+    });
+    // Don't lose the last keystrokes when the tab goes away
+    window.addEventListener("pagehide", flush);
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flush();
+    });
+  }
+
+  return {
+    read,
+    write(blob, lock) {
+      pending = { blob, lock };
+      clearTimeout(timer);
+      timer = setTimeout(flush, WRITE_DELAY);
+    },
+    flush,
+    // The tab now shows this state (loaded, or from another tab); saving it again is a no-op
+    adopt(blob, lock) {
+      if ((Number(blob?.version) || 0) < newest) return;
+      lastText = JSON.stringify(blob);
+      lastLock = lock;
+    },
+    clear: () =>
+      enqueue(async () => {
+        pending = null;
+        clearTimeout(timer);
+        await (await backend).clear();
+        stored = null;
+        lastText = null;
+        newest = 0;
+      }),
+    // fn(result) runs after another tab saves, with the fresh read()
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,34 @@
+// Service worker template; vite.config.js fills in the version and the list of built
+// files and emits it as /sw.js. Everything the app needs is precached on install, so it
+// opens with no connection. A new version waits until the app asks it to take over.
+const VERSION = __SW_VERSION__;
+const PRECACHE = __SW_PRECACHE__;
+const CACHE = `ikigai-${VERSION}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("ikigai-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  // Every route is the SPA shell (same as the catch-all rewrite in vercel.json)
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match("index.html").then((hit) => hit ?? fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request).then((hit) => hit ?? fetch(request)));
+});
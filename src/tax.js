@@ -0,0 +1,117 @@
+// Offline take-home estimates from bundled 2025 tables. Deliberately rough: no credits, and
+// state / regional tax only as a flat extra rate the user types in. An estimate is for one
+// filer (one person, or one joint US return) and takes their jobs separately, since payroll
+// caps apply to each employment. Amounts are annual and in the region's own currency.
+
+// [upper bound of the band, rate]; the last band has no upper bound
+function bracketTax(income, brackets) {
+  let tax = 0;
+  let lower = 0;
+  for (const [upper, rate] of brackets) {
+    if (income <= lower) break;
+    tax += (Math.min(income, upper) - lower) * rate;
+    lower = upper;
+  }
+  return tax;
+}
+
+const US_SINGLE = [
+  [11925, 0.1],
+  [48475, 0.12],
+  [103350, 0.22],
+  [197300, 0.24],
+  [250525, 0.32],
+  [626350, 0.35],
+  [Infinity, 0.37],
+];
+const US_JOINT = [
+  [23850, 0.1],
+  [96950, 0.12],
+  [206700, 0.22],
+  [394600, 0.24],
+  [501050, 0.32],
+  [751600, 0.35],
+  [Infinity, 0.37],
+];
+const UK_BANDS = [
+  [37700, 0.2],
+  [125140, 0.4],
+  [Infinity, 0.45],
+];
+const ES_IRPF = [
+  [12450, 0.19],
+  [20200, 0.24],
+  [35200, 0.3],
+  [60000, 0.37],
+  [300000, 0.45],
+  [Infinity, 0.47],
+];
+
+// A job is { gross, pretax, payrollExempt }. pretax: pension / 401k / HSA and similar, taken
+// out before income tax. payrollExempt: the part of pretax that payroll tax also skips (US HSA
+// through payroll). Income tax sees the filer's combined pay; payrollTax gets the jobs.
+export const TAX_REGIONS = {
+  none: {
+    currency: null,
+    incomeTax: () => 0,
+    payrollTax: () => 0,
+  },
+  // US federal income tax and FICA
+  us: {
+    currency: "USD",
+    filing: true,
+    incomeTax(gross, { pretax, filing }) {
+      const joint = filing === "joint";
+      return bracketTax(Math.max(0, gross - pretax - (joint ? 31500 : 15750)), joint ? US_JOINT : US_SINGLE);
+    },
+    // Social Security stops at the wage base of each job; Additional Medicare is on the return
+    payrollTax(jobs, { filing }) {
+      const wages = jobs.map((j) => Math.max(0, j.gross - j.payrollExempt));
+      const total = wages.reduce((s, w) => s + w, 0);
+      return (
+        wages.reduce((s, w) => s + Math.min(w, 176100) * 0.062, 0) +
+        total * 0.0145 +
+        Math.max(0, total - (filing === "joint" ? 250000 : 200000)) * 0.009
+      );
+    },
+  },
+  // England, Wales and Northern Ireland income tax and employee National Insurance
+  uk: {
+    currency: "GBP",
+    incomeTax(gross, { pretax }) {
+      const adjusted = Math.max(0, gross - pretax);
+      const allowance = Math.max(0, 12570 - Math.max(0, adjusted - 100000) / 2);
+      return bracketTax(Math.max(0, adjusted - allowance), UK_BANDS);
+    },
+    payrollTax: (jobs) =>
+      jobs.reduce((s, { gross }) => s + Math.max(0, Math.min(gross, 50270) - 12570) * 0.08 + Math.max(0, gross - 50270) * 0.02, 0),
+  },
+  // Spain: general IRPF scale (state + standard regional) and employee social security
+  es: {
+    currency: "EUR",
+    incomeTax(gross, { pretax, payrollTax }) {
+      const base = Math.max(0, gross - payrollTax - pretax - 2000);
+      return Math.max(0, bracketTax(base, ES_IRPF) - bracketTax(5550, ES_IRPF));
+    },
+    payrollTax: (jobs) => jobs.reduce((s, { gross }) => s + Math.min(gross, 58914) * 0.0647, 0),
+  },
+};
+
+// UK and Spain tax each person on their own income; the US does too unless the return is joint
+export function filesSeparately(region, filing) {
+  return !TAX_REGIONS[region]?.filing || filing !== "joint";
+}
+
+// One filer's tax on a list of jobs
+export function estimateTax(jobs, { region = "none", filing = "single" } = {}) {
+  const r = TAX_REGIONS[region] ?? TAX_REGIONS.none;
+  const list = jobs.map((j) => ({
+    gross: Math.max(0, j.gross),
+    pretax: Math.max(0, j.pretax ?? 0),
+    payrollExempt: Math.max(0, j.payrollExempt ?? 0),
+  }));
+  const payrollTax = r.payrollTax(list, { filing });
+  const gross = list.reduce((s, j) => s + j.gross, 0);
+  const pretax = list.reduce((s, j) => s + j.pretax, 0);
+  return { incomeTax: r.incomeTax(gross, { pretax, payrollTax, filing }), payrollTax };
+}
@@ -0,0 +1,69 @@
+// Optional passphrase lock for the saved plan. The blob is encrypted with AES-GCM under a
+// key derived from the passphrase with PBKDF2. While unlocked the derived key stays in
+// memory ({ key, salt, iterations, autoLockMinutes }) so saves don't pay for the
+// derivation again; only the envelope below is ever written to storage.
+
+const ITERATIONS = 310000;
+
+// Web Crypto only exists in secure contexts (https, localhost)
+export const vaultSupported = typeof crypto !== "undefined" && !!crypto.subtle;
+
+export function isVault(v) {
+  return v !== null && typeof v === "object" && v.vault === 1;
+}
+
+function toBase64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// A fresh salt and key for a new or changed passphrase
+export async function createLock(passphrase, autoLockMinutes) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { key: await deriveKey(passphrase, salt, ITERATIONS), salt, iterations: ITERATIONS, autoLockMinutes };
+}
+
+export async function seal(text, lock) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, lock.key, new TextEncoder().encode(text));
+  return {
+    vault: 1,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: lock.iterations, salt: toBase64(lock.salt) },
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data)),
+    autoLockMinutes: lock.autoLockMinutes,
+  };
+}
+
+// For the unlocked tab reading what another tab saved; rejects if the key no longer fits
+export async function unsealWithKey(envelope, lock) {
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.iv) }, lock.key, fromBase64(envelope.data));
+  return new TextDecoder().decode(plain);
+}
+
+// Rejects when the passphrase is wrong (AES-GCM authentication fails)
+export async function unseal(envelope, passphrase) {
+  const salt = fromBase64(envelope.kdf.salt);
+  const { iterations } = envelope.kdf;
+  const key = await deriveKey(passphrase, salt, iterations);
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data));
+  return {
+    text: new TextDecoder().decode(plain),
+    lock: { key, salt, iterations, autoLockMinutes: Number(envelope.autoLockMinutes) || 0 },
+  };
+}
@@ -1,6 +1,35 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+// Emits sw.js from src/sw.js with every built file (and everything in public/) precached.
+// The version is a hash of the output, so each deploy with changes installs a new worker.
+function serviceWorker() {
+  const publicFiles = (dir, prefix = '') =>
+    readdirSync(dir, { withFileTypes: true }).flatMap((e) =>
+      e.isDirectory() ? publicFiles(`${dir}/${e.name}`, `${prefix}${e.name}/`) : [`${prefix}${e.name}`]
+    )
+  return {
+    name: 'ikigai-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = [...Object.keys(bundle), ...publicFiles('public')].sort()
+      const hash = createHash('sha256')
+      for (const file of files) {
+        const out = bundle[file]
+        hash.update(file)
+        hash.update(out ? (out.type === 'chunk' ? out.code : out.source) : readFileSync(`public/${file}`))
+      }
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('__SW_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__SW_PRECACHE__', JSON.stringify(files))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })